@@ -7,10 +7,13 @@
 
 import { Telegraf, Markup } from "telegraf";
 import fs from "fs";
+import crypto from "crypto";
+import os from "os";
 import pkg from "pg";
 import dotenv from "dotenv";
 import cron from "node-cron";
 import express from "express";
+import { runMigrations, getPendingMigrations } from "./migrate.js";
 
 dotenv.config();
 
@@ -26,6 +29,111 @@ try {
 }
 
 const ADMIN_ID = process.env.ADMIN_ID;
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+// ==================== ADMINS & ROLES ====================
+// ADMIN_IDS=111,222:moderator,333:manager:5d124af3|a1b2c3d4
+//   بدون دور = owner، ومدير المجموعة (manager) يُحدد بمجموعاته (بادئة معرف المجموعة)
+// ADMIN_ID القديم يبقى يعمل كـ owner
+
+const PERM = {
+  PANEL: "panel",                     // فتح لوحة الأدمن
+  SETTINGS: "settings",               // الإعدادات العامة لكل المجموعات
+  CYCLE: "cycle",                     // حذف الدورة
+  DISTRIBUTE: "distribute",           // التوزيع اليدوي لكل المجموعات
+  STATS: "stats",
+  USERS: "users",                     // الحظر والقائمة السوداء
+  BROADCAST: "broadcast",             // رسالة لكل المستخدمين
+  PAYMENTS: "payments",               // الدفع لكل المجموعات
+  GROUPS_LIST: "groups_list",         // عرض المجموعات (المدير يرى مجموعاته فقط)
+  GROUP_SETTINGS: "group_settings",   // إعدادات مجموعة محددة
+  GROUP_PAYMENTS: "group_payments",   // دفع مجموعة محددة + استلام إثباتات الدفع
+  GROUP_BROADCAST: "group_broadcast", // رسالة لأعضاء مجموعة محددة
+  ADMINS: "admins",                   // عرض قائمة الأدمن
+  AUDIT: "audit",                     // سجل الإجراءات
+  GROUP_APPEALS: "group_appeals",     // تظلمات العقوبات لمجموعة محددة
+};
+
+// صلاحيات تخص مجموعة بعينها: المدير يحتاج أن تكون المجموعة ضمن نطاقه
+const GROUP_SCOPED_PERMS = new Set([PERM.GROUP_SETTINGS, PERM.GROUP_PAYMENTS, PERM.GROUP_BROADCAST, PERM.GROUP_APPEALS]);
+
+const ROLE_PERMISSIONS = {
+  owner: Object.values(PERM),
+  moderator: [
+    PERM.PANEL, PERM.DISTRIBUTE, PERM.STATS, PERM.USERS, PERM.BROADCAST, PERM.PAYMENTS, PERM.AUDIT,
+    PERM.GROUPS_LIST, PERM.GROUP_SETTINGS, PERM.GROUP_PAYMENTS, PERM.GROUP_BROADCAST, PERM.GROUP_APPEALS,
+  ],
+  manager: [PERM.PANEL, PERM.GROUPS_LIST, PERM.GROUP_SETTINGS, PERM.GROUP_PAYMENTS, PERM.GROUP_BROADCAST, PERM.GROUP_APPEALS],
+};
+
+const ROLE_LABELS = { owner: "👑 Owner", moderator: "🛡️ Moderator", manager: "📦 Group Manager" };
+
+function parseAdmins() {
+  const admins = new Map();
+  const entries = (process.env.ADMIN_IDS || "").split(",").map(e => e.trim()).filter(Boolean);
+  for (const entry of entries) {
+    const [id, role = "owner", groups = ""] = entry.split(":").map(p => p.trim());
+    if (!/^\d+$/.test(id) || !ROLE_PERMISSIONS[role]) {
+      console.warn(`⚠️ Ignoring invalid ADMIN_IDS entry: ${entry}`);
+      continue;
+    }
+    const groupPrefixes = groups.split("|").map(g => g.trim().toLowerCase()).filter(Boolean);
+    if (role === "manager" && groupPrefixes.length === 0) {
+      console.warn(`⚠️ Group manager ${id} has no groups in ADMIN_IDS`);
+    }
+    admins.set(id, { id, role, groups: role === "manager" ? groupPrefixes : null });
+  }
+  if (ADMIN_ID && !admins.has(ADMIN_ID.toString())) {
+    admins.set(ADMIN_ID.toString(), { id: ADMIN_ID.toString(), role: "owner", groups: null });
+  }
+  return admins;
+}
+
+const ADMINS = parseAdmins();
+console.log(`🔐 Admins: ${[...ADMINS.values()].map(a => `${a.id}(${a.role})`).join(", ") || "none"}`);
+
+function getAdmin(tgId) {
+  if (tgId === undefined || tgId === null) return null;
+  return ADMINS.get(tgId.toString()) || null;
+}
+
+function adminCoversGroup(admin, groupId) {
+  if (!admin.groups) return true;
+  if (!groupId) return false;
+  return admin.groups.some(prefix => groupId.toString().toLowerCase().startsWith(prefix));
+}
+
+function hasPermission(admin, permission, groupId = null) {
+  if (!admin || !ROLE_PERMISSIONS[admin.role].includes(permission)) return false;
+  if (GROUP_SCOPED_PERMS.has(permission)) return adminCoversGroup(admin, groupId);
+  return true;
+}
+
+// نقطة التحقق الوحيدة لكل أوامر وأزرار الأدمن
+// غير الأدمن يتم تجاهله بصمت، والأدمن بدون الصلاحية يصله رد برفض العملية
+async function authorize(ctx, permission, groupId = null) {
+  const admin = getAdmin(ctx.from?.id);
+  if (!admin) {
+    if (ctx.callbackQuery) {
+      try { await ctx.answerCbQuery("❌ مخصص للأدمن فقط"); } catch (e) {}
+    }
+    return false;
+  }
+  if (hasPermission(admin, permission, groupId)) return true;
+
+  console.log(`⛔ Admin ${admin.id} (${admin.role}) denied ${permission}${groupId ? ` on group ${groupId}` : ""}`);
+  if (ctx.callbackQuery) {
+    try { await ctx.answerCbQuery("⛔ ليست لديك صلاحية لهذا الإجراء"); } catch (e) {}
+  } else {
+    try { await ctx.reply("⛔ ليست لديك صلاحية لهذا الإجراء"); } catch (e) {}
+  }
+  return false;
+}
+
+// من يستلم إشعارات صلاحية معينة (مثلاً إثباتات الدفع لمجموعة)
+function getAdminRecipients(permission, groupId = null) {
+  return [...ADMINS.values()].filter(a => hasPermission(a, permission, groupId)).map(a => a.id);
+}
 
 // تحقق من DATABASE_URL
 const dbUrl = process.env.DATABASE_URL;
@@ -90,6 +198,1224 @@ async function q(sql, params) {
   }
 }
 
+// تنفيذ عدة استعلامات داخل معاملة واحدة: إما تنجح كلها أو لا يُطبق شيء
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn((sql, params) => client.query(sql, params));
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    console.error("❌ DB Transaction Error:", err.message);
+    try { await client.query("ROLLBACK"); } catch (e) {}
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ==================== AUDIT LOG ====================
+// كل إجراء أدمن وكل عقوبة تلقائية يُسجل في audit_log
+// actor: ctx لأوامر وأزرار الأدمن، أو اسم المهمة التلقائية (مثل "midnight_penalties")
+
+// الإجراءات التي تُحسب كعقوبة في /metrics عندما ينفذها النظام تلقائياً
+const PENALTY_AUDIT_ACTIONS = new Set(["penalty_warning", "codes_suspended", "uploads_blocked", "user_deleted", "user_ban"]);
+
+// actor: ctx من تيليجرام، أو كائن أدمن من ADMINS (طلبات الـ API)، أو اسم مهمة
+function auditActor(actor) {
+  if (actor && typeof actor === "object" && actor.from) {
+    const admin = getAdmin(actor.from.id);
+    return { type: "admin", id: actor.from.id.toString(), role: admin?.role || null };
+  }
+  if (actor && typeof actor === "object" && actor.role) {
+    return { type: "admin", id: actor.id.toString(), role: actor.role };
+  }
+  return { type: "system", id: actor || "system", role: null };
+}
+
+// user: صف من users (id, auto_name, telegram_id, group_id) - يُحفظ الاسم لأن المستخدم قد يُحذف لاحقاً
+// tq: لتسجيل الحدث داخل نفس المعاملة (withTransaction)
+async function logAudit(actor, action, { user = null, groupId = null, reason = null, details = null } = {}, tq = q) {
+  const a = auditActor(actor);
+  try {
+    await tq(
+      `INSERT INTO audit_log (actor_type, actor_id, actor_role, action, target_user_id, target_user_name, target_telegram_id, group_id, reason, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        a.type, a.id, a.role, action,
+        user?.id || null, user?.auto_name || null, user?.telegram_id?.toString() || null,
+        groupId || user?.group_id || null, reason, details ? JSON.stringify(details) : null,
+      ]
+    );
+    if (a.type === "system" && PENALTY_AUDIT_ACTIONS.has(action)) {
+      incMetric("bot_penalties_applied_total", { action });
+    }
+  } catch (err) {
+    // داخل معاملة يجب أن يفشل كل شيء معاً
+    if (tq !== q) throw err;
+    console.error(`❌ logAudit ${action}:`, err.message);
+  }
+}
+
+// أرشفة المستخدم بدلاً من حذفه: يبقى صفه وأكواده وتوزيعاته وعقوباته ودفعاته، لكنه يخرج من التوزيع
+// وعدد أعضاء المجموعة والتذكيرات، ويستطيع التسجيل من جديد (إلا إذا حُظر)
+// blacklist: { reason, bannedBy } لإضافته للقائمة السوداء في نفس المعاملة
+// actor/reason/details: يُسجلون في audit_log مع الأرشفة
+// tq: للأرشفة داخل معاملة أخرى (حسم نزاع)
+async function archiveUser(userId, { blacklist = null, actor = "system", reason = null, details = null } = {}, tq = null) {
+  const archive = async (tq) => {
+    const user = await tq(
+      `SELECT id, telegram_id, phone, auto_name, group_id FROM users WHERE id=$1 AND status='active' FOR UPDATE`,
+      [userId]
+    );
+    if (user.rowCount === 0) return null;
+    const userData = user.rows[0];
+
+    // الصف الذي أنشأه الحظر فقط يُحفظ في archive_blacklist_id (الرقم المحظور مسبقاً يبقى عند الاستعادة)
+    let blacklistId = null;
+    if (blacklist) {
+      const existing = await tq(`SELECT id FROM blacklist WHERE phone=$1`, [userData.phone]);
+      if (existing.rowCount > 0) {
+        await tq(`UPDATE blacklist SET reason=$2, banned_at=NOW() WHERE id=$1`, [existing.rows[0].id, blacklist.reason]);
+      } else {
+        blacklistId = (await tq(
+          `INSERT INTO blacklist (phone, telegram_id, reason, banned_by) VALUES ($1, $2, $3, $4) RETURNING id`,
+          [userData.phone, userData.telegram_id, blacklist.reason, blacklist.bannedBy]
+        )).rows[0].id;
+      }
+    }
+
+    // التوزيعات المفتوحة (له أو لأكواده) تُلغى، ومهمة slot_reclamation تعطي مقاعد أكواد الآخرين لعضو آخر
+    await tq(
+      `UPDATE code_view_assignments SET cancelled=true, cancel_reason='archived'
+       WHERE used=false AND cancelled=false
+         AND (assigned_to_user_id=$1 OR code_id IN (SELECT id FROM codes WHERE owner_id=$1))`,
+      [userId]
+    );
+    await tq(
+      `UPDATE claim_disputes SET status='void', resolved_at=NOW(), resolved_by='system'
+       WHERE status = ANY($2::text[]) AND (owner_id=$1 OR viewer_id=$1)`,
+      [userId, OPEN_DISPUTE_STATUSES]
+    );
+    await tq(
+      `UPDATE users SET status='archived', archived_at=NOW(), archive_reason=$2, archived_by=$3, archive_blacklist_id=$4 WHERE id=$1`,
+      [userId, reason || blacklist?.reason || null, auditActor(actor).id, blacklistId]
+    );
+
+    await logAudit(actor, blacklist ? "user_ban" : "user_deleted", {
+      user: userData,
+      reason: reason || blacklist?.reason || null,
+      details: { ...details, phone: userData.phone, archived: true, ...(blacklist ? { blacklisted: true } : {}) },
+    }, tq);
+
+    console.log(`🗄️ Archived user ${userId} (${userData.auto_name})`);
+    return userData;
+  };
+  return tq ? archive(tq) : withTransaction(archive);
+}
+
+// إعادة حساب مؤرشف لمجموعته (أو groupId) مع احترام max_users، وإزالة صف القائمة السوداء الذي أنشأه حظره
+// tq: للاستعادة داخل معاملة أخرى (قرار التظلم)، وحينها إشعار العضو على المتصل
+// يرجع { user, unbanned } أو { error }
+async function restoreUser(userId, actor, { groupId = null } = {}, tq = null) {
+  const restore = async (tq) => {
+    const res = await tq(`SELECT * FROM users WHERE id=$1 FOR UPDATE`, [userId]);
+    if (res.rowCount === 0) return { error: "User not found" };
+    const userData = res.rows[0];
+    if (userData.status !== "archived") return { error: "User is not archived" };
+    const registered = await tq(`SELECT auto_name FROM users WHERE telegram_id=$1 AND status='active'`, [userData.telegram_id]);
+    if (registered.rowCount > 0) return { error: `User has registered again as ${registered.rows[0].auto_name}` };
+
+    const targetGroupId = groupId || userData.group_id;
+    const group = await tq(`SELECT id, max_users FROM groups WHERE id=$1 FOR UPDATE`, [targetGroupId]);
+    if (group.rowCount === 0) return { error: "Group not found" };
+    const members = await tq(`SELECT COUNT(*) FROM users WHERE group_id=$1 AND status='active'`, [targetGroupId]);
+    if (parseInt(members.rows[0].count) >= group.rows[0].max_users) return { error: "Group is full" };
+
+    const unbanned = userData.archive_blacklist_id
+      ? (await tq(`DELETE FROM blacklist WHERE id=$1`, [userData.archive_blacklist_id])).rowCount > 0
+      : false;
+    const updated = await tq(
+      `UPDATE users SET status='active', archived_at=NULL, archive_reason=NULL, archived_by=NULL, archive_blacklist_id=NULL, group_id=$2
+       WHERE id=$1 RETURNING *`,
+      [userId, targetGroupId]
+    );
+    await logAudit(actor, "user_restored", {
+      user: updated.rows[0],
+      details: {
+        archived_at: userData.archived_at, archive_reason: userData.archive_reason,
+        ...(targetGroupId !== userData.group_id ? { from_group: userData.group_id } : {}),
+        ...(unbanned ? { unbanned: true } : {}),
+      },
+    }, tq);
+    console.log(`♻️ Restored user ${userData.auto_name} to group ${targetGroupId}`);
+    return { user: updated.rows[0], unbanned };
+  };
+  if (tq) return restore(tq);
+  const result = await withTransaction(restore);
+  if (!result.error) {
+    await enqueueMessage(
+      result.user.telegram_id,
+      `♻️ تمت إعادة حسابك ${result.user.auto_name}\n\n📦 ستصلك الأكواد من جديد مع التوزيع القادم`,
+      await getDynamicKeyboard(result.user.telegram_id),
+      "user_restored"
+    );
+  }
+  return result;
+}
+
+// حذف حساب مؤرشف نهائياً مع كل بياناته (أكواد، توزيعات، عقوبات، دفعات) في معاملة واحدة
+// يستخدمه archive_retention فقط؛ penalty_records و audit_log تبقى
+async function purgeUser(userId, { actor = "system", reason = null, details = null } = {}) {
+  return withTransaction(async (tq) => {
+    const user = await tq(
+      `SELECT id, telegram_id, phone, auto_name, group_id, archived_at FROM users WHERE id=$1 AND status='archived' FOR UPDATE`,
+      [userId]
+    );
+    if (user.rowCount === 0) return null;
+    const userData = user.rows[0];
+
+    await tq(
+      `DELETE FROM code_view_assignments
+       WHERE assigned_to_user_id=$1 OR code_id IN (SELECT id FROM codes WHERE owner_id=$1)`,
+      [userId]
+    );
+    await tq(`DELETE FROM codes WHERE owner_id=$1`, [userId]);
+    await tq(`DELETE FROM user_penalties WHERE user_id=$1`, [userId]);
+    await tq(`DELETE FROM confirmation_penalties WHERE user_id=$1`, [userId]);
+    await tq(`DELETE FROM verification_penalties WHERE user_id=$1`, [userId]);
+    await tq(`DELETE FROM report_penalties WHERE user_id=$1`, [userId]);
+    await tq(`DELETE FROM payments WHERE user_id=$1`, [userId]);
+    await tq(`DELETE FROM users WHERE id=$1`, [userId]);
+
+    await logAudit(actor, "user_purged", {
+      user: userData,
+      reason,
+      details: { ...details, phone: userData.phone, archived_at: userData.archived_at },
+    }, tq);
+
+    console.log(`🗑️ Purged user ${userId} (${userData.auto_name})`);
+    return userData;
+  });
+}
+
+// يُستدعى من مهمة archive_retention: الحسابات المؤرشفة منذ أكثر من archive_retention_days
+async function purgeExpiredArchives() {
+  const days = (await getAdminSettings()).archive_retention_days;
+  const expired = await q(
+    `SELECT id FROM users WHERE status='archived' AND archived_at <= NOW() - make_interval(days => $1::int)`,
+    [days]
+  );
+  let purged = 0;
+  for (const row of expired.rows) {
+    try {
+      if (await purgeUser(row.id, { actor: "archive_retention", reason: `archived for more than ${days} days` })) purged++;
+    } catch (err) {
+      console.error(`❌ Purge archived user ${row.id}:`, err.message);
+    }
+  }
+  return purged;
+}
+
+// ==================== USER MANAGEMENT ====================
+// عمليات مشتركة بين أوامر تيليجرام والـ API
+
+async function findUser(identifier) {
+  const res = await q(
+    `SELECT * FROM users WHERE (id::text=$1 OR auto_name=$1 OR phone=$1 OR telegram_id=$1) AND status='active' LIMIT 1`,
+    [identifier.toString()]
+  );
+  return res.rows[0] || null;
+}
+
+// آخر حساب مؤرشف يطابق المعرف (للاستعادة)
+async function findArchivedUser(identifier) {
+  const res = await q(
+    `SELECT * FROM users WHERE (id::text=$1 OR auto_name=$1 OR phone=$1 OR telegram_id=$1) AND status='archived'
+     ORDER BY archived_at DESC LIMIT 1`,
+    [identifier.toString()]
+  );
+  return res.rows[0] || null;
+}
+
+// حظر مستخدم: قائمة سوداء + أرشفة الحساب + إشعاره
+async function banUser(userData, reason, actor) {
+  const archived = await archiveUser(userData.id, { blacklist: { reason, bannedBy: auditActor(actor).id }, actor });
+  if (!archived) return null;
+  try {
+    await bot.telegram.sendMessage(userData.telegram_id, `🚫 تم حظرك من البوت\n\n📋 السبب: ${reason}\n\n⚠️ تم إيقاف حسابك ولن توزع أكوادك بعد الآن\n❌ لن تتمكن من التسجيل مرة أخرى`);
+  } catch (e) {
+    console.log("Could not send ban message to user");
+  }
+  return archived;
+}
+
+async function addToBlacklist(phone, reason, actor) {
+  await q(
+    `INSERT INTO blacklist (phone, reason, banned_by) VALUES ($1, $2, $3) ON CONFLICT (phone) DO UPDATE SET reason=$2, banned_at=NOW()`,
+    [phone, reason, auditActor(actor).id]
+  );
+  await logAudit(actor, "blacklist_add", { reason, details: { phone } });
+}
+
+// يرجع true إذا كان موجوداً وتم حذفه
+async function removeFromBlacklist(identifier, actor) {
+  const result = await q(`DELETE FROM blacklist WHERE phone=$1 OR telegram_id=$1`, [identifier]);
+  if (result.rowCount === 0) return false;
+  await logAudit(actor, "blacklist_remove", { details: { identifier } });
+  return true;
+}
+
+// نقل مستخدم لمجموعة أخرى مع احترام max_users
+// يرجع { user } أو { error }
+async function moveUser(userData, groupId, actor) {
+  if (userData.group_id === groupId) return { error: "User is already in this group" };
+  return withTransaction(async (tq) => {
+    const group = await tq(`SELECT id, max_users FROM groups WHERE id=$1 FOR UPDATE`, [groupId]);
+    if (group.rowCount === 0) return { error: "Group not found" };
+    const members = await tq(`SELECT COUNT(*) FROM users WHERE group_id=$1 AND status='active'`, [groupId]);
+    if (parseInt(members.rows[0].count) >= group.rows[0].max_users) return { error: "Group is full" };
+
+    const updated = await tq(`UPDATE users SET group_id=$1 WHERE id=$2 RETURNING *`, [groupId, userData.id]);
+    if (updated.rowCount === 0) return { error: "User not found" };
+    await logAudit(actor, "user_moved", {
+      user: updated.rows[0],
+      details: { from_group: userData.group_id, to_group: groupId },
+    }, tq);
+    console.log(`🔀 Moved user ${userData.auto_name} to group ${groupId}`);
+    return { user: updated.rows[0] };
+  });
+}
+
+// ==================== PENALTY SWITCH ====================
+// admin_settings.penalties_active (عام) و groups.penalties_active (تجاوز للمجموعة، NULL = يتبع العام)
+// وهي متوقفة: لا عقوبة ولا زيادة في عدادات المخالفات، بل تُسجل العقوبة التي كانت ستُطبق في penalty_shadow_log
+
+async function penaltiesEnabled(groupId) {
+  return (await getGroupSettings(groupId)).penalties_active;
+}
+
+// user: صف من users (id, auto_name, telegram_id, group_id)
+async function logShadowPenalty(source, action, { user, offence, strike, reason = null, details = null }, tq = q) {
+  try {
+    await tq(
+      `INSERT INTO penalty_shadow_log (source, action, offence, strike, user_id, user_name, telegram_id, group_id, reason, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        source, action, offence, strike,
+        user.id, user.auto_name || null, user.telegram_id?.toString() || null, user.group_id || null,
+        reason, details ? JSON.stringify(details) : null,
+      ]
+    );
+    console.log(`👻 Penalties off - ${action} (${offence} #${strike}) for ${user.auto_name || user.id} recorded in shadow log`);
+  } catch (err) {
+    console.error(`❌ logShadowPenalty ${action}:`, err.message);
+  }
+}
+
+// السجل غير المراجع للمجموعات التي ستتأثر بإعادة التفعيل
+// groupId = null: المجموعات التي تتبع الإعداد العام (بدون تجاوز)
+async function getPendingShadowPenalties(groupId = null, limit = 15) {
+  const scope = `l.reviewed_at IS NULL AND ${groupId ? "l.group_id = $1" : "(g.penalties_active IS NULL OR l.group_id IS NULL)"}`;
+  const params = groupId ? [groupId] : [];
+  const summary = await q(
+    `SELECT l.action, COUNT(*)::int AS count, COUNT(DISTINCT l.user_id)::int AS users
+     FROM penalty_shadow_log l LEFT JOIN groups g ON g.id = l.group_id
+     WHERE ${scope} GROUP BY l.action ORDER BY l.action`,
+    params
+  );
+  const recent = await q(
+    `SELECT l.* FROM penalty_shadow_log l LEFT JOIN groups g ON g.id = l.group_id
+     WHERE ${scope} ORDER BY l.created_at DESC LIMIT ${limit}`,
+    params
+  );
+  return { summary: summary.rows, recent: recent.rows, total: summary.rows.reduce((n, r) => n + r.count, 0) };
+}
+
+// بعد إعادة التفعيل: كل سجل لمجموعة أصبحت عقوباتها نشطة يُعتبر مُراجعاً
+async function markShadowPenaltiesReviewed(actor) {
+  const res = await q(
+    `UPDATE penalty_shadow_log l SET reviewed_at=NOW(), reviewed_by=$1
+     WHERE l.reviewed_at IS NULL
+       AND COALESCE((SELECT g.penalties_active FROM groups g WHERE g.id = l.group_id),
+                    (SELECT s.penalties_active FROM admin_settings s WHERE s.id = 1), true) = true`,
+    [auditActor(actor).id]
+  );
+  return res.rowCount;
+}
+
+const SHADOW_ACTION_LABELS = {
+  penalty_warning: "⚠️ تحذير",
+  codes_suspended: "⏸️ حجب الأكواد",
+  uploads_blocked: "📤 إيقاف رفع الأكواد",
+  user_deleted: "🗑️ حذف الحساب",
+  user_ban: "🚫 حظر",
+};
+
+function formatShadowPenalties(pending) {
+  if (pending.total === 0) return "👻 لا توجد عقوبات مسجلة أثناء الإيقاف.";
+  let text = `👻 عقوبات كانت ستُطبق أثناء الإيقاف (${pending.total}):\n`;
+  for (const row of pending.summary) {
+    text += `• ${SHADOW_ACTION_LABELS[row.action] || row.action}: ${row.count} (${row.users} مستخدم)\n`;
+  }
+  text += `\nآخر السجلات:\n`;
+  for (const row of pending.recent) {
+    text += `• ${row.created_at.toISOString().slice(0, 16).replace("T", " ")} ${row.user_name || row.telegram_id} - ${SHADOW_ACTION_LABELS[row.action] || row.action} (${row.offence} #${row.strike})\n`;
+  }
+  return text;
+}
+
+// ==================== PENALTY POLICY ====================
+// سلم العقوبات في penalty_policy: (المخالفة، رقم المرة) → الإجراء
+// صفوف group_id = NULL هي الافتراضي، وصف المجموعة يحل محل الافتراضي لنفس المخالفة والمرة
+
+const PENALTY_OFFENCES = {
+  missed_day: { label: "عدم استخدام الكود", title: "❌ فاتك كود اليوم!" },
+  no_confirmation: { label: "عدم تأكيد من استخدم أكوادك", title: "⚠️ لم تقم بتأكيد من استخدم أكوادك أمس!" },
+  false_claim: { label: "اعتراض صاحب الكود على استخدامك", title: "⚠️ ثبت الاعتراض على استخدامك للكود!" },
+  false_report: { label: "اعتراض خاطئ على من استخدم كودك", title: "⚠️ ثبت أن اعتراضك على استخدام كودك كان خاطئاً!" },
+};
+
+// عداد كل مخالفة: الجدول والعمود وعمود تاريخ آخر مخالفة (user_penalties قد يحوي أكثر من صف للمستخدم)
+const STRIKE_COUNTERS = {
+  missed_day: { table: "user_penalties", column: "missed_days", last: "penalty_date" },
+  no_confirmation: { table: "confirmation_penalties", column: "no_confirmation_count", last: "last_missed" },
+  false_claim: { table: "verification_penalties", column: "false_claim_count", last: "last_false" },
+  false_report: { table: "report_penalties", column: "false_report_count", last: "last_false_report" },
+};
+
+// action → اسم الحدث في audit_log و penalty_shadow_log
+const PENALTY_ACTIONS = {
+  warn: { audit: "penalty_warning", needsDays: false },
+  suspend: { audit: "codes_suspended", needsDays: true },
+  block_uploads: { audit: "uploads_blocked", needsDays: true },
+  delete: { audit: "user_deleted", needsDays: false },
+  ban: { audit: "user_ban", needsDays: false },
+};
+
+// يرجع { missed_day: [{ strike, action, days, group_id }], ... } مرتبة حسب strike
+async function getPenaltyPolicy(groupId = null) {
+  const res = await q(
+    `SELECT DISTINCT ON (offence, strike) offence, strike, action, days, group_id
+     FROM penalty_policy
+     WHERE group_id IS NULL OR group_id = $1
+     ORDER BY offence, strike, group_id NULLS LAST`,
+    [groupId]
+  );
+  const policy = Object.fromEntries(Object.keys(PENALTY_OFFENCES).map(o => [o, []]));
+  for (const row of res.rows) {
+    if (policy[row.offence]) policy[row.offence].push(row);
+  }
+  return policy;
+}
+
+// القاعدة لأعلى مرة <= strike (ما بعد آخر مرة مُعرفة يأخذ آخر قاعدة)
+function penaltyRuleFor(ladder, strike) {
+  let rule = null;
+  for (const r of ladder) {
+    if (r.strike <= strike) rule = r;
+  }
+  return rule || { strike, action: "warn", days: null };
+}
+
+function describePenaltyRule(rule) {
+  switch (rule.action) {
+    case "warn": return "تحذير";
+    case "suspend": return `حجب أكوادك ${rule.days} يوم`;
+    case "block_uploads": return `إيقاف رفع الأكواد ${rule.days} يوم`;
+    case "delete": return "حذف الحساب وكل الأكواد";
+    case "ban": return "حظر نهائي من البوت";
+    default: return rule.action;
+  }
+}
+
+// عدد مرات المخالفة الحالي (قبل المخالفة الجديدة)
+async function currentStrikes(offence, userId, tq = q) {
+  const { table, column } = STRIKE_COUNTERS[offence];
+  const res = await tq(
+    offence === "missed_day"
+      ? `SELECT missed_days AS strikes FROM user_penalties WHERE user_id=$1 ORDER BY created_at DESC LIMIT 1`
+      : `SELECT ${column} AS strikes FROM ${table} WHERE user_id=$1`,
+    [userId]
+  );
+  return res.rowCount > 0 ? res.rows[0].strikes : 0;
+}
+
+// تسجيل مخالفة جديدة، يرجع رقم المرة بعد الزيادة
+async function addStrike(offence, userId, tq = q) {
+  if (offence === "missed_day") {
+    const updated = await tq(
+      `UPDATE user_penalties SET missed_days = missed_days + 1, penalty_date = CURRENT_DATE
+       WHERE id = (SELECT id FROM user_penalties WHERE user_id=$1 ORDER BY created_at DESC LIMIT 1)
+       RETURNING missed_days AS strikes`,
+      [userId]
+    );
+    if (updated.rowCount > 0) return updated.rows[0].strikes;
+    await tq(`INSERT INTO user_penalties (user_id, missed_days, penalty_date) VALUES ($1, 1, CURRENT_DATE)`, [userId]);
+    return 1;
+  }
+  const { table, column, last } = STRIKE_COUNTERS[offence];
+  const res = await tq(
+    `INSERT INTO ${table} (user_id, ${column}, ${last}) VALUES ($1, 1, NOW())
+     ON CONFLICT (user_id) DO UPDATE SET ${column} = ${table}.${column} + 1, ${last} = NOW()
+     RETURNING ${column} AS strikes`,
+    [userId]
+  );
+  return res.rows[0].strikes;
+}
+
+function penaltyNotice(offence, rule, nextRule) {
+  const lines = [PENALTY_OFFENCES[offence].title, ""];
+  if (rule.action === "delete") {
+    lines.push("🚫 تم حذف حسابك من البوت", "📋 لن توزع أكوادك بعد الآن", "", "⚠️ لإعادة التسجيل: استخدم /تسجيل");
+  } else if (rule.action === "ban") {
+    lines.push("🚫 تم حظرك من البوت", "📋 تم إيقاف حسابك ولن توزع أكوادك بعد الآن", "", "❌ لن تتمكن من التسجيل مرة أخرى");
+  } else {
+    lines.push(`📌 المرة رقم ${rule.strike_count}`, `🚫 العقوبة: ${describePenaltyRule(rule)}`);
+    if (rule.until) lines.push(`⏳ حتى ${rule.until}`);
+    if (offence === "missed_day") lines.push("📅 تم نقل الأكواد غير المستخدمة لليوم التالي");
+    lines.push("", `⚠️ المرة القادمة: ${describePenaltyRule(nextRule)}`);
+  }
+  return lines.join("\n");
+}
+
+// تطبيق سلم العقوبات على مخالفة واحدة (أو تسجيلها في penalty_shadow_log إذا كانت العقوبات متوقفة)
+// user: صف من users (id, auto_name, telegram_id, group_id)
+// tq: لتطبيق العقوبة داخل معاملة المتصل (حسم نزاع)، وحينها تُرسل رسالة العقوبة فقط إذا نجحت المعاملة
+// يرجع { strike, rule, shadow }
+async function applyPenalty(source, offence, user, { details = null } = {}, tq = null) {
+  const run = tq || q;
+  const reason = PENALTY_OFFENCES[offence].label;
+  const ladder = (await getPenaltyPolicy(user.group_id))[offence];
+
+  if (!(await penaltiesEnabled(user.group_id))) {
+    const strike = (await currentStrikes(offence, user.id, run)) + 1;
+    const rule = penaltyRuleFor(ladder, strike);
+    await logShadowPenalty(source, PENALTY_ACTIONS[rule.action].audit, {
+      user, offence, strike, reason, details: { ...details, rule: rule.action, days: rule.days },
+    }, run);
+    return { strike, rule, shadow: true };
+  }
+
+  const strike = await addStrike(offence, user.id, run);
+  const rule = penaltyRuleFor(ladder, strike);
+  const auditDetails = { offence, strike, rule: rule.action, ...(rule.days ? { days: rule.days } : {}), ...details };
+
+  let suspendedCodeIds = null;
+  let until = null;
+  switch (rule.action) {
+    case "suspend":
+      suspendedCodeIds = (await run(
+        `UPDATE codes SET status='suspended', suspension_until=(NOW() + make_interval(days => $2::int))
+         WHERE owner_id=$1 AND status='active' RETURNING id`,
+        [user.id, rule.days]
+      )).rows.map(r => r.id);
+      break;
+    case "block_uploads": {
+      const blocked = await run(
+        `UPDATE users SET uploads_blocked_until = NOW() + make_interval(days => $2::int) WHERE id=$1 RETURNING uploads_blocked_until`,
+        [user.id, rule.days]
+      );
+      if (blocked.rowCount > 0) {
+        const { timezone } = await getGroupSettings(user.group_id);
+        until = `${localDateTime(timezone, blocked.rows[0].uploads_blocked_until)} (${timezone})`;
+      }
+      break;
+    }
+    case "delete":
+      await archiveUser(user.id, { actor: source, reason, details: auditDetails }, tq);
+      break;
+    case "ban":
+      await archiveUser(user.id, { blacklist: { reason, bannedBy: source }, actor: source, reason, details: auditDetails }, tq);
+      break;
+  }
+  // الحذف والحظر يسجلهما archiveUser
+  if (rule.action !== "delete" && rule.action !== "ban") {
+    await logAudit(source, PENALTY_ACTIONS[rule.action].audit, { user, reason, details: auditDetails }, run);
+  }
+
+  const record = await run(
+    `INSERT INTO penalty_records (source, offence, strike, action, days, user_id, user_name, telegram_id, group_id, details, suspended_code_ids)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id`,
+    [
+      source, offence, strike, rule.action, rule.days || null,
+      user.id, user.auto_name || null, user.telegram_id.toString(), user.group_id || null,
+      details ? JSON.stringify(details) : null, suspendedCodeIds,
+    ]
+  );
+  await enqueueMessage(
+    user.telegram_id,
+    penaltyNotice(offence, { ...rule, strike_count: strike, until }, penaltyRuleFor(ladder, strike + 1)) +
+      `\n\n⚖️ إذا كانت العقوبة خاطئة يمكنك التظلم خلال ${APPEAL_WINDOW_DAYS} أيام`,
+    Markup.inlineKeyboard([[Markup.button.callback("⚖️ تظلم", `appeal_${record.rows[0].id}`)]]),
+    `penalty_${offence}`,
+    run
+  );
+  console.log(`⚖️ ${offence} #${strike} for ${user.auto_name || user.id}: ${rule.action}${rule.days ? ` ${rule.days}d` : ""}`);
+  return { strike, rule, shadow: false };
+}
+
+// تخفيض عدد المخالفات مرة واحدة لكل strike_decay_days يوم بدون مخالفة جديدة
+async function decayStrikes(groupId) {
+  const days = (await getGroupSettings(groupId)).strike_decay_days;
+  if (!days) return 0;
+  let decayed = 0;
+  for (const { table, column, last } of Object.values(STRIKE_COUNTERS)) {
+    const res = await q(
+      `UPDATE ${table} p SET ${column} = p.${column} - 1, strike_decayed_at = NOW()
+       FROM users u
+       WHERE u.id = p.user_id AND u.group_id = $1 AND p.${column} > 0
+         AND GREATEST(p.${last}::timestamptz, p.strike_decayed_at) <= NOW() - make_interval(days => $2::int)`,
+      [groupId, days]
+    );
+    decayed += res.rowCount;
+  }
+  if (decayed > 0) console.log(`🧹 Group ${groupId}: decayed ${decayed} strike counters (${days} clean days)`);
+  return decayed;
+}
+
+// groupId = null → تعديل السلم الافتراضي
+async function setPenaltyRule(groupId, offence, strike, action, days, actor) {
+  await q(
+    `INSERT INTO penalty_policy (group_id, offence, strike, action, days, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (COALESCE(group_id, '00000000-0000-0000-0000-000000000000'::uuid), offence, strike)
+     DO UPDATE SET action=EXCLUDED.action, days=EXCLUDED.days, updated_at=NOW(), updated_by=EXCLUDED.updated_by`,
+    [groupId, offence, strike, action, days, auditActor(actor).id]
+  );
+  await logAudit(actor, groupId ? "group_settings_update" : "settings_update", {
+    groupId, details: { key: "penalty_policy", offence, strike, action, days },
+  });
+}
+
+// حذف قواعد المجموعة لتعود للسلم الافتراضي (offence = null → كل المخالفات)
+async function resetPenaltyPolicy(groupId, offence, actor) {
+  const res = await q(
+    `DELETE FROM penalty_policy WHERE group_id=$1 AND ($2::text IS NULL OR offence=$2)`,
+    [groupId, offence]
+  );
+  await logAudit(actor, "group_settings_update", {
+    groupId, details: { key: "penalty_policy", reset: offence || "all", removed: res.rowCount },
+  });
+  return res.rowCount;
+}
+
+function formatPenaltyPolicy(policy, decayDays = null) {
+  let text = "";
+  for (const [offence, info] of Object.entries(PENALTY_OFFENCES)) {
+    text += `\n📌 ${offence} (${info.label}):\n`;
+    for (const rule of policy[offence]) {
+      text += `  ${rule.strike}. ${rule.action}${rule.days ? ` ${rule.days}d` : ""}${rule.group_id ? " ✏️" : ""}\n`;
+    }
+  }
+  text += `\n🧹 Strike decay: ${decayDays ? `${decayDays} clean days` : "Off"}`;
+  return text;
+}
+
+// نص العقوبات في رسالة /start من سلم المجموعة (أو الافتراضي لغير المسجلين)
+async function buildPenaltyRulesText(groupId = null) {
+  const policy = await getPenaltyPolicy(groupId);
+  let text = `⚠️ العقوبات:\n`;
+  for (const [offence, info] of Object.entries(PENALTY_OFFENCES)) {
+    const ladder = policy[offence];
+    if (ladder.length === 0) continue;
+    text += `\n📌 ${info.label}:\n`;
+    ladder.forEach((rule, i) => {
+      const last = i === ladder.length - 1;
+      text += `❌ المرة ${rule.strike}${last && rule.strike > 1 ? " فأكثر" : ""}: ${describePenaltyRule(rule)}\n`;
+    });
+  }
+  text += `\n📅 الأكواد غير المستخدمة تنتقل لليوم التالي`;
+  const decayDays = groupId ? (await getGroupSettings(groupId)).strike_decay_days : null;
+  if (decayDays) text += `\n🧹 تُمحى مخالفة بعد ${decayDays} يوم بدون مخالفات`;
+  return text;
+}
+
+// ==================== PENALTY APPEALS ====================
+// كل عقوبة مطبقة لها صف في penalty_records وزر "⚖️ تظلم" في رسالتها
+// الأدمن يقرر: uphold (تبقى كما هي)، reduce (رفع العقوبة مع بقاء المخالفة)، reverse (رفع العقوبة وإلغاء المخالفة)
+
+const APPEAL_WINDOW_DAYS = 7;
+
+const APPEAL_DECISIONS = {
+  uphold: { status: "upheld", label: "✅ تأييد العقوبة" },
+  reduce: { status: "reduced", label: "➖ تخفيف إلى تحذير" },
+  reverse: { status: "reversed", label: "↩️ إلغاء العقوبة" },
+};
+
+const APPEAL_STATUS_LABELS = {
+  open: "⏳ قيد المراجعة",
+  upheld: "✅ مؤيدة",
+  reduced: "➖ خُففت",
+  reversed: "↩️ أُلغيت",
+};
+
+const APPEAL_ERRORS = {
+  not_found: "❌ العقوبة غير موجودة",
+  already: "ℹ️ تم التظلم من هذه العقوبة من قبل",
+  expired: `⌛ انتهت مدة التظلم (${APPEAL_WINDOW_DAYS} أيام)`,
+  resolved: "ℹ️ تم البت في هذا التظلم بالفعل",
+};
+
+// يرجع null إذا كان التظلم مسموحاً، أو مفتاحاً من APPEAL_ERRORS
+async function appealBlockReason(recordId, telegramId) {
+  const res = await q(
+    `SELECT appeal_status, created_at > NOW() - make_interval(days => $3::int) AS in_window
+     FROM penalty_records WHERE id=$1 AND telegram_id=$2`,
+    [recordId, telegramId.toString(), APPEAL_WINDOW_DAYS]
+  );
+  if (res.rowCount === 0) return "not_found";
+  if (res.rows[0].appeal_status) return "already";
+  if (!res.rows[0].in_window) return "expired";
+  return null;
+}
+
+// يرجع { record } أو { error }
+async function openAppeal(recordId, telegramId, explanation) {
+  const blocked = await appealBlockReason(recordId, telegramId);
+  if (blocked) return { error: blocked };
+  const res = await q(
+    `UPDATE penalty_records SET appeal_status='open', appeal_text=$3, appealed_at=NOW()
+     WHERE id=$1 AND telegram_id=$2 AND appeal_status IS NULL RETURNING *`,
+    [recordId, telegramId.toString(), explanation]
+  );
+  if (res.rowCount === 0) return { error: "already" };
+  const record = res.rows[0];
+  await enqueueMessages(getAdminRecipients(PERM.GROUP_APPEALS, record.group_id).map(adminId => ({
+    chatId: adminId,
+    text: `⚖️ تظلم جديد #${record.id}\n\n` +
+      `👤 ${record.user_name || record.telegram_id}\n` +
+      `🆔 Group: ${record.group_id ? record.group_id.slice(0, 8) : "-"}\n` +
+      `📌 ${PENALTY_OFFENCES[record.offence]?.label || record.offence} - المرة ${record.strike}\n` +
+      `🚫 ${describePenaltyRule(record)}\n\n` +
+      `💬 ${explanation}`,
+    extra: Markup.inlineKeyboard([[Markup.button.callback("📂 فتح الملف", `appealview_${record.id}`)]]),
+  })), "penalty_appeal");
+  console.log(`⚖️ Appeal opened for penalty #${record.id} (${record.user_name || record.telegram_id})`);
+  return { record };
+}
+
+async function getOpenAppeals(admin) {
+  const res = await q(
+    `SELECT id, user_name, telegram_id, group_id, offence, strike, action, days, appealed_at
+     FROM penalty_records WHERE appeal_status='open' ORDER BY appealed_at`
+  );
+  return res.rows.filter(r => hasPermission(admin, PERM.GROUP_APPEALS, r.group_id));
+}
+
+// ملف القضية للأدمن: العقوبة، شرح العضو، التوزيعات التي بُنيت عليها، وسجل العضو
+async function buildAppealCase(recordId) {
+  const res = await q(`SELECT * FROM penalty_records WHERE id=$1`, [recordId]);
+  if (res.rowCount === 0) return null;
+  const r = res.rows[0];
+  const fmt = d => d.toISOString().slice(0, 16).replace("T", " ");
+
+  let text = `⚖️ تظلم #${r.id} - ${APPEAL_STATUS_LABELS[r.appeal_status] || "بدون تظلم"}\n\n` +
+    `👤 ${r.user_name || "-"} (TG: ${r.telegram_id})\n` +
+    `🆔 Group: ${r.group_id ? r.group_id.slice(0, 8) : "-"}\n` +
+    `📅 ${fmt(r.created_at)} (${r.source})\n` +
+    `📌 ${PENALTY_OFFENCES[r.offence]?.label || r.offence} - المرة ${r.strike}\n` +
+    `🚫 العقوبة: ${describePenaltyRule(r)}` +
+    (r.suspended_code_ids?.length ? ` (${r.suspended_code_ids.length} كود)` : "") + `\n\n` +
+    `💬 شرح العضو:\n${r.appeal_text || "-"}\n`;
+
+  const details = r.details || {};
+  const assignmentIds = details.assignment_ids || (details.assignment_id ? [details.assignment_id] : []);
+  if (assignmentIds.length > 0) {
+    const assignments = await q(
+      `SELECT a.assigned_date, a.presented_at, a.used, a.verified, a.marked_unused, a.cancelled, a.cancel_reason,
+              c.code_text, owner.auto_name AS owner_name, viewer.auto_name AS viewer_name
+       FROM code_view_assignments a
+       JOIN codes c ON c.id = a.code_id
+       JOIN users owner ON owner.id = c.owner_id
+       JOIN users viewer ON viewer.id = a.assigned_to_user_id
+       WHERE a.id = ANY($1::uuid[])
+       ORDER BY a.assigned_date, c.code_text`,
+      [assignmentIds]
+    );
+    text += `\n📋 التوزيعات (${assignments.rowCount}/${assignmentIds.length}):\n`;
+    for (const a of assignments.rows.slice(0, 15)) {
+      const state = a.cancelled ? `ملغي (${a.cancel_reason})` : a.verified ? "مؤكد" : a.used ? "تم الاستخدام" : a.marked_unused ? "لم يستخدم" : "بدون رد";
+      text += `• ${a.code_text} ${a.owner_name} → ${a.viewer_name}: ${state}` +
+        (a.presented_at ? ` (عُرض ${fmt(a.presented_at)})` : "") + `\n`;
+    }
+    if (assignments.rowCount < assignmentIds.length) text += `• ${assignmentIds.length - assignments.rowCount} توزيع حُذف مع حساب أحد الطرفين\n`;
+  }
+  if (details.date) text += `📆 يوم المخالفة: ${details.date}\n`;
+  if (details.reported_by) text += `🙋 المعترض (TG): ${details.reported_by}\n`;
+  if (details.dispute_id) text += `🧾 نزاع #${details.dispute_id} (${details.resolution === "timeout" ? "لم يُرسل إثبات في المهلة" : "بحكم أدمن"})\n`;
+
+  if (r.user_id) {
+    const user = await q(`SELECT status, archived_at FROM users WHERE id=$1`, [r.user_id]);
+    if (user.rowCount > 0) {
+      const strikes = [];
+      for (const offence of Object.keys(PENALTY_OFFENCES)) strikes.push(`${offence}: ${await currentStrikes(offence, r.user_id)}`);
+      text += `\n🔢 المخالفات الحالية: ${strikes.join(" · ")}\n`;
+      if (user.rows[0].status === "archived") text += `🗄️ الحساب مؤرشف منذ ${fmt(user.rows[0].archived_at)} (يعود لمجموعته عند التخفيف أو الإلغاء)\n`;
+    } else {
+      text += `\n🗑️ الحساب محذوف نهائياً\n`;
+    }
+  }
+
+  const history = await q(
+    `SELECT id, created_at, offence, strike, action, days, appeal_status
+     FROM penalty_records WHERE telegram_id=$1 AND id <> $2 ORDER BY created_at DESC LIMIT 10`,
+    [r.telegram_id, r.id]
+  );
+  text += `\n📜 العقوبات السابقة (${history.rowCount}):\n`;
+  for (const h of history.rows) {
+    text += `• #${h.id} ${fmt(h.created_at).slice(0, 10)} ${h.offence} #${h.strike}: ${describePenaltyRule(h)}` +
+      (h.appeal_status ? ` - ${APPEAL_STATUS_LABELS[h.appeal_status]}` : "") + `\n`;
+  }
+  if (history.rowCount === 0) text += `لا يوجد\n`;
+
+  return { record: r, text };
+}
+
+// decision: مفتاح من APPEAL_DECISIONS
+// يرجع { record, restored: { codes, uploads, unbanned, account, strike, assignment } } أو { error }
+async function resolveAppeal(recordId, decision, actor) {
+  const status = APPEAL_DECISIONS[decision].status;
+  const result = await withTransaction(async (tq) => {
+    const res = await tq(`SELECT * FROM penalty_records WHERE id=$1 FOR UPDATE`, [recordId]);
+    if (res.rowCount === 0) return { error: "not_found" };
+    const r = res.rows[0];
+    if (r.appeal_status !== "open") return { error: "resolved" };
+
+    const restored = { codes: 0, uploads: false, unbanned: false, account: false, strike: false, assignment: false };
+    if (decision !== "uphold") {
+      if (r.action === "suspend" && r.suspended_code_ids?.length) {
+        restored.codes = (await tq(
+          `UPDATE codes SET status='active', suspension_until=NULL WHERE id = ANY($1::uuid[]) AND status='suspended'`,
+          [r.suspended_code_ids]
+        )).rowCount;
+      }
+      if (r.action === "block_uploads" && r.user_id) {
+        restored.uploads = (await tq(`UPDATE users SET uploads_blocked_until=NULL WHERE id=$1`, [r.user_id])).rowCount > 0;
+      }
+      // فقط الصف الذي أنشأته العقوبة (banned_by = مصدرها)، لا حظر أضافه أدمن بنفسه
+      if (r.action === "ban") {
+        restored.unbanned = (await tq(`DELETE FROM blacklist WHERE telegram_id=$1 AND banned_by=$2`, [r.telegram_id, r.source])).rowCount > 0;
+      }
+      // الحساب أُرشف ولم يُحذف: يعود لمجموعته ما لم يُحذف نهائياً أو يسجل العضو من جديد
+      if ((r.action === "delete" || r.action === "ban") && r.user_id) {
+        const account = await restoreUser(r.user_id, actor, {}, tq);
+        if (account.error) {
+          restored.account_error = account.error;
+        } else {
+          restored.account = true;
+          restored.unbanned = restored.unbanned || account.unbanned;
+        }
+      }
+    }
+    if (decision === "reverse" && r.user_id) {
+      const { table, column } = STRIKE_COUNTERS[r.offence];
+      restored.strike = (await tq(
+        `UPDATE ${table} SET ${column} = GREATEST(${column} - 1, 0) WHERE user_id=$1 AND ${column} > 0`,
+        [r.user_id]
+      )).rowCount > 0;
+      // الاعتراض كان خاطئاً: الاستخدام يعود محسوباً
+      if (r.offence === "false_claim" && r.details?.assignment_id) {
+        restored.assignment = (await tq(
+          `UPDATE code_view_assignments SET cancelled=false, cancel_reason=NULL, used=true, verified=true
+           WHERE id=$1 AND cancel_reason='rejected'`,
+          [r.details.assignment_id]
+        )).rowCount > 0;
+      }
+    }
+
+    const updated = await tq(
+      `UPDATE penalty_records SET appeal_status=$2, resolved_at=NOW(), resolved_by=$3 WHERE id=$1 RETURNING *`,
+      [recordId, status, auditActor(actor).id]
+    );
+    await logAudit(actor, `appeal_${status}`, {
+      user: { id: r.user_id, auto_name: r.user_name, telegram_id: r.telegram_id, group_id: r.group_id },
+      details: { penalty_id: r.id, offence: r.offence, strike: r.strike, action: r.action, restored },
+    }, tq);
+    return { record: updated.rows[0], restored };
+  });
+  if (result.error) return result;
+
+  const r = result.record;
+  let message = `⚖️ نتيجة تظلمك من عقوبة "${PENALTY_OFFENCES[r.offence]?.label || r.offence}":\n\n`;
+  if (decision === "uphold") {
+    message += `✅ تم تأييد العقوبة بعد المراجعة.`;
+  } else {
+    message += decision === "reverse" ? `↩️ تم إلغاء العقوبة ولن تُحتسب عليك هذه المخالفة.` : `➖ تم تخفيف العقوبة إلى تحذير (تبقى المخالفة محسوبة).`;
+    if (result.restored.codes > 0) message += `\n▶️ تمت إعادة تفعيل ${result.restored.codes} من أكوادك.`;
+    if (result.restored.uploads) message += `\n📤 يمكنك رفع الأكواد من جديد.`;
+    if (result.restored.account) message += `\n♻️ تمت إعادة حسابك إلى مجموعتك وستصلك الأكواد من جديد.`;
+    if ((r.action === "delete" || r.action === "ban") && !(await q(`SELECT 1 FROM users WHERE telegram_id=$1 AND status='active'`, [r.telegram_id])).rowCount) {
+      message += `\n📝 يمكنك التسجيل من جديد عبر /تسجيل.`;
+    }
+  }
+  await enqueueMessage(r.telegram_id, message, {}, "penalty_appeal");
+  console.log(`⚖️ Appeal #${r.id} ${r.appeal_status}`);
+  return result;
+}
+
+function appealDecisionKeyboard(recordId) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(APPEAL_DECISIONS.uphold.label, `appealuphold_${recordId}`)],
+    [Markup.button.callback(APPEAL_DECISIONS.reduce.label, `appealreduce_${recordId}`)],
+    [Markup.button.callback(APPEAL_DECISIONS.reverse.label, `appealreverse_${recordId}`)],
+    [Markup.button.callback("◀️ Appeals", "appeals_list")],
+  ]);
+}
+
+// ==================== CLAIM DISPUTES ====================
+// "❌ اعتراض" لا يعاقب أحداً مباشرة: يفتح نزاعاً في claim_disputes
+// المستخدم يرسل لقطة شاشة خلال dispute_response_hours وإلا يُحسم لصالح صاحب الكود
+// مع الإثبات يحكم الأدمن، والعقوبة على الخاسر فقط: false_claim للمستخدم أو false_report لصاحب الكود
+
+const OPEN_DISPUTE_STATUSES = ["awaiting_viewer", "awaiting_admin"];
+
+const DISPUTE_ERRORS = {
+  not_found: "❌ التوزيع غير موجود",
+  not_owner: "⛔ هذا الكود ليس لك",
+  not_used: "ℹ️ المستخدم لم يضغط \"تم الاستخدام\" على هذا الكود",
+  verified: "ℹ️ تم تأكيد هذا الاستخدام بالفعل",
+  exists: "ℹ️ تم الاعتراض على هذا الاستخدام من قبل",
+  closed: "ℹ️ تم البت في هذا النزاع بالفعل",
+  expired: "⌛ انتهت مهلة الرد على هذا النزاع",
+};
+
+// يرجع { dispute } أو { error }
+async function openDispute(assignmentId, ownerTelegramId) {
+  const res = await q(
+    `SELECT a.id, a.used, a.verified, a.cancelled, c.code_text,
+            owner.id AS owner_id, owner.telegram_id AS owner_telegram_id, owner.group_id,
+            viewer.id AS viewer_id, viewer.telegram_id AS viewer_telegram_id
+     FROM code_view_assignments a
+     JOIN codes c ON c.id = a.code_id
+     JOIN users owner ON owner.id = c.owner_id
+     JOIN users viewer ON viewer.id = a.assigned_to_user_id AND viewer.status = 'active'
+     WHERE a.id=$1`,
+    [assignmentId]
+  );
+  if (res.rowCount === 0 || res.rows[0].cancelled) return { error: "not_found" };
+  const a = res.rows[0];
+  if (a.owner_telegram_id !== ownerTelegramId.toString()) return { error: "not_owner" };
+  if (!a.used) return { error: "not_used" };
+  if (a.verified) return { error: "verified" };
+
+  const hours = (await getAdminSettings()).dispute_response_hours;
+  const inserted = await q(
+    `INSERT INTO claim_disputes (assignment_id, code_text, group_id, owner_id, owner_telegram_id, viewer_id, viewer_telegram_id, respond_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(hours => $8::int))
+     ON CONFLICT (assignment_id) DO NOTHING RETURNING *`,
+    [a.id, a.code_text, a.group_id, a.owner_id, a.owner_telegram_id, a.viewer_id, a.viewer_telegram_id, hours]
+  );
+  if (inserted.rowCount === 0) return { error: "exists" };
+  const dispute = inserted.rows[0];
+
+  await enqueueMessage(
+    dispute.viewer_telegram_id,
+    `⚠️ صاحب الكود ${dispute.code_text} يقول إنه لم يجد اسمك في قائمة من استخدم الظرف الأحمر\n\n` +
+      `📸 لديك ${hours} ساعة لإرسال لقطة شاشة من بينانس تثبت أنك استلمت الظرف.\n` +
+      `⚠️ إذا لم ترسل إثباتاً تُطبق عليك عقوبة الاعتراض.\n` +
+      `⚖️ إذا أرسلت الإثبات تحكم الإدارة بينكما، وصاحب الكود يُعاقب إذا كان اعتراضه خاطئاً.`,
+    Markup.inlineKeyboard([[Markup.button.callback("📸 إرسال إثبات", `disputeproof_${dispute.id}`)]]),
+    "claim_dispute"
+  );
+  console.log(`🧾 Dispute #${dispute.id} opened on assignment ${a.id}`);
+  return { dispute, hours };
+}
+
+// null إذا كان المستخدم يستطيع إرسال الإثبات الآن، أو مفتاح من DISPUTE_ERRORS
+async function disputeEvidenceBlockReason(disputeId, viewerTelegramId) {
+  const res = await q(
+    `SELECT status, respond_by > NOW() AS in_time FROM claim_disputes WHERE id=$1 AND viewer_telegram_id=$2`,
+    [disputeId, viewerTelegramId.toString()]
+  );
+  if (res.rowCount === 0) return "not_found";
+  if (res.rows[0].status !== "awaiting_viewer") return "closed";
+  if (!res.rows[0].in_time) return "expired";
+  return null;
+}
+
+// يرجع { dispute } أو { error }
+async function submitDisputeEvidence(disputeId, viewerTelegramId, fileId, caption) {
+  const res = await q(
+    `UPDATE claim_disputes SET status='awaiting_admin', evidence_file_id=$3, evidence_caption=$4, responded_at=NOW()
+     WHERE id=$1 AND viewer_telegram_id=$2 AND status='awaiting_viewer' AND respond_by > NOW()
+     RETURNING *`,
+    [disputeId, viewerTelegramId.toString(), fileId, caption || null]
+  );
+  if (res.rowCount === 0) return { error: (await disputeEvidenceBlockReason(disputeId, viewerTelegramId)) || "closed" };
+  const dispute = res.rows[0];
+
+  await enqueueMessage(dispute.owner_telegram_id,
+    `🧾 المستخدم أرسل إثباتاً على استخدام كودك ${dispute.code_text}\n\n⚖️ ستحكم الإدارة في الاعتراض وتصلك النتيجة هنا.`,
+    {}, "claim_dispute");
+  for (const adminId of getAdminRecipients(PERM.GROUP_APPEALS, dispute.group_id)) {
+    await sendDisputeToAdmin(adminId, dispute);
+  }
+  console.log(`🧾 Dispute #${dispute.id} evidence received, waiting for an admin`);
+  return { dispute };
+}
+
+// الصورة لا تمر عبر الـ outbox (نص فقط) فتُرسل مباشرة مثل إثباتات الدفع
+async function sendDisputeToAdmin(chatId, dispute) {
+  const viewer = await q(`SELECT auto_name, binance_username FROM users WHERE id=$1`, [dispute.viewer_id]);
+  const owner = await q(`SELECT auto_name FROM users WHERE id=$1`, [dispute.owner_id]);
+  try {
+    await bot.telegram.sendPhoto(chatId, dispute.evidence_file_id, {
+      caption: `🧾 نزاع #${dispute.id}\n\n` +
+        `🆔 Group: ${dispute.group_id ? dispute.group_id.slice(0, 8) : "-"}\n` +
+        `🎟️ الكود: ${dispute.code_text}\n` +
+        `👤 صاحب الكود: ${owner.rows[0]?.auto_name || dispute.owner_telegram_id} (يقول: لم يُستخدم)\n` +
+        `👤 المستخدم: ${viewer.rows[0]?.auto_name || dispute.viewer_telegram_id}` +
+        (viewer.rows[0]?.binance_username ? ` - بينانس: ${viewer.rows[0].binance_username}` : "") + `\n` +
+        `💬 ${dispute.evidence_caption || "بدون تعليق"}\n\n` +
+        `من المحق؟`,
+      ...Markup.inlineKeyboard([
+        [Markup.button.callback("👤 صاحب الكود محق", `disputeowner_${dispute.id}`)],
+        [Markup.button.callback("📸 المستخدم محق", `disputeviewer_${dispute.id}`)],
+      ]),
+    });
+  } catch (err) {
+    console.error(`❌ Error sending dispute #${dispute.id} to admin ${chatId}:`, err.message);
+  }
+}
+
+// winner: "owner" (الاعتراض صحيح) أو "viewer" (الاعتراض خاطئ)
+// actor: ctx للأدمن أو "dispute_timeout"
+// يرجع { dispute, penalty } أو { error }
+async function resolveDispute(disputeId, winner, actor) {
+  const status = winner === "owner" ? "upheld" : "dismissed";
+  const byTimeout = auditActor(actor).type === "system";
+  const result = await withTransaction(async (tq) => {
+    const res = await tq(
+      `UPDATE claim_disputes SET status=$2, resolved_at=NOW(), resolved_by=$3
+       WHERE id=$1 AND status = ANY($4::text[]) RETURNING *`,
+      [disputeId, status, auditActor(actor).id, OPEN_DISPUTE_STATUSES]
+    );
+    if (res.rowCount === 0) return { error: "closed" };
+    const dispute = res.rows[0];
+
+    // إعادة التوزيع: المقعد الملغي تعطيه مهمة slot_reclamation لعضو آخر
+    if (winner === "owner") {
+      await tq(
+        `UPDATE code_view_assignments SET verified=false, used=false, cancelled=true, cancel_reason='rejected' WHERE id=$1`,
+        [dispute.assignment_id]
+      );
+    } else {
+      await tq(`UPDATE code_view_assignments SET verified=true WHERE id=$1`, [dispute.assignment_id]);
+    }
+
+    const loserId = winner === "owner" ? dispute.viewer_id : dispute.owner_id;
+    const loser = await tq(`SELECT id, telegram_id, auto_name, group_id FROM users WHERE id=$1 AND status='active'`, [loserId]);
+    const details = { dispute_id: dispute.id, assignment_id: dispute.assignment_id, reported_by: dispute.owner_telegram_id, resolution: byTimeout ? "timeout" : "admin" };
+    await logAudit(actor, `dispute_${status}`, { user: loser.rows[0] || null, groupId: dispute.group_id, details }, tq);
+
+    // العقوبة في نفس المعاملة: إذا فشلت يبقى النزاع مفتوحاً ليُحسم من جديد (الأدمن أو مهمة dispute_timeouts)
+    let penalty = null;
+    if (loser.rowCount > 0) {
+      penalty = await applyPenalty("claim_dispute", winner === "owner" ? "false_claim" : "false_report", loser.rows[0], { details }, tq);
+    }
+    return { dispute, penalty };
+  });
+  if (result.error) return result;
+  const { dispute, penalty } = result;
+
+  const ownerText = winner === "owner"
+    ? `✅ تم قبول اعتراضك على الكود ${dispute.code_text}` + (byTimeout ? ` (لم يرسل المستخدم إثباتاً في الوقت)` : "") + `\n♻️ سيُعطى المقعد لعضو آخر`
+    : `❌ تم رفض اعتراضك على الكود ${dispute.code_text}\n📸 الإدارة وجدت أن المستخدم استلم الظرف فعلاً`;
+  const viewerText = winner === "owner"
+    ? `❌ تم حسم النزاع على الكود ${dispute.code_text} لصالح صاحب الكود` + (byTimeout ? ` لعدم إرسال إثبات في الوقت` : "")
+    : `✅ تم قبول إثباتك على الكود ${dispute.code_text}\n👍 تم احتساب استخدامك بدون أي عقوبة`;
+  await enqueueMessages([
+    { chatId: dispute.owner_telegram_id, text: ownerText },
+    { chatId: dispute.viewer_telegram_id, text: viewerText },
+  ], "claim_dispute");
+  console.log(`🧾 Dispute #${dispute.id} ${status}${byTimeout ? " (timeout)" : ""}`);
+  return { dispute, penalty };
+}
+
+// صاحب الكود يؤكد الاستخدام بعد الاعتراض: يُغلق النزاع بدون عقوبة
+async function withdrawDispute(disputeId, ownerTelegramId) {
+  const res = await q(
+    `UPDATE claim_disputes SET status='withdrawn', resolved_at=NOW(), resolved_by=$2
+     WHERE id=$1 AND owner_telegram_id=$2 AND status = ANY($3::text[]) RETURNING *`,
+    [disputeId, ownerTelegramId.toString(), OPEN_DISPUTE_STATUSES]
+  );
+  if (res.rowCount === 0) return { error: "closed" };
+  const dispute = res.rows[0];
+  await q(`UPDATE code_view_assignments SET verified=true WHERE id=$1`, [dispute.assignment_id]);
+  await enqueueMessage(dispute.viewer_telegram_id,
+    `✅ صاحب الكود ${dispute.code_text} سحب اعتراضه وأكد استخدامك\n👍 لا توجد أي عقوبة`, {}, "claim_dispute");
+  console.log(`🧾 Dispute #${dispute.id} withdrawn`);
+  return { dispute };
+}
+
+// يُستدعى من مهمة dispute_timeouts
+async function expireDisputes() {
+  // التوزيع حُذف (حذف حساب أو دورة جديدة): لا يوجد ما يُحكم فيه
+  const voided = await q(
+    `UPDATE claim_disputes d SET status='void', resolved_at=NOW(), resolved_by='system'
+     WHERE d.status = ANY($1::text[])
+       AND NOT EXISTS (SELECT 1 FROM code_view_assignments a WHERE a.id = d.assignment_id)`,
+    [OPEN_DISPUTE_STATUSES]
+  );
+  const overdue = await q(`SELECT id FROM claim_disputes WHERE status='awaiting_viewer' AND respond_by <= NOW() ORDER BY respond_by`);
+  for (const row of overdue.rows) {
+    try {
+      await resolveDispute(row.id, "owner", "dispute_timeout");
+    } catch (err) {
+      console.error(`❌ Dispute #${row.id} timeout:`, err.message);
+    }
+  }
+  return { voided: voided.rowCount, expired: overdue.rowCount };
+}
+
+// ==================== ADMIN ACTIONS ====================
+// إجراءات لوحة الأدمن، مشتركة بين الأزرار والأوامر ولوحة الويب
+// actor: ctx أو كائن أدمن (يُسجل في audit_log)
+
+// via: مصدر الطلب للسجل ("/reset_cycle"، "delete_cycle"، "dashboard")
+async function resetCycle(actor, via) {
+  await q("DELETE FROM code_view_assignments");
+  await q("DELETE FROM codes");
+  await q("DELETE FROM user_penalties");
+  await q("DELETE FROM confirmation_penalties");
+  await q("DELETE FROM verification_penalties");
+  await q("DELETE FROM report_penalties");
+  await logAudit(actor, "cycle_reset", { details: { via } });
+}
+
+async function toggleAllSchedulers(actor) {
+  const s = await getAdminSettings();
+  const newVal = !s.is_scheduler_active;
+  await updateAdminSettings("is_scheduler_active", newVal);
+  await q("UPDATE groups SET is_scheduler_active = $1", [newVal]);
+  await logAudit(actor, "scheduler_toggle", { details: { active: newVal, scope: "all_groups" } });
+  return newVal;
+}
+
+async function togglePenalties(actor) {
+  const s = await getAdminSettings();
+  const newVal = !s.penalties_active;
+  await updateAdminSettings("penalties_active", newVal);
+  const reviewed = newVal ? await markShadowPenaltiesReviewed(actor) : 0;
+  await logAudit(actor, "penalties_toggle", { details: { active: newVal, ...(newVal ? { shadow_reviewed: reviewed } : {}) } });
+  return newVal;
+}
+
+// value: true / false أو null ليتبع الإعداد العام، يرجع الحالة الفعلية الجديدة
+async function setGroupPenalties(groupId, value, actor) {
+  await updateGroupSettings(groupId, "penalties_active", value);
+  const enabled = await penaltiesEnabled(groupId);
+  const reviewed = enabled ? await markShadowPenaltiesReviewed(actor) : 0;
+  await logAudit(actor, "group_penalties_toggle", { groupId, details: { override: value, active: enabled, ...(enabled ? { shadow_reviewed: reviewed } : {}) } });
+  return enabled;
+}
+
+// يرجع الحالة الجديدة أو null إذا لم توجد المجموعة
+async function toggleGroupScheduler(groupId, actor) {
+  const g = await q(`SELECT is_scheduler_active FROM groups WHERE id=$1`, [groupId]);
+  if (g.rowCount === 0) return null;
+  const newStatus = !g.rows[0].is_scheduler_active;
+  await updateGroupSettings(groupId, 'is_scheduler_active', newStatus);
+  await logAudit(actor, "group_scheduler_toggle", { groupId, details: { active: newStatus } });
+  return newStatus;
+}
+
+// groupId = null لكل المستخدمين، يرجع عدد الرسائل المجدولة
+async function broadcastMessage(message, actor, groupId = null) {
+  const users = await q(`SELECT telegram_id FROM users WHERE is_active=true AND status='active' AND ($1::uuid IS NULL OR group_id=$1)`, [groupId]);
+  const queued = await enqueueMessages(users.rows.map(row => ({
+    chatId: row.telegram_id,
+    text: groupId ? `📢 رسالة من الأدمن (Group ${groupId.slice(0, 8)}):\n\n${message}` : `📢 رسالة من الأدمن:\n\n${message}`,
+  })), groupId ? "group_broadcast" : "broadcast");
+  await logAudit(actor, groupId ? "group_broadcast" : "broadcast", { groupId, details: { recipients: queued, text: message.slice(0, 500) } });
+  return queued;
+}
+
+// إيقاف التوزيع وتذكير المستخدمين بالدفع (groupId = null لكل المجموعات)
+async function startPaymentMode(groupId, actor) {
+  const currentMonth = groupId
+    ? (await getGroupToday(groupId)).slice(0, 7)
+    : localDate((await getAdminSettings()).default_timezone).slice(0, 7);
+  const users = await q(`SELECT telegram_id, auto_name FROM users WHERE is_active=true AND status='active' AND ($1::uuid IS NULL OR group_id=$1)`, [groupId]);
+  await q(
+    `UPDATE groups SET payment_mode_active=true, payment_mode_started=NOW(), payment_mode_day=1, is_scheduler_active=false
+     WHERE ($1::uuid IS NULL OR id=$1)`,
+    [groupId]
+  );
+  const reminders = [];
+  for (const user of users.rows) {
+    reminders.push({
+      chatId: user.telegram_id,
+      text: `💰 تذكير دفع الاشتراك الشهري\n\n` +
+        `📅 الشهر: ${currentMonth}\n` +
+        `👤 ${user.auto_name}\n\n` +
+        `⏸️ تم إيقاف توزيع الأكواد مؤقتاً\n\n` +
+        (groupId
+          ? `📸 يرجى إرسال إثبات الدفع`
+          : `📸 يرجى إرسال إثبات الدفع عبر زر "📸 إرسال إثبات الدفع"\n\n⚠️ لديك 3 أيام لإرسال الإثبات`),
+      // ✅ إرسال الكيبورد المحدث مع زر إثبات الدفع
+      extra: await getDynamicKeyboard(user.telegram_id),
+    });
+  }
+  const queued = await enqueueMessages(reminders, "payment_reminder");
+  await q(`UPDATE groups SET last_payment_reminder=NOW() WHERE ($1::uuid IS NULL OR id=$1)`, [groupId]);
+  await logAudit(actor, "payment_mode_on", {
+    groupId,
+    details: groupId ? { month: currentMonth, notified: queued } : { scope: "all_groups", month: currentMonth, notified: queued },
+  });
+  return queued;
+}
+
+// استئناف التوزيع بعد فترة الدفع (groupId = null لكل المجموعات)
+async function endPaymentMode(groupId, actor) {
+  await q(
+    `UPDATE groups SET payment_mode_active=false, payment_mode_day=0, is_scheduler_active=true WHERE ($1::uuid IS NULL OR id=$1)`,
+    [groupId]
+  );
+
+  // ✅ إرسال الكيبورد الكامل للمستخدمين بعد استئناف التوزيع
+  const users = await q(`SELECT telegram_id, auto_name FROM users WHERE is_active=true AND status='active' AND ($1::uuid IS NULL OR group_id=$1)`, [groupId]);
+  const resumeMessages = [];
+  for (const user of users.rows) {
+    resumeMessages.push({
+      chatId: user.telegram_id,
+      text: `✅ تم استئناف توزيع الأكواد!\n\n` +
+        `▶️ يمكنك الآن استخدام الأكواد بشكل طبيعي\n\n` +
+        `📦 اكتب /اكواد_اليوم للحصول على كودك`,
+      extra: await getDynamicKeyboard(user.telegram_id),
+    });
+  }
+  const queued = await enqueueMessages(resumeMessages, "payment_resume");
+  await logAudit(actor, "payment_mode_off", { groupId, details: groupId ? { notified: queued } : { scope: "all_groups", notified: queued } });
+  return queued;
+}
+
+// تحذير من لم يرسل إثبات الدفع هذا الشهر، يرجع { month, queued }
+async function warnNonPayers(actor) {
+  const currentMonth = localDate((await getAdminSettings()).default_timezone).slice(0, 7);
+  const nonPayers = await q(`
+    SELECT u.telegram_id, u.auto_name
+    FROM users u
+    LEFT JOIN payments p ON p.user_id = u.id AND p.payment_month = $1
+    WHERE u.is_active = true AND u.status = 'active' AND (p.id IS NULL OR p.proof_sent = false)
+  `, [currentMonth]);
+  if (nonPayers.rowCount === 0) return { month: currentMonth, queued: 0 };
+
+  const queued = await enqueueMessages(nonPayers.rows.map(user => ({
+    chatId: user.telegram_id,
+    text: `⚠️ تحذير نهائي - عدم الدفع\n\n` +
+      `👤 ${user.auto_name}\n` +
+      `📅 الشهر: ${currentMonth}\n\n` +
+      `🚨 لم نستلم إثبات الدفع منك حتى الآن\n\n` +
+      `📸 يرجى إرسال إثبات الدفع فوراً عبر زر "📸 إرسال إثبات الدفع"\n\n` +
+      `⛔ عدم الدفع خلال 24 ساعة سيؤدي لحظر حسابك نهائياً`,
+  })), "warn_nonpayers");
+  await logAudit(actor, "nonpayers_warn", { details: { month: currentMonth, users: queued } });
+  return { month: currentMonth, queued };
+}
+
 async function ensureAdminSettings() {
   try {
     await q(
@@ -107,44 +1433,477 @@ async function getAdminSettings() {
     await ensureAdminSettings();
     const res = await q(`SELECT * FROM admin_settings WHERE id = 1 LIMIT 1`);
     if (!res.rows || res.rows.length === 0) {
-      return { daily_codes_limit: 50, distribution_days: 20, group_size: 1000, send_time: "09:00:00", is_scheduler_active: false, max_groups: null, penalties_active: true };
+      return { daily_codes_limit: 50, distribution_days: 20, group_size: 1000, send_time: "09:00:00", is_scheduler_active: false, max_groups: null, penalties_active: true, default_timezone: "UTC", code_pattern: DEFAULT_CODE_PATTERN, slot_reclaim_hour: 16, dispute_response_hours: 24, archive_retention_days: 90 };
     }
     return res.rows[0];
   } catch (err) {
     console.error("❌ getAdminSettings error:", err.message);
-    return { daily_codes_limit: 50, distribution_days: 20, group_size: 1000, send_time: "09:00:00", is_scheduler_active: false, max_groups: null, penalties_active: true };
+    return { daily_codes_limit: 50, distribution_days: 20, group_size: 1000, send_time: "09:00:00", is_scheduler_active: false, max_groups: null, penalties_active: true, default_timezone: "UTC", code_pattern: DEFAULT_CODE_PATTERN, slot_reclaim_hour: 16, dispute_response_hours: 24, archive_retention_days: 90 };
   }
 }
 
 async function getGroupSettings(groupId) {
   try {
-    const res = await q(`SELECT daily_codes_limit, distribution_days, send_time, is_scheduler_active, payment_day, payment_mode_active, payment_mode_started, payment_mode_day FROM groups WHERE id=$1`, [groupId]);
+    const res = await q(
+      `SELECT g.daily_codes_limit, g.distribution_days, g.send_time, g.is_scheduler_active, g.payment_day, g.payment_mode_active, g.payment_mode_started, g.payment_mode_day, g.daily_user_cap, g.strike_decay_days,
+              COALESCE(g.timezone, s.default_timezone, 'UTC') AS timezone,
+              COALESCE(g.penalties_active, s.penalties_active, true) AS penalties_active, g.penalties_active AS penalties_override
+       FROM groups g LEFT JOIN admin_settings s ON s.id = 1 WHERE g.id=$1`,
+      [groupId]
+    );
     if (res.rowCount > 0) {
       return res.rows[0];
     }
-    return { daily_codes_limit: 50, distribution_days: 20, send_time: "09:00:00", is_scheduler_active: false, payment_day: 1, payment_mode_active: false, payment_mode_started: null, payment_mode_day: 0 };
+    return { daily_codes_limit: 50, distribution_days: 20, send_time: "09:00:00", is_scheduler_active: false, payment_day: 1, payment_mode_active: false, payment_mode_started: null, payment_mode_day: 0, timezone: "UTC", daily_user_cap: null, strike_decay_days: null, penalties_active: true, penalties_override: null };
   } catch (err) {
     console.error("❌ getGroupSettings error:", err.message);
-    return { daily_codes_limit: 50, distribution_days: 20, send_time: "09:00:00", is_scheduler_active: false, payment_day: 1, payment_mode_active: false, payment_mode_started: null, payment_mode_day: 0 };
+    return { daily_codes_limit: 50, distribution_days: 20, send_time: "09:00:00", is_scheduler_active: false, payment_day: 1, payment_mode_active: false, payment_mode_started: null, payment_mode_day: 0, timezone: "UTC", daily_user_cap: null, strike_decay_days: null, penalties_active: true, penalties_override: null };
   }
 }
 
 async function updateAdminSettings(field, value) {
-  const allowedFields = ["daily_codes_limit", "distribution_days", "group_size", "send_time", "is_scheduler_active", "max_groups", "penalties_active"];
+  const allowedFields = ["daily_codes_limit", "distribution_days", "group_size", "send_time", "is_scheduler_active", "max_groups", "penalties_active", "default_timezone", "code_pattern", "slot_reclaim_hour", "dispute_response_hours", "archive_retention_days"];
   if (!allowedFields.includes(field)) throw new Error("Invalid field");
   await q(`UPDATE admin_settings SET ${field}=$1 WHERE id=1`, [value]);
 }
 
 async function updateGroupSettings(groupId, field, value) {
-  const allowedFields = ["daily_codes_limit", "distribution_days", "send_time", "is_scheduler_active", "payment_day", "payment_mode_active", "payment_mode_started", "payment_mode_day"];
+  const allowedFields = ["daily_codes_limit", "distribution_days", "send_time", "is_scheduler_active", "payment_day", "payment_mode_active", "payment_mode_started", "payment_mode_day", "timezone", "daily_user_cap", "telegram_group_chat_id", "penalties_active", "strike_decay_days"];
   if (!allowedFields.includes(field)) throw new Error("Invalid field");
   await q(`UPDATE groups SET ${field}=$1 WHERE id=$2`, [value, groupId]);
 }
 
-const userState = {};
-let lastRunDate = null;
-let adminBroadcastMode = false;
-let groupBroadcastMode = {};
+// التحقق من قيمة إعداد مجموعة (مشترك بين أوامر تيليجرام والـ API)
+// يرجع { value } أو { error }
+const EDITABLE_GROUP_SETTINGS = ["distribution_days", "daily_codes_limit", "daily_user_cap", "send_time", "timezone", "payment_day", "is_scheduler_active", "telegram_group_chat_id"];
+
+function parseGroupSetting(field, input) {
+  const raw = input === null || input === undefined ? "" : String(input).trim();
+  switch (field) {
+    case "distribution_days":
+    case "daily_codes_limit": {
+      const val = parseInt(raw, 10);
+      if (isNaN(val)) return { error: "❌ Invalid number" };
+      return { value: val };
+    }
+    case "daily_user_cap": {
+      if (input === null || raw.toUpperCase() === "NULL") return { value: null };
+      const val = parseInt(raw, 10);
+      if (isNaN(val) || val < 1) return { error: "❌ Invalid number" };
+      return { value: val };
+    }
+    case "send_time":
+      if (!/^\d{2}:\d{2}$/.test(raw)) return { error: "❌ Invalid format. Example: 09:00" };
+      return { value: raw };
+    case "timezone":
+      if (input === null || raw.toUpperCase() === "DEFAULT") return { value: null };
+      if (!isValidTimezone(raw)) return { error: "❌ Invalid timezone. Example: Africa/Cairo" };
+      return { value: raw };
+    case "payment_day": {
+      const day = parseInt(raw, 10);
+      if (isNaN(day) || day < 1 || day > 28) return { error: "❌ اليوم يجب أن يكون بين 1 و 28" };
+      return { value: day };
+    }
+    case "is_scheduler_active":
+      if (!["true", "false"].includes(raw.toLowerCase())) return { error: "❌ Expected true or false" };
+      return { value: raw.toLowerCase() === "true" };
+    case "telegram_group_chat_id":
+      if (!/^-?\d+$/.test(raw)) return { error: "❌ Invalid chat id. Example: -1001234567890" };
+      return { value: raw };
+    default:
+      return { error: `❌ Unknown setting: ${field}` };
+  }
+}
+
+// ==================== TIMEZONES ====================
+// كل مجموعة لها منطقة زمنية (groups.timezone أو admin_settings.default_timezone)
+// وكل حسابات "اليوم" و"الأمس" ومواعيد الإرسال تتم بالتوقيت المحلي للمجموعة
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// التاريخ المحلي بصيغة YYYY-MM-DD (offsetDays = -1 للأمس)
+function localDate(tz, offsetDays = 0) {
+  const today = new Intl.DateTimeFormat("en-CA", { timeZone: tz, year: "numeric", month: "2-digit", day: "2-digit" }).format(new Date());
+  if (!offsetDays) return today;
+  const d = new Date(`${today}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + offsetDays);
+  return d.toISOString().slice(0, 10);
+}
+
+// الشهر المحلي YYYY-MM لتاريخ معين
+function localMonth(tz, date = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: tz, year: "numeric", month: "2-digit" }).format(date);
+}
+
+// تاريخ ووقت لحظة معينة بصيغة "YYYY-MM-DD HH:MM" بالتوقيت المحلي (لعرض المواعيد للأعضاء)
+function localDateTime(tz, date) {
+  const parts = new Intl.DateTimeFormat("en-CA", { timeZone: tz, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit" }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type).value;
+  return `${get("year")}-${get("month")}-${get("day")} ${get("hour")}:${get("minute")}`;
+}
+
+// الساعة والدقيقة ويوم الشهر بالتوقيت المحلي
+function localTime(tz) {
+  const parts = new Intl.DateTimeFormat("en-US", { timeZone: tz, hourCycle: "h23", hour: "2-digit", minute: "2-digit", day: "numeric" }).formatToParts(new Date());
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  return { hour: get("hour"), minute: get("minute"), day: get("day") };
+}
+
+async function getGroupToday(groupId, offsetDays = 0) {
+  const groupSettings = await getGroupSettings(groupId);
+  return localDate(groupSettings.timezone, offsetDays);
+}
+
+// المجموعات التي يكون توقيتها المحلي الآن hour:minute
+async function getGroupsAtLocalTime(hour, minute = 0) {
+  const res = await q(
+    `SELECT g.id, g.telegram_group_chat_id, g.payment_day, g.last_payment_reminder,
+            COALESCE(g.timezone, s.default_timezone, 'UTC') AS timezone
+     FROM groups g LEFT JOIN admin_settings s ON s.id = 1
+     ORDER BY g.created_at`
+  );
+  return res.rows.filter(g => {
+    const t = localTime(g.timezone);
+    return t.hour === hour && t.minute === minute;
+  });
+}
+
+// ==================== METRICS ====================
+// عدادات بسيطة في الذاكرة تُعرض بصيغة Prometheus على /metrics
+// (لكل نسخة من البوت عداداتها الخاصة، و Prometheus يجمعها)
+
+const METRIC_HELP = {
+  bot_updates_total: ["counter", "Telegram updates handled, by update type"],
+  bot_messages_sent_total: ["counter", "Outbound messages delivered, by source"],
+  bot_messages_failed_total: ["counter", "Outbound messages that failed, by source and Telegram error code"],
+  bot_codes_distributed_total: ["counter", "Code view assignments created by the daily distribution"],
+  bot_slots_reassigned_total: ["counter", "Lost view slots handed to other members by the slot reclamation job"],
+  bot_penalties_applied_total: ["counter", "Automatic penalties applied, by action"],
+  bot_cron_job_runs_total: ["counter", "Cron job executions on this instance, by job and status"],
+  bot_cron_job_duration_seconds_sum: ["counter", "Total time spent running each cron job"],
+  bot_cron_job_duration_seconds_count: ["counter", "Number of timed runs of each cron job"],
+  bot_cron_job_last_duration_seconds: ["gauge", "Duration of the most recent run of each cron job"],
+};
+
+const metricValues = new Map(); // name → Map(labelsText → value)
+
+function metricLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`).join(",")}}`;
+}
+
+function incMetric(name, labels = {}, value = 1) {
+  if (!metricValues.has(name)) metricValues.set(name, new Map());
+  const series = metricValues.get(name);
+  const key = metricLabels(labels);
+  series.set(key, (series.get(key) || 0) + value);
+}
+
+function setMetric(name, labels = {}, value) {
+  if (!metricValues.has(name)) metricValues.set(name, new Map());
+  metricValues.get(name).set(metricLabels(labels), value);
+}
+
+function observeJobDuration(jobName, seconds) {
+  incMetric("bot_cron_job_duration_seconds_sum", { job: jobName }, seconds);
+  incMetric("bot_cron_job_duration_seconds_count", { job: jobName });
+  setMetric("bot_cron_job_last_duration_seconds", { job: jobName }, seconds);
+}
+
+async function renderMetrics() {
+  const lines = [];
+  for (const [name, [type, help]] of Object.entries(METRIC_HELP)) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of metricValues.get(name) || []) {
+      lines.push(`${name}${labels} ${value}`);
+    }
+  }
+
+  lines.push("# HELP bot_uptime_seconds Seconds since this process started", "# TYPE bot_uptime_seconds gauge");
+  lines.push(`bot_uptime_seconds ${process.uptime().toFixed(0)}`);
+
+  // حالة طابور الإرسال من قاعدة البيانات (مشتركة بين كل النسخ)
+  try {
+    const outbox = await q(`SELECT status, COUNT(*) AS count FROM outbox_messages WHERE status IN ('pending', 'sending') GROUP BY status`);
+    lines.push("# HELP bot_outbox_messages Messages waiting in the outbox, by status", "# TYPE bot_outbox_messages gauge");
+    for (const status of ["pending", "sending"]) {
+      const row = outbox.rows.find(r => r.status === status);
+      lines.push(`bot_outbox_messages{status="${status}"} ${row ? row.count : 0}`);
+    }
+  } catch (err) {
+    console.error("❌ metrics outbox query:", err.message);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+// ==================== DELIVERY FAILURES ====================
+// 403 من تيليجرام = المستخدم حظر البوت أو حذف حسابه؛ لا فائدة من إرسال أكواد أو تذكيرات له
+// نعلّمه غير نشط حتى يرسل /start مرة أخرى
+
+async function trackDeliveryFailure(chatId, err) {
+  if (err?.response?.error_code !== 403) return false;
+  const reason = err.response.description || "Forbidden";
+  try {
+    const res = await q(
+      `UPDATE users SET is_active=false, inactive_since=NOW(), inactive_reason=$2
+       WHERE telegram_id=$1 AND is_active=true
+       RETURNING id, auto_name, telegram_id, group_id`,
+      [chatId.toString(), reason]
+    );
+    // الرسائل المنتظرة لنفس المحادثة لن تصل أيضاً
+    await q(
+      `UPDATE outbox_messages SET status='failed', error_code=403, last_error=$2
+       WHERE chat_id=$1 AND status='pending'`,
+      [chatId.toString(), reason]
+    );
+    if (res.rowCount > 0) {
+      console.log(`🔕 Marked user ${res.rows[0].auto_name} (${chatId}) inactive: ${reason}`);
+      await logAudit("delivery_tracker", "user_deactivated", { user: res.rows[0], reason });
+    }
+  } catch (e) {
+    console.error("❌ trackDeliveryFailure:", e.message);
+  }
+  return true;
+}
+
+async function reactivateUser(tgId) {
+  const res = await q(
+    `UPDATE users SET is_active=true, inactive_since=NULL, inactive_reason=NULL
+     WHERE telegram_id=$1 AND is_active=false AND status='active'
+     RETURNING id, auto_name, telegram_id, group_id`,
+    [tgId.toString()]
+  );
+  if (res.rowCount > 0) {
+    console.log(`🔔 Reactivated user ${res.rows[0].auto_name} (${tgId})`);
+    await logAudit("start_command", "user_reactivated", { user: res.rows[0] });
+  }
+  return res.rowCount > 0;
+}
+
+// ==================== OUTBOX ====================
+// الرسائل الجماعية (تذكيرات، بث، دفع...) تُحفظ في outbox_messages ويرسلها عامل واحد
+// بمعدل ثابت لكل البوت. عند 429 يتوقف العامل كله لمدة retry_after، والأخطاء المؤقتة
+// تُعاد بتأخير متزايد، والرسائل تبقى محفوظة عند إعادة التشغيل.
+
+const OUTBOX_RATE_PER_SECOND = parseInt(process.env.OUTBOX_RATE_PER_SECOND || "25", 10);
+const OUTBOX_MAX_ATTEMPTS = 5;
+const OUTBOX_BATCH_SIZE = 50;
+const OUTBOX_IDLE_MS = 2000;
+// رقم قفل pg_advisory_lock: نسخة واحدة فقط من البوت ترسل من الـ outbox في أي وقت
+const OUTBOX_LOCK_ID = 724002;
+
+let outboxLockClient = null;
+let outboxPausedUntil = 0;
+
+// tq: للإدراج داخل معاملة (تُرسل الرسالة فقط إذا نجحت المعاملة)
+async function enqueueMessage(chatId, text, extra = {}, source = null, tq = q) {
+  await tq(
+    `INSERT INTO outbox_messages (chat_id, text, extra, source) VALUES ($1, $2, $3, $4)`,
+    [chatId.toString(), text, JSON.stringify(extra || {}), source]
+  );
+}
+
+// messages: [{ chatId, text, extra }] - إدخال دفعة واحدة
+async function enqueueMessages(messages, source = null) {
+  if (messages.length === 0) return 0;
+  await q(
+    `INSERT INTO outbox_messages (chat_id, text, extra, source)
+     SELECT chat_id, text, extra, $4 FROM unnest($1::text[], $2::text[], $3::jsonb[]) AS t(chat_id, text, extra)`,
+    [
+      messages.map(m => m.chatId.toString()),
+      messages.map(m => m.text),
+      messages.map(m => JSON.stringify(m.extra || {})),
+      source,
+    ]
+  );
+  return messages.length;
+}
+
+async function acquireOutboxLock() {
+  if (outboxLockClient) return true;
+  const client = await pool.connect();
+  try {
+    const res = await client.query(`SELECT pg_try_advisory_lock($1) AS locked`, [OUTBOX_LOCK_ID]);
+    if (res.rows[0].locked) {
+      outboxLockClient = client;
+      client.on("error", (err) => {
+        console.error("❌ Outbox lock connection lost:", err.message);
+        outboxLockClient = null;
+      });
+      console.log(`📤 Outbox worker active on ${INSTANCE_ID}`);
+      return true;
+    }
+  } catch (err) {
+    console.error("❌ acquireOutboxLock:", err.message);
+  }
+  client.release();
+  return false;
+}
+
+function outboxRetryDelaySeconds(attempts) {
+  return Math.min(5 * 2 ** attempts, 600);
+}
+
+async function deliverOutboxMessage(msg) {
+  try {
+    await bot.telegram.sendMessage(msg.chat_id, msg.text, msg.extra);
+    await q(`UPDATE outbox_messages SET status='sent', sent_at=NOW(), locked_at=NULL, last_error=NULL WHERE id=$1`, [msg.id]);
+    incMetric("bot_messages_sent_total", { source: msg.source || "outbox" });
+    return;
+  } catch (err) {
+    const code = err.response?.error_code || null;
+    const description = err.response?.description || err.message;
+    await trackDeliveryFailure(msg.chat_id, err);
+
+    if (code === 429) {
+      const retryAfter = err.response?.parameters?.retry_after || 5;
+      outboxPausedUntil = Date.now() + retryAfter * 1000;
+      console.warn(`⏳ Telegram rate limit - pausing outbox for ${retryAfter}s`);
+      await q(
+        `UPDATE outbox_messages SET status='pending', attempts=attempts-1, next_attempt_at=NOW() + make_interval(secs => $2::int), locked_at=NULL, error_code=$3, last_error=$4 WHERE id=$1`,
+        [msg.id, retryAfter, code, description]
+      );
+      return;
+    }
+
+    // 400/403: الرسالة لن تنجح أبداً (مستخدم حظر البوت، محادثة غير موجودة...)
+    const permanent = code !== null && code >= 400 && code < 500;
+    if (permanent || msg.attempts >= OUTBOX_MAX_ATTEMPTS) {
+      console.error(`❌ Outbox message ${msg.id} to ${msg.chat_id} failed: ${description}`);
+      incMetric("bot_messages_failed_total", { source: msg.source || "outbox", code: code || "network" });
+      await q(`UPDATE outbox_messages SET status='failed', locked_at=NULL, error_code=$2, last_error=$3 WHERE id=$1`, [msg.id, code, description]);
+    } else {
+      await q(
+        `UPDATE outbox_messages SET status='pending', next_attempt_at=NOW() + make_interval(secs => $2::int), locked_at=NULL, error_code=$3, last_error=$4 WHERE id=$1`,
+        [msg.id, outboxRetryDelaySeconds(msg.attempts), code, description]
+      );
+    }
+  }
+}
+
+async function processOutbox() {
+  if (Date.now() < outboxPausedUntil) return false;
+  if (!(await acquireOutboxLock())) return false;
+
+  // رسائل علقت في "sending" بسبب توقف مفاجئ تعود للانتظار
+  await q(`UPDATE outbox_messages SET status='pending', locked_at=NULL WHERE status='sending' AND locked_at < NOW() - INTERVAL '5 minutes'`);
+
+  const batch = await q(
+    `UPDATE outbox_messages SET status='sending', locked_at=NOW(), locked_by=$1, attempts=attempts+1
+     WHERE id IN (
+       SELECT id FROM outbox_messages
+       WHERE status='pending' AND next_attempt_at <= NOW()
+       ORDER BY id LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, chat_id, text, extra, attempts, source`,
+    [INSTANCE_ID, OUTBOX_BATCH_SIZE]
+  );
+  if (batch.rowCount === 0) return false;
+
+  const interval = 1000 / OUTBOX_RATE_PER_SECOND;
+  const rows = batch.rows.sort((a, b) => Number(a.id) - Number(b.id));
+  for (let i = 0; i < rows.length; i++) {
+    // بعد 429 نعيد باقي الدفعة للانتظار بدون محاولة
+    if (Date.now() < outboxPausedUntil) {
+      await q(
+        `UPDATE outbox_messages SET status='pending', attempts=attempts-1, locked_at=NULL WHERE id = ANY($1::bigint[])`,
+        [rows.slice(i).map(r => r.id)]
+      );
+      break;
+    }
+    const startedAt = Date.now();
+    await deliverOutboxMessage(rows[i]);
+    const elapsed = Date.now() - startedAt;
+    if (elapsed < interval) await new Promise(r => setTimeout(r, interval - elapsed));
+  }
+  return true;
+}
+
+function startOutboxWorker() {
+  const tick = async () => {
+    let busy = false;
+    try {
+      busy = await processOutbox();
+    } catch (err) {
+      console.error("❌ Outbox worker:", err.message);
+    }
+    const pause = Math.max(outboxPausedUntil - Date.now(), 0);
+    setTimeout(tick, busy ? pause : Math.max(pause, OUTBOX_IDLE_MS));
+  };
+  tick();
+}
+
+// ==================== CONVERSATION STATE ====================
+// حالة المحادثة محفوظة في قاعدة البيانات حتى لا تضيع عند إعادة التشغيل
+// لكل مرحلة مهلة (بالدقائق) تنتهي بعدها تلقائياً
+
+const STATE_TTL_MINUTES = {
+  awaiting_binance: 30,
+  awaiting_phone: 30,
+  uploading_codes: 24 * 60,
+  replacing_code: 30,
+  appeal_explanation: 30,
+  dispute_evidence: 60,
+  admin_broadcast: 10,
+  group_broadcast: 10,
+};
+
+async function getState(tgId) {
+  const res = await q(`SELECT stage, data, expires_at FROM conversation_state WHERE telegram_id=$1`, [tgId.toString()]);
+  if (res.rowCount === 0) return null;
+  const row = res.rows[0];
+  if (new Date(row.expires_at) <= new Date()) {
+    await q(`DELETE FROM conversation_state WHERE telegram_id=$1`, [tgId.toString()]);
+    console.log(`⌛ Conversation state '${row.stage}' expired for ${tgId}`);
+    return null;
+  }
+  return { ...row.data, stage: row.stage };
+}
+
+async function setState(tgId, state) {
+  const { stage, ...data } = state;
+  const ttl = STATE_TTL_MINUTES[stage] || 30;
+  await q(
+    `INSERT INTO conversation_state (telegram_id, stage, data, expires_at, updated_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4::int), NOW())
+     ON CONFLICT (telegram_id) DO UPDATE SET stage=$2, data=$3, expires_at=NOW() + make_interval(mins => $4::int), updated_at=NOW()`,
+    [tgId.toString(), stage, JSON.stringify(data), ttl]
+  );
+}
+
+async function clearState(tgId) {
+  await q(`DELETE FROM conversation_state WHERE telegram_id=$1`, [tgId.toString()]);
+}
+
+// إشعار من انقطع رفع أكواده بسبب إعادة التشغيل بأنه يستطيع المتابعة
+async function resumeInterruptedUploads() {
+  try {
+    await q(`DELETE FROM conversation_state WHERE expires_at <= NOW()`);
+    const uploads = await q(`SELECT telegram_id, data FROM conversation_state WHERE stage='uploading_codes'`);
+    await enqueueMessages(uploads.rows.map(row => ({
+      chatId: row.telegram_id,
+      text: `🔄 تمت إعادة تشغيل البوت\n\n` +
+        `📦 رفع أكوادك ما زال محفوظاً: تم استلام ${(row.data.codes || []).length} من ${row.data.expectedCodes} كود\n\n` +
+        `أرسل الكود التالي أو ملف .txt / .csv، أو اكتب /done للانتهاء\n` +
+        `❌ أو /cancel للإلغاء`,
+    })), "resume_upload");
+    if (uploads.rowCount > 0) {
+      console.log(`✅ Notified ${uploads.rowCount} users about interrupted uploads`);
+    }
+  } catch (err) {
+    console.error("❌ resumeInterruptedUploads:", err.message);
+  }
+}
 
 async function assignGroupIdBySettings(groupSize) {
   try {
@@ -158,7 +1917,7 @@ async function assignGroupIdBySettings(groupSize) {
     }
 
     const res = await q(
-      `SELECT g.id FROM groups g LEFT JOIN (SELECT group_id, COUNT(*) as count FROM users GROUP BY group_id) u_count 
+      `SELECT g.id FROM groups g LEFT JOIN (SELECT group_id, COUNT(*) as count FROM users WHERE status='active' GROUP BY group_id) u_count 
        ON u_count.group_id = g.id WHERE COALESCE(u_count.count, 0) < g.max_users ORDER BY g.created_at LIMIT 1`
     );
     if (res.rowCount > 0) return res.rows[0].id;
@@ -184,8 +1943,11 @@ async function autoNameInGroup(groupId) {
 async function safeReply(ctx, message, extra) {
   try {
     await ctx.reply(message, extra);
+    incMetric("bot_messages_sent_total", { source: "reply" });
   } catch (err) {
     console.error("❌ Failed to send reply:", err.message);
+    incMetric("bot_messages_failed_total", { source: "reply", code: err.response?.error_code || "network" });
+    if (ctx.chat?.type === "private") await trackDeliveryFailure(ctx.chat.id, err);
   }
 }
 
@@ -194,7 +1956,7 @@ async function getDynamicKeyboard(userId, groupId = null) {
   const buttons = [];
   
   // التحقق من تسجيل المستخدم
-  const userRes = await q("SELECT id, group_id FROM users WHERE telegram_id=$1", [userId.toString()]);
+  const userRes = await q("SELECT id, group_id FROM users WHERE telegram_id=$1 AND status='active'", [userId.toString()]);
   const isRegistered = userRes.rowCount > 0;
   
   if (!isRegistered) {
@@ -215,8 +1977,7 @@ async function getDynamicKeyboard(userId, groupId = null) {
       );
       
       // إظهار زر الدفع في يوم الدفع أو ±2 أيام
-      const now = new Date();
-      const currentDay = now.getDate();
+      const currentDay = localTime(groupSettings.timezone).day;
       const paymentDay = groupSettings.payment_day || 1;
       const daysDiff = Math.abs(currentDay - paymentDay);
       if (daysDiff <= 2 || daysDiff >= 26) {
@@ -226,24 +1987,32 @@ async function getDynamicKeyboard(userId, groupId = null) {
   }
   
   // زر الأدمن (إذا كان أدمن)
-  if (userId?.toString() === ADMIN_ID?.toString()) {
+  if (getAdmin(userId)) {
     buttons.push([Markup.button.text("/admin")]);
   }
   
   return Markup.keyboard(buttons).resize();
 }
 
+// عداد التحديثات لـ /metrics
+bot.use(async (ctx, next) => {
+  incMetric("bot_updates_total", { type: ctx.updateType });
+  return next();
+});
+
 bot.start(async (ctx) => {
+  if (await reactivateUser(ctx.from.id)) {
+    await safeReply(ctx, "🔔 أهلاً بعودتك! تم إعادة تفعيل حسابك وستصلك الأكواد والتذكيرات من جديد.");
+  }
+
+  const userRes = await q("SELECT group_id FROM users WHERE telegram_id=$1 AND status='active'", [ctx.from.id.toString()]);
   const rulesMessage = `👋 أهلاً بك في البوت!\n\n` +
     `📜 قواعد الاستخدام:\n\n` +
     `✅ استخدم الكود يومياً قبل منتصف الليل\n` +
     `✅ اضغط "تم الاستخدام" في البوت\n` +
     `✅ قم بتأكيد من استخدم أكوادك\n` +
     `✅ الالتزام مهم\n\n` +
-    `⚠️ العقوبات:\n` +
-    `❌ يوم واحد: تذكير ونقل باقى الأكواد الى اليوم التالى\n` +
-    `❌ يومين: تحذير نهائي\n` +
-    `❌ 3 أيام: إيقاف تلقائي + حذف أكوادك\n\n` +
+    `${await buildPenaltyRulesText(userRes.rows[0]?.group_id || null)}\n\n` +
     `/تسجيل - للتسجيل\n` +
     `/رفع_اكواد - لرفع الأكواد\n` +
     `/اكواد_اليوم - لعرض أكواد اليوم\n` +
@@ -252,9 +2021,28 @@ bot.start(async (ctx) => {
   await safeReply(ctx, rulesMessage, await getDynamicKeyboard(ctx.from.id));
 });
 
+// إلغاء أي عملية جارية (تسجيل، رفع أكواد، بث رسالة)
+async function handleCancel(ctx) {
+  try {
+    const tgId = ctx.from.id.toString();
+    const st = await getState(tgId);
+    if (!st) {
+      return safeReply(ctx, "لا توجد عملية جارية لإلغائها.", await getDynamicKeyboard(ctx.from.id));
+    }
+    await clearState(tgId);
+    return safeReply(ctx, "❌ تم إلغاء العملية الجارية.", await getDynamicKeyboard(ctx.from.id));
+  } catch (err) {
+    console.error("❌ cancel:", err.message);
+    return safeReply(ctx, "❌ حدث خطأ داخلي. حاول لاحقًا.");
+  }
+}
+
+bot.command("cancel", handleCancel);
+bot.hears(/^\/الغاء/, handleCancel);
+
 // أمر للحصول على Chat ID للجروب (للأدمن فقط)
 bot.command("get_chat_id", async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!(await authorize(ctx, PERM.PANEL))) return;
   
   const chatId = ctx.chat.id;
   const chatType = ctx.chat.type;
@@ -273,11 +2061,11 @@ bot.command("get_chat_id", async (ctx) => {
 bot.hears(/^\/تسجيل/, async (ctx) => {
   try {
     const tgId = ctx.from.id.toString();
-    const exists = await q(`SELECT id FROM users WHERE telegram_id=$1`, [tgId]);
+    const exists = await q(`SELECT id FROM users WHERE telegram_id=$1 AND status='active'`, [tgId]);
     if (exists.rowCount > 0) {
       return safeReply(ctx, "أنت مسجل بالفعل ✅");
     }
-    userState[tgId] = { stage: "awaiting_binance" };
+    await setState(tgId, { stage: "awaiting_binance" });
     return safeReply(ctx, "🔰 التسجيل - الخطوة 1/2\n\nأدخل اسم المستخدم الخاص بك في بينانس:\n\n💡 هذا الاسم سيُستخدم للتحقق من استخدام الأكواد");
   } catch (err) {
     console.error("❌ registration error:", err.message);
@@ -285,92 +2073,430 @@ bot.hears(/^\/تسجيل/, async (ctx) => {
   }
 });
 
-bot.on("contact", async (ctx) => {
+bot.on("contact", async (ctx) => {
+  try {
+    const contact = ctx.message.contact;
+    const tgId = ctx.from.id.toString();
+    const st = await getState(tgId);
+    if (!st || st.stage !== "awaiting_phone") {
+      return safeReply(ctx, "ابدأ التسجيل بكتابة /تسجيل");
+    }
+
+    if (contact.user_id && contact.user_id.toString() !== tgId) {
+      await clearState(tgId);
+      return safeReply(ctx, "✋ يجب مشاركة رقم هاتفك الخاص فقط.");
+    }
+
+    const phone = contact.phone_number;
+    
+    // التحقق من القائمة السوداء
+    const blacklisted = await q("SELECT * FROM blacklist WHERE phone=$1 OR telegram_id=$2", [phone, tgId]);
+    if (blacklisted.rowCount > 0) {
+      await clearState(tgId);
+      return safeReply(ctx, `🚫 تم حظرك من استخدام البوت\n\n📋 السبب: ${blacklisted.rows[0].reason || 'غير محدد'}\n\n⚠️ للاستفسار تواصل مع الإدارة`);
+    }
+    
+    const dupPhone = await q("SELECT id FROM users WHERE phone=$1 AND status='active'", [phone]);
+    const dupTelegram = await q("SELECT id FROM users WHERE telegram_id=$1 AND status='active'", [tgId]);
+    let dupBinance = { rowCount: 0 };
+    if (st.binance_username) {
+      dupBinance = await q("SELECT id FROM users WHERE binance_username=$1 AND status='active'", [st.binance_username]);
+    }
+    if (dupPhone.rowCount > 0 || dupTelegram.rowCount > 0 || dupBinance.rowCount > 0) {
+      await clearState(tgId);
+      return safeReply(ctx, "⚠️ لا يمكنك التسجيل أكثر من مرة");
+    }
+
+    const adminSettings = await getAdminSettings();
+    const groupId = await assignGroupIdBySettings(adminSettings.group_size);
+    
+    if (!groupId) {
+      await clearState(tgId);
+      return safeReply(ctx, "❌ عذراً، تم الوصول للحد الأقصى من المجموعات. لا يمكن التسجيل حالياً.");
+    }
+
+    const autoName = await autoNameInGroup(groupId);
+
+    await q(
+      `INSERT INTO users (telegram_id, binance_username, phone, auto_name, group_id, verified, created_at) 
+       VALUES ($1,$2,$3,$4,$5,true,NOW())`,
+      [tgId, st.binance_username || null, phone, autoName, groupId]
+    );
+    await clearState(tgId);
+    
+    const welcomeMessage = `🎉 أهلاً بك فى بوت تبادل أكواد الظرف الأحمر\n\n` +
+      `✅ تم التسجيل بنجاح!\n\n` +
+      `🆔 المجموعة: ${groupId.toString().slice(0, 8)}\n` +
+      `👤 اسمك: ${autoName}\n` +
+      `💼 اسم بينانس: ${st.binance_username}\n\n` +
+      `━━━━━━━━━━━━━━━━━\n\n` +
+      `📜 قواعد الاستخدام:\n\n` +
+      `✅ استخدم الكود يومياً قبل منتصف الليل\n` +
+      `✅ اضغط "تم الاستخدام" في البوت\n` +
+      `✅ قم بتأكيد من استخدم أكوادك يومياً\n` +
+      `✅ الالتزام مهم\n\n` +
+      `${await buildPenaltyRulesText(groupId)}\n\n` +
+      `━━━━━━━━━━━━━━━━━\n\n` +
+      `💡 استخدم /start لعرض القائمة الرئيسية`;
+    
+    return safeReply(ctx, welcomeMessage, await getDynamicKeyboard(ctx.from.id, groupId));
+  } catch (err) {
+    console.error("❌ contact handler:", err.message);
+    return safeReply(ctx, "❌ حدث خطأ داخلي أثناء التسجيل.");
+  }
+});
+
+// ==================== CODE UPLOAD ====================
+// الأكواد تُرفع رسالة برسالة أو كملف .txt / .csv (كود في كل سطر، مع رقم اليوم اختيارياً)
+// الملف يُعرض للمعاينة ويُحفظ في حالة المحادثة حتى يضغط العضو "تأكيد"
+
+const CODE_FILE_MAX_BYTES = 64 * 1024;
+const CODE_FILE_EXTENSIONS = [".txt", ".csv"];
+// الصيغة الافتراضية للأكواد (تُغير من /set_code_format وتُحفظ في admin_settings.code_pattern)
+const DEFAULT_CODE_PATTERN = "^[A-Za-z0-9]{6,20}$";
+
+// الأيام التي لم يُرفع لها كود بعد (takenDays: أيام أكواد العضو الموجودة في الدورة)
+function freeCodeDays(maxDays, takenDays = []) {
+  const taken = new Set(takenDays);
+  const days = [];
+  for (let day = 1; day <= maxDays; day++) {
+    if (!taken.has(day)) days.push(day);
+  }
+  return days;
+}
+
+// فحص الأكواد قبل الحفظ: الصيغة، التكرار داخل نفس الرفع، والتكرار مع أي كود في الدورة الحالية
+// entries: [{ code, line }] ، يرجع [{ line, message }]
+async function validateUploadCodes(entries, pattern) {
+  const errors = [];
+  const regex = new RegExp(pattern);
+  const seen = new Map();
+  for (const e of entries) {
+    if (!regex.test(e.code)) {
+      errors.push({ line: e.line, message: `"${e.code}" ليس كود ظرف أحمر صالح` });
+    } else if (seen.has(e.code)) {
+      errors.push({ line: e.line, message: `"${e.code}" مكرر (السطر ${seen.get(e.code)})` });
+    } else {
+      seen.set(e.code, e.line);
+    }
+  }
+  if (seen.size > 0) {
+    const existing = await q(`SELECT DISTINCT code_text FROM codes WHERE code_text = ANY($1)`, [[...seen.keys()]]);
+    for (const row of existing.rows) {
+      errors.push({ line: seen.get(row.code_text), message: `"${row.code_text}" مرفوع مسبقاً في الدورة الحالية` });
+    }
+  }
+  return errors.sort((a, b) => a.line - b.line);
+}
+
+// يرجع { entries: [{ day, code, line }], errors: [{ line, message }] }
+// السطر: "CODE" أو "DAY,CODE" أو "CODE,DAY" (الفاصل , أو ; أو Tab)
+// الأسطر بدون رقم يوم تأخذ أول يوم فارغ بالترتيب
+function parseCodesFile(content, maxDays, takenDays = []) {
+  const entries = [];
+  const errors = [];
+  const lines = content.replace(/^\uFEFF/, "").split(/\r?\n/);
+
+  lines.forEach((raw, i) => {
+    const line = i + 1;
+    const text = raw.trim();
+    if (!text) return;
+    const fields = text.split(/[,;\t]/).map(f => f.trim().replace(/^"(.*)"$/, "$1")).filter(Boolean);
+    // سطر العناوين في ملفات CSV
+    if (entries.length === 0 && errors.length === 0 && fields.some(f => /^(code|codes|day|كود|الكود|اليوم)$/i.test(f))) return;
+
+    let day = null;
+    let code = fields[0];
+    if (fields.length === 2) {
+      if (/^\d+$/.test(fields[0])) [day, code] = [parseInt(fields[0], 10), fields[1]];
+      else if (/^\d+$/.test(fields[1])) [day, code] = [parseInt(fields[1], 10), fields[0]];
+      else return errors.push({ line, message: "عمودان بدون رقم يوم" });
+    } else if (fields.length > 2) {
+      return errors.push({ line, message: "أعمدة أكثر من المتوقع" });
+    }
+
+    if (day !== null && (day < 1 || day > maxDays)) return errors.push({ line, message: `رقم اليوم يجب أن يكون بين 1 و ${maxDays}` });
+    entries.push({ day, code, line });
+  });
+
+  const usedDays = new Set(takenDays);
+  for (const e of entries.filter(e => e.day !== null)) {
+    if (takenDays.includes(e.day)) errors.push({ line: e.line, message: `اليوم ${e.day} له كود مرفوع مسبقاً` });
+    else if (usedDays.has(e.day)) errors.push({ line: e.line, message: `اليوم ${e.day} مكرر` });
+    usedDays.add(e.day);
+  }
+  let nextDay = 1;
+  for (const e of entries.filter(e => e.day === null)) {
+    while (usedDays.has(nextDay)) nextDay++;
+    e.day = nextDay;
+    usedDays.add(nextDay);
+  }
+  // الأيام المرفوعة قد تتجاوز maxDays إذا خفّض الأدمن distribution_days، فالسعة = الأيام الفارغة فقط
+  const remaining = freeCodeDays(maxDays, takenDays).length;
+  if (entries.length > remaining) errors.push({ line: entries[remaining].line, message: `الحد الأقصى ${remaining} كود (${maxDays} يوم للتوزيع)` });
+
+  entries.sort((a, b) => a.day - b.day);
+  return { entries, errors };
+}
+
+function formatUploadErrors(errors) {
+  return errors.slice(0, 20).map(e => `• السطر ${e.line}: ${e.message}`).join("\n") +
+    (errors.length > 20 ? `\n... و ${errors.length - 20} أخطاء أخرى` : "");
+}
+
+// حفظ أكواد الرفع: entries = [{ day, code }]
+// الكود الذي رُفع في نفس اللحظة من عضو آخر يُتخطى (skipped)
+// يرجع { inserted, skipped, limit } أو null إذا لم يوجد المستخدم
+async function saveUploadedCodes(tgId, entries) {
+  const userrow = await q("SELECT id, group_id FROM users WHERE telegram_id=$1 AND status='active'", [tgId.toString()]);
+  if (userrow.rowCount === 0) return null;
+  const owner_id = userrow.rows[0].id;
+  const groupSettings = await getGroupSettings(userrow.rows[0].group_id);
+
+  let inserted = 0;
+  const skipped = [];
+  for (const entry of entries) {
+    try {
+      const res = await q(
+        `INSERT INTO codes (owner_id, code_text, views_per_day, status, day_number, created_at)
+         SELECT $1, $2::text, $3, 'active', $4, NOW()
+         WHERE NOT EXISTS (SELECT 1 FROM codes WHERE code_text=$2 OR (owner_id=$1 AND day_number=$4))
+         ON CONFLICT (code_text) WHERE status <> 'duplicate' DO NOTHING`,
+        [owner_id, entry.code, groupSettings.daily_codes_limit, entry.day]
+      );
+      if (res.rowCount > 0) inserted++;
+      else skipped.push(entry.code);
+    } catch (err) {
+      console.error("❌ insert code error:", err.message);
+    }
+  }
+  return { inserted, skipped, limit: groupSettings.daily_codes_limit };
+}
+
+// ==================== OWNER CODE MANAGEMENT ====================
+// صاحب الكود يستطيع تعديل أو حذف كود أي يوم لم يُوزع بعد
+// الكود "مقفل" بمجرد وجود أي توزيع له في code_view_assignments
+
+async function getOwnerCodes(userId) {
+  const res = await q(
+    `SELECT c.id, c.code_text, c.status, c.day_number,
+            EXISTS (SELECT 1 FROM code_view_assignments a WHERE a.code_id = c.id) AS locked
+     FROM codes c
+     WHERE c.owner_id=$1
+     ORDER BY c.day_number ASC, c.created_at ASC`,
+    [userId]
+  );
+  return res.rows;
+}
+
+// رسالة /اكوادى مع أزرار التعديل والحذف للأيام غير الموزعة
+async function buildMyCodesView(userId) {
+  const codes = await getOwnerCodes(userId);
+  if (codes.length === 0) {
+    return { text: "❌ لا توجد لديك أكواد.", keyboard: Markup.inlineKeyboard([[Markup.button.callback("➕ إضافة أكواد", "mycodes_add")]]) };
+  }
+  const list = codes.map((c, i) =>
+    `${i + 1}. ${c.code_text} - Day ${c.day_number || i + 1} (${c.status || 'active'})${c.locked ? " 🔒" : ""}`
+  ).join("\n");
+  const rows = codes.filter(c => !c.locked).map(c => [
+    Markup.button.callback(`✏️ تعديل يوم ${c.day_number}`, `mycode_edit_${c.id}`),
+    Markup.button.callback(`🗑️ حذف يوم ${c.day_number}`, `mycode_del_${c.id}`),
+  ]);
+  rows.push([Markup.button.callback("➕ إضافة أكواد", "mycodes_add")]);
+  const footer = codes.some(c => c.locked) ? `\n\n🔒 = تم توزيعه ولا يمكن تعديله أو حذفه` : "";
+  return { text: `📋 أكوادك:\n${list}${footer}`, keyboard: Markup.inlineKeyboard(rows) };
+}
+
+// يرجع { code } أو { error: "not_found" | "locked" | "duplicate" }
+async function replaceOwnerCode(userId, codeId, newCode) {
+  let res;
+  try {
+    res = await q(
+      `UPDATE codes SET code_text=$3
+       WHERE id=$1 AND owner_id=$2
+         AND NOT EXISTS (SELECT 1 FROM code_view_assignments WHERE code_id=$1)
+         AND NOT EXISTS (SELECT 1 FROM codes WHERE code_text=$3 AND id<>$1)
+       RETURNING id, code_text, day_number`,
+      [codeId, userId, newCode]
+    );
+  } catch (err) {
+    // نفس الكود رُفع في نفس اللحظة من عضو آخر (codes_code_text_key)
+    if (err.code === "23505") return { error: "duplicate" };
+    throw err;
+  }
+  if (res.rowCount > 0) return { code: res.rows[0] };
+  return { error: await ownerCodeBlockReason(userId, codeId) || "duplicate" };
+}
+
+// يرجع { code } أو { error: "not_found" | "locked" }
+async function deleteOwnerCode(userId, codeId) {
+  const res = await q(
+    `DELETE FROM codes
+     WHERE id=$1 AND owner_id=$2
+       AND NOT EXISTS (SELECT 1 FROM code_view_assignments WHERE code_id=$1)
+     RETURNING id, code_text, day_number`,
+    [codeId, userId]
+  );
+  if (res.rowCount > 0) return { code: res.rows[0] };
+  return { error: await ownerCodeBlockReason(userId, codeId) || "locked" };
+}
+
+async function ownerCodeBlockReason(userId, codeId) {
+  const res = await q(
+    `SELECT EXISTS (SELECT 1 FROM code_view_assignments WHERE code_id=c.id) AS locked
+     FROM codes c WHERE c.id=$1 AND c.owner_id=$2`,
+    [codeId, userId]
+  );
+  if (res.rowCount === 0) return "not_found";
+  return res.rows[0].locked ? "locked" : null;
+}
+
+const OWNER_CODE_ERRORS = {
+  not_found: "❌ الكود غير موجود",
+  locked: "🔒 تم توزيع هذا الكود ولا يمكن تغييره",
+  duplicate: "❌ هذا الكود مرفوع مسبقاً في الدورة الحالية",
+  exhausted: "ℹ️ هذا الكود مُعلَّم كمنتهي مسبقاً",
+};
+
+// الظرف الأحمر نفد: الكود لا يُوزع بعد الآن، والتوزيعات غير المستخدمة تُلغى (cancelled) بدون عقوبة
+// يرجع { code, viewers: [telegram_id] } أو { error: "not_found" | "exhausted" }
+async function markCodeExhausted(userId, codeId) {
+  return withTransaction(async (tq) => {
+    const code = await tq(
+      `UPDATE codes SET status='exhausted', suspension_until=NULL
+       WHERE id=$1 AND owner_id=$2 AND status<>'exhausted'
+       RETURNING id, code_text, day_number`,
+      [codeId, userId]
+    );
+    if (code.rowCount === 0) {
+      const exists = await tq(`SELECT 1 FROM codes WHERE id=$1 AND owner_id=$2`, [codeId, userId]);
+      return { error: exists.rowCount > 0 ? "exhausted" : "not_found" };
+    }
+    const cancelled = await tq(
+      `UPDATE code_view_assignments a SET cancelled=true, cancel_reason='exhausted'
+       FROM users u
+       WHERE a.code_id=$1 AND a.used=false AND a.cancelled=false AND u.id = a.assigned_to_user_id
+       RETURNING u.telegram_id`,
+      [codeId]
+    );
+    return { code: code.rows[0], viewers: cancelled.rows.map(r => r.telegram_id) };
+  });
+}
+
+// بدء رفع الأكواد للأيام الفارغة فقط (من الأمر /رفع_اكواد أو زر "➕ إضافة أكواد")
+async function startCodeUpload(ctx, uid) {
   try {
-    const contact = ctx.message.contact;
-    const tgId = ctx.from.id.toString();
-    const st = userState[tgId];
-    if (!st || st.stage !== "awaiting_phone") {
-      return safeReply(ctx, "ابدأ التسجيل بكتابة /تسجيل");
+    const userRes = await q("SELECT id, group_id FROM users WHERE telegram_id=$1 AND status='active'", [uid]);
+    if (userRes.rowCount === 0) {
+      return safeReply(ctx, "سجل أولًا باستخدام /تسجيل");
     }
 
-    if (contact.user_id && contact.user_id.toString() !== tgId) {
-      delete userState[tgId];
-      return safeReply(ctx, "✋ يجب مشاركة رقم هاتفك الخاص فقط.");
+    const userId = userRes.rows[0].id;
+    const groupId = userRes.rows[0].group_id;
+
+    // عقوبة block_uploads من سلم العقوبات
+    const blocked = await q("SELECT uploads_blocked_until FROM users WHERE id=$1 AND uploads_blocked_until > NOW()", [userId]);
+    if (blocked.rowCount > 0) {
+      const { timezone } = await getGroupSettings(groupId);
+      return safeReply(ctx, `❌ تم إيقاف إمكانية رفع الأكواد بسبب مخالفة حتى ${localDateTime(timezone, blocked.rows[0].uploads_blocked_until)} (${timezone}). حاول لاحقاً.`);
     }
 
-    const phone = contact.phone_number;
-    
-    // التحقق من القائمة السوداء
-    const blacklisted = await q("SELECT * FROM blacklist WHERE phone=$1 OR telegram_id=$2", [phone, tgId]);
-    if (blacklisted.rowCount > 0) {
-      delete userState[tgId];
-      return safeReply(ctx, `🚫 تم حظرك من استخدام البوت\n\n📋 السبب: ${blacklisted.rows[0].reason || 'غير محدد'}\n\n⚠️ للاستفسار تواصل مع الإدارة`);
+    const groupSettings = await getGroupSettings(groupId);
+    const existing = await q("SELECT day_number FROM codes WHERE owner_id=$1 AND day_number IS NOT NULL", [userId]);
+    const takenDays = existing.rows.map(r => r.day_number);
+    const freeDays = freeCodeDays(groupSettings.distribution_days, takenDays);
+    if (freeDays.length === 0) {
+      return safeReply(ctx, `✅ لديك بالفعل ${takenDays.length} كود لكل أيام الدورة (${groupSettings.distribution_days} يوم).`);
     }
-    
-    const dupPhone = await q("SELECT id FROM users WHERE phone=$1", [phone]);
-    const dupTelegram = await q("SELECT id FROM users WHERE telegram_id=$1", [tgId]);
-    let dupBinance = { rowCount: 0 };
-    if (st.binance_username) {
-      dupBinance = await q("SELECT id FROM users WHERE binance_username=$1", [st.binance_username]);
+
+    const message = (takenDays.length > 0
+                      ? `📋 لديك ${takenDays.length} كود مرفوع، قم برفع ${freeDays.length} كوداً للأيام المتبقية\n\n`
+                      : `📋 قم برفع ${groupSettings.distribution_days} كوداً (كود واحد لكل يوم)\n\n`) +
+                    `📌 كل كود متاح لـ ${groupSettings.daily_codes_limit} مستخدم\n\n` +
+                    `أرسل الأكواد واحداً تلو الآخر بالترتيب:\n` +
+                    `الكود الأول → اليوم الأول\n` +
+                    `الكود الثاني → اليوم الثاني\n` +
+                    `وهكذا...\n\n` +
+                    `ثم اكتب /done عند الانتهاء.\n\n` +
+                    `📎 أو أرسل ملف .txt أو .csv فيه كود في كل سطر (ويمكن إضافة رقم اليوم: 3,CODE)\n` +
+                    `❌ أو /cancel للإلغاء.`;
+
+    await setState(uid, { 
+      stage: "uploading_codes", 
+      expectedCodes: groupSettings.distribution_days,
+      takenDays,
+      codes: [],
+      groupId: groupId
+    });
+    return safeReply(ctx, message);
+  } catch (err) {
+    console.error("❌ رفع_اكواد:", err.message);
+    return safeReply(ctx, "❌ حدث خطأ، حاول لاحقًا.");
+  }
+}
+
+bot.on("document", async (ctx) => {
+  const uid = ctx.from.id.toString();
+  const doc = ctx.message.document;
+  const fileName = (doc.file_name || "").toLowerCase();
+  if (!CODE_FILE_EXTENSIONS.some(ext => fileName.endsWith(ext))) return;
+
+  try {
+    const st = await getState(uid);
+    if (!st || st.stage !== "uploading_codes") {
+      return safeReply(ctx, "📎 لرفع الأكواد من ملف اكتب /رفع_اكواد أولاً ثم أرسل الملف.");
     }
-    if (dupPhone.rowCount > 0 || dupTelegram.rowCount > 0 || dupBinance.rowCount > 0) {
-      delete userState[tgId];
-      return safeReply(ctx, "⚠️ لا يمكنك التسجيل أكثر من مرة");
+    if (doc.file_size > CODE_FILE_MAX_BYTES) {
+      return safeReply(ctx, `❌ الملف كبير جداً (الحد ${CODE_FILE_MAX_BYTES / 1024} KB).`);
     }
 
-    const adminSettings = await getAdminSettings();
-    const groupId = await assignGroupIdBySettings(adminSettings.group_size);
-    
-    if (!groupId) {
-      delete userState[tgId];
-      return safeReply(ctx, "❌ عذراً، تم الوصول للحد الأقصى من المجموعات. لا يمكن التسجيل حالياً.");
+    const link = await bot.telegram.getFileLink(doc.file_id);
+    const file = await fetch(link);
+    if (!file.ok) throw new Error(`Telegram file download failed: ${file.status}`);
+    const parsed = parseCodesFile(await file.text(), st.expectedCodes, st.takenDays || []);
+    const { entries } = parsed;
+    const errors = [...parsed.errors, ...await validateUploadCodes(entries, (await getAdminSettings()).code_pattern)]
+      .sort((a, b) => a.line - b.line);
+
+    if (errors.length > 0) {
+      return safeReply(ctx, `❌ لم يتم قبول الملف:\n\n${formatUploadErrors(errors)}\n\n📝 صحح الملف وأرسله مرة أخرى.`);
+    }
+    if (entries.length === 0) {
+      return safeReply(ctx, "❌ الملف لا يحتوي على أكواد.");
     }
 
-    const autoName = await autoNameInGroup(groupId);
+    st.pendingFile = entries.map(({ day, code }) => ({ day, code }));
+    await setState(uid, st);
 
-    await q(
-      `INSERT INTO users (telegram_id, binance_username, phone, auto_name, group_id, verified, created_at) 
-       VALUES ($1,$2,$3,$4,$5,true,NOW())`,
-      [tgId, st.binance_username || null, phone, autoName, groupId]
-    );
-    delete userState[tgId];
-    
-    const welcomeMessage = `🎉 أهلاً بك فى بوت تبادل أكواد الظرف الأحمر\n\n` +
-      `✅ تم التسجيل بنجاح!\n\n` +
-      `🆔 المجموعة: ${groupId.toString().slice(0, 8)}\n` +
-      `👤 اسمك: ${autoName}\n` +
-      `💼 اسم بينانس: ${st.binance_username}\n\n` +
-      `━━━━━━━━━━━━━━━━━\n\n` +
-      `📜 قواعد الاستخدام:\n\n` +
-      `✅ استخدم الكود يومياً قبل منتصف الليل\n` +
-      `✅ اضغط "تم الاستخدام" في البوت\n` +
-      `✅ قم بتأكيد من استخدم أكوادك يومياً\n` +
-      `✅ الالتزام مهم\n\n` +
-      `⚠️ العقوبات:\n\n` +
-      `❌ عدم التأكيد على الأكواد:\n` +
-      `   • يوم 1: حجب أكوادك يوم واحد\n` +
-      `   • يوم 2: حجب يومين\n` +
-      `   • يوم 3: حذف الحساب نهائياً\n\n` +
-      `❌ الاعتراض الكاذب:\n` +
-      `   • مرة 1: حجب أكوادك يوم واحد\n` +
-      `   • مرة 2: حجب يومين\n` +
-      `   • مرة 3: حذف الحساب نهائياً\n\n` +
-      `━━━━━━━━━━━━━━━━━\n\n` +
-      `💡 استخدم /start لعرض القائمة الرئيسية`;
-    
-    return safeReply(ctx, welcomeMessage, await getDynamicKeyboard(ctx.from.id, groupId));
+    let preview = `📄 معاينة الملف (${entries.length} من ${freeCodeDays(st.expectedCodes, st.takenDays).length} كود):\n\n`;
+    preview += entries.map(e => `📅 اليوم ${e.day}: ${e.code}`).join("\n");
+    if ((st.codes || []).length > 0) {
+      preview += `\n\n⚠️ سيحل الملف محل ${st.codes.length} كود أرسلتها في الرسائل`;
+    }
+    return safeReply(ctx, preview, Markup.inlineKeyboard([
+      [Markup.button.callback("✅ تأكيد الرفع", "upload_confirm"), Markup.button.callback("❌ إلغاء", "upload_discard")],
+    ]));
   } catch (err) {
-    console.error("❌ contact handler:", err.message);
-    return safeReply(ctx, "❌ حدث خطأ داخلي أثناء التسجيل.");
+    console.error("❌ document upload:", err.message);
+    return safeReply(ctx, "❌ حدث خطأ أثناء قراءة الملف، حاول مرة أخرى.");
   }
 });
 
 bot.on("photo", async (ctx) => {
   try {
     const tgId = ctx.from.id.toString();
+
+    // 📸 إثبات الاستخدام في نزاع اعتراض (قبل إثبات الدفع)
+    const st = await getState(tgId);
+    if (st?.stage === "dispute_evidence") {
+      const photo = ctx.message.photo[ctx.message.photo.length - 1];
+      const result = await submitDisputeEvidence(st.disputeId, tgId, photo.file_id, ctx.message.caption);
+      await clearState(tgId);
+      if (result.error) return safeReply(ctx, DISPUTE_ERRORS[result.error]);
+      return safeReply(ctx, "✅ تم إرسال الإثبات للإدارة\n\n⚖️ ستصلك نتيجة الاعتراض هنا بعد المراجعة.");
+    }
     
-    const userRes = await q("SELECT id, group_id, auto_name FROM users WHERE telegram_id=$1", [tgId]);
+    const userRes = await q("SELECT id, group_id, auto_name FROM users WHERE telegram_id=$1 AND status='active'", [tgId]);
     if (userRes.rowCount === 0) {
       return safeReply(ctx, "⚠️ يجب التسجيل أولاً باستخدام /تسجيل");
     }
@@ -384,33 +2510,41 @@ bot.on("photo", async (ctx) => {
     const caption = ctx.message.caption || "";
     
     // تسجيل إثبات الدفع
-    const currentMonth = new Date().toISOString().slice(0, 7);
+    const currentMonth = (await getGroupToday(groupId)).slice(0, 7);
     try {
       await q(
-        `INSERT INTO payments (user_id, group_id, payment_month, proof_sent, proof_sent_at) 
-         VALUES ($1, $2, $3, true, NOW()) 
+        `INSERT INTO payments (user_id, group_id, payment_month, proof_sent, proof_sent_at, proof_file_id, proof_caption) 
+         VALUES ($1, $2, $3, true, NOW(), $4, $5) 
          ON CONFLICT (user_id, payment_month) 
-         DO UPDATE SET proof_sent=true, proof_sent_at=NOW()`,
-        [userId, groupId, currentMonth]
+         DO UPDATE SET proof_sent=true, proof_sent_at=NOW(), proof_file_id=$4, proof_caption=$5`,
+        [userId, groupId, currentMonth, photo.file_id, caption || null]
       );
     } catch (err) {
       console.log("Payment tracking error:", err.message);
     }
     
-    try {
-      await bot.telegram.sendPhoto(ADMIN_ID, photo.file_id, {
-        caption: `📸 إثبات دفع جديد\n\n` +
-                 `👤 المستخدم: ${userName}\n` +
-                 `🆔 Group: ${groupId.toString().slice(0, 8)}\n` +
-                 `📱 Telegram ID: ${tgId}\n` +
-                 `📅 الشهر: ${currentMonth}\n` +
-                 `💬 الرسالة: ${caption || 'لا توجد رسالة'}`,
-        parse_mode: 'HTML'
-      });
-      
+    // الإثبات يذهب لكل من يدير دفعات هذه المجموعة (owner، moderator، ومدير المجموعة)
+    let delivered = 0;
+    for (const adminId of getAdminRecipients(PERM.GROUP_PAYMENTS, groupId)) {
+      try {
+        await bot.telegram.sendPhoto(adminId, photo.file_id, {
+          caption: `📸 إثبات دفع جديد\n\n` +
+                   `👤 المستخدم: ${userName}\n` +
+                   `🆔 Group: ${groupId.toString().slice(0, 8)}\n` +
+                   `📱 Telegram ID: ${tgId}\n` +
+                   `📅 الشهر: ${currentMonth}\n` +
+                   `💬 الرسالة: ${caption || 'لا توجد رسالة'}`,
+          parse_mode: 'HTML'
+        });
+        delivered++;
+      } catch (err) {
+        console.error(`❌ Error sending payment proof to admin ${adminId}:`, err.message);
+      }
+    }
+    
+    if (delivered > 0) {
       await safeReply(ctx, "✅ تم إرسال إثبات الدفع بنجاح!\n\n⏳ سيتم مراجعته من قبل الإدارة قريباً.");
-    } catch (err) {
-      console.error("❌ Error sending to admin:", err.message);
+    } else {
       await safeReply(ctx, "❌ حدث خطأ أثناء إرسال الصورة. حاول مرة أخرى.");
     }
   } catch (err) {
@@ -419,59 +2553,528 @@ bot.on("photo", async (ctx) => {
   }
 });
 
+// أزرار لوحة الأدمن حسب صلاحيات كل دور
+// dashboardUrl: رابط الدخول للوحة الويب (في وضع webhook فقط)
+function adminPanelKeyboard(admin, dashboardUrl = null) {
+  const rows = [];
+  if (hasPermission(admin, PERM.SETTINGS)) rows.push([Markup.button.callback("🌐 Global Settings", "global_settings")]);
+  rows.push([Markup.button.callback("📦 Manage Groups", "manage_groups")]);
+  rows.push([Markup.button.callback("💰 Payment Management", "payment_menu")]);
+  if (hasPermission(admin, PERM.USERS)) rows.push([Markup.button.callback("🚫 Blacklist", "blacklist_menu")]);
+  // أزرار موجودة داخل الإعدادات العامة، تظهر هنا لمن لا يملك صلاحية الإعدادات
+  if (!hasPermission(admin, PERM.SETTINGS)) {
+    if (hasPermission(admin, PERM.DISTRIBUTE)) rows.push([Markup.button.callback("🔄 Distribute Now (All)", "distribute_now")]);
+    if (hasPermission(admin, PERM.BROADCAST)) rows.push([Markup.button.callback("📢 Broadcast to All", "broadcast")]);
+  }
+  if (hasPermission(admin, PERM.CYCLE)) rows.push([Markup.button.callback("🗑️ Delete Cycle Now", "delete_cycle")]);
+  if (hasPermission(admin, PERM.STATS)) rows.push([Markup.button.callback("📊 Stats", "stats")]);
+  if (hasPermission(admin, PERM.AUDIT)) rows.push([Markup.button.callback("📜 Audit Log", "audit_all_0")]);
+  if (ROLE_PERMISSIONS[admin.role].includes(PERM.GROUP_APPEALS)) rows.push([Markup.button.callback("⚖️ Appeals", "appeals_list")]);
+  if (hasPermission(admin, PERM.USERS) || hasPermission(admin, PERM.PAYMENTS) || hasPermission(admin, PERM.STATS)) {
+    rows.push([Markup.button.callback("📤 Export CSV", "export_menu")]);
+  }
+  if (dashboardUrl) rows.push([Markup.button.url("🌐 Web Dashboard", dashboardUrl)]);
+  return Markup.inlineKeyboard(rows);
+}
+
 bot.command("admin", async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) {
+  const admin = getAdmin(ctx.from.id);
+  if (!admin) {
     return safeReply(ctx, "❌ مخصص للأدمن فقط.");
   }
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback("🌐 Global Settings", "global_settings")],
-    [Markup.button.callback("📦 Manage Groups", "manage_groups")],
-    [Markup.button.callback("💰 Payment Management", "payment_menu")],
-    [Markup.button.callback("🚫 Blacklist", "blacklist_menu")],
-    [Markup.button.callback("🗑️ Delete Cycle Now", "delete_cycle")],
-    [Markup.button.callback("📊 Stats", "stats")],
-  ]);
-  return safeReply(ctx, "🔐 Admin Panel:", keyboard);
+  let dashboardUrl = null;
+  if (RENDER_URL) {
+    try {
+      dashboardUrl = await createDashboardLoginLink(admin.id);
+    } catch (err) {
+      console.error("❌ Dashboard link error:", err.message);
+    }
+  }
+  return safeReply(ctx, `🔐 Admin Panel (${ROLE_LABELS[admin.role]}):`, adminPanelKeyboard(admin, dashboardUrl));
+});
+
+bot.command("admins", async (ctx) => {
+  if (!(await authorize(ctx, PERM.ADMINS))) return;
+  let message = `🔐 قائمة الأدمن (${ADMINS.size}):\n\n`;
+  for (const a of ADMINS.values()) {
+    message += `• <code>${a.id}</code> - ${ROLE_LABELS[a.role]}`;
+    if (a.groups) message += ` (${a.groups.join(", ") || "بدون مجموعات"})`;
+    message += `\n`;
+  }
+  message += `\n💡 تُعدل من ADMIN_IDS في ملف البيئة`;
+  return safeReply(ctx, message, { parse_mode: "HTML" });
+});
+
+// /appeals → التظلمات المفتوحة في مجموعات الأدمن، /appeals 42 → ملف تظلم
+bot.command("appeals", async (ctx) => {
+  const admin = getAdmin(ctx.from.id);
+  if (!admin || !ROLE_PERMISSIONS[admin.role].includes(PERM.GROUP_APPEALS)) {
+    await authorize(ctx, PERM.GROUP_APPEALS);
+    return;
+  }
+  const recordId = (ctx.message.text.split(" ")[1] || "").replace("#", "");
+  try {
+    if (recordId) {
+      if (!/^\d+$/.test(recordId)) return safeReply(ctx, "❌ Usage: /appeals [id]");
+      const appealCase = await buildAppealCase(recordId);
+      if (!appealCase) return safeReply(ctx, APPEAL_ERRORS.not_found);
+      if (!(await authorize(ctx, PERM.GROUP_APPEALS, appealCase.record.group_id))) return;
+      return safeReply(ctx, appealCase.text,
+        appealCase.record.appeal_status === "open" ? appealDecisionKeyboard(recordId) : {});
+    }
+    const appeals = await getOpenAppeals(admin);
+    if (appeals.length === 0) return safeReply(ctx, "⚖️ لا توجد تظلمات مفتوحة.");
+    const keyboard = appeals.slice(0, 20).map(a => [Markup.button.callback(
+      `#${a.id} ${a.user_name || a.telegram_id} - ${a.offence} #${a.strike}`, `appealview_${a.id}`
+    )]);
+    return safeReply(ctx, `⚖️ التظلمات المفتوحة (${appeals.length}):`, { reply_markup: { inline_keyboard: keyboard } });
+  } catch (err) {
+    console.error("❌ appeals:", err.message);
+    return safeReply(ctx, "❌ حدث خطأ");
+  }
+});
+
+// /disputes → نزاعات الاعتراض المفتوحة في مجموعات الأدمن
+bot.command("disputes", async (ctx) => {
+  const admin = getAdmin(ctx.from.id);
+  if (!admin || !ROLE_PERMISSIONS[admin.role].includes(PERM.GROUP_APPEALS)) {
+    await authorize(ctx, PERM.GROUP_APPEALS);
+    return;
+  }
+  try {
+    const res = await q(
+      `SELECT d.id, d.code_text, d.group_id, d.status, d.respond_by, COALESCE(g.timezone, s.default_timezone, 'UTC') AS timezone
+       FROM claim_disputes d
+       LEFT JOIN groups g ON g.id = d.group_id LEFT JOIN admin_settings s ON s.id = 1
+       WHERE d.status = ANY($1::text[]) ORDER BY d.created_at`,
+      [OPEN_DISPUTE_STATUSES]
+    );
+    const disputes = res.rows.filter(d => hasPermission(admin, PERM.GROUP_APPEALS, d.group_id));
+    if (disputes.length === 0) return safeReply(ctx, "🧾 لا توجد نزاعات مفتوحة.");
+    let message = `🧾 النزاعات المفتوحة (${disputes.length}):\n\n`;
+    const keyboard = [];
+    for (const d of disputes.slice(0, 30)) {
+      if (d.status === "awaiting_admin") {
+        keyboard.push([Markup.button.callback(`📸 #${d.id} ${d.code_text}`, `disputeview_${d.id}`)]);
+      } else {
+        message += `⏳ #${d.id} ${d.code_text} - بانتظار المستخدم حتى ${localDateTime(d.timezone, d.respond_by)} (${d.timezone})\n`;
+      }
+    }
+    if (keyboard.length > 0) message += `\n📸 بانتظار حكمك: ${keyboard.length}`;
+    return safeReply(ctx, message, keyboard.length > 0 ? { reply_markup: { inline_keyboard: keyboard } } : {});
+  } catch (err) {
+    console.error("❌ disputes:", err.message);
+    return safeReply(ctx, "❌ حدث خطأ");
+  }
+});
+
+// /audit user:User5 group:5d124af3 action:user_ban date:2026-01-31 page:2
+bot.command("audit", async (ctx) => {
+  if (!(await authorize(ctx, PERM.AUDIT))) return;
+  const filters = {};
+  let page = 1;
+  for (const token of ctx.message.text.split(/\s+/).slice(1)) {
+    const [key, ...rest] = token.split(":");
+    const value = rest.join(":");
+    if (!value) continue;
+    if (key === "user") filters.user = value;
+    else if (key === "group") filters.groupPrefix = value.toLowerCase();
+    else if (key === "action") filters.action = value;
+    else if (key === "date") {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return safeReply(ctx, "❌ Invalid date. Example: date:2026-01-31");
+      filters.date = value;
+    } else if (key === "page") page = Math.max(parseInt(value, 10) || 1, 1);
+    else return safeReply(ctx, "❌ Usage: /audit user:<name|tg_id> group:<group_id_prefix> action:<action> date:YYYY-MM-DD page:<n>");
+  }
+
+  try {
+    const rows = await queryAuditLog(filters, AUDIT_PAGE_SIZE, (page - 1) * AUDIT_PAGE_SIZE);
+    if (rows.length === 0) return safeReply(ctx, "📜 لا توجد سجلات مطابقة");
+    return safeReply(ctx, `📜 Audit Log (page ${page})\n\n` + rows.map(formatAuditEntry).join("\n\n"));
+  } catch (err) {
+    console.error("❌ audit:", err.message);
+    return safeReply(ctx, "❌ حدث خطأ");
+  }
+});
+
+// ==================== CSV EXPORTS ====================
+// ملفات CSV تُرسل كمستند في تيليجرام (UTF-8 مع BOM وفواصل أسطر CRLF حتى يفتحها Excel مباشرة)
+// permission: التصدير لكل المجموعات، groupPermission: التصدير لمجموعة واحدة (مدير المجموعة)
+
+const EXPORT_TYPES = {
+  users: { label: "👥 Users", permission: PERM.USERS, groupPermission: PERM.GROUP_SETTINGS },
+  payments: { label: "💰 Payments", permission: PERM.PAYMENTS, groupPermission: PERM.GROUP_PAYMENTS, monthly: true },
+  nonpayers: { label: "⚠️ Non-Payers", permission: PERM.PAYMENTS, groupPermission: PERM.GROUP_PAYMENTS, monthly: true },
+  blacklist: { label: "🚫 Blacklist", permission: PERM.USERS, groupPermission: null },
+  assignments: { label: "📋 Cycle Assignments", permission: PERM.STATS, groupPermission: PERM.GROUP_SETTINGS },
+};
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // منع تنفيذ الخلية كمعادلة في Excel (أرقام الهواتف تبدأ بـ +)
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(csvCell).join(",")];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(","));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+// يرجع { filename, csv, count }
+async function buildExport(type, { groupId = null, month = null } = {}) {
+  const scope = groupId ? groupId.slice(0, 8) : "all";
+  if (type === "users") {
+    const res = await q(
+      `SELECT u.group_id, u.auto_name, u.telegram_id, u.phone, u.binance_username, u.verified, u.is_active,
+              u.inactive_since, u.created_at, u.status, u.archived_at, u.archive_reason,
+              (SELECT COUNT(*) FROM codes c WHERE c.owner_id = u.id AND c.status='active') AS active_codes
+       FROM users u WHERE ($1::uuid IS NULL OR u.group_id = $1) ORDER BY u.group_id, u.created_at`,
+      [groupId]
+    );
+    return {
+      filename: `users_${scope}.csv`, count: res.rowCount,
+      csv: toCsv(["group_id", "auto_name", "telegram_id", "phone", "binance_username", "verified", "is_active", "inactive_since", "created_at", "status", "archived_at", "archive_reason", "active_codes"], res.rows),
+    };
+  }
+  if (type === "payments" || type === "nonpayers") {
+    const res = await q(
+      `SELECT u.group_id, u.auto_name, u.telegram_id, u.phone, u.is_active, u.status,
+              COALESCE(p.proof_sent, false) AS paid, p.proof_sent_at, p.proof_caption
+       FROM users u LEFT JOIN payments p ON p.user_id = u.id AND p.payment_month = $1
+       WHERE ($2::uuid IS NULL OR u.group_id = $2)
+         AND (u.status = 'active' OR p.proof_sent = true)
+         AND ($3 = false OR p.proof_sent IS NOT TRUE)
+       ORDER BY u.group_id, u.auto_name`,
+      [month, groupId, type === "nonpayers"]
+    );
+    const rows = res.rows.map(r => ({ ...r, month }));
+    return {
+      filename: `${type}_${month}_${scope}.csv`, count: res.rowCount,
+      csv: toCsv(["month", "group_id", "auto_name", "telegram_id", "phone", "is_active", "status", "paid", "proof_sent_at", "proof_caption"], rows),
+    };
+  }
+  if (type === "blacklist") {
+    const res = await q(`SELECT phone, telegram_id, reason, banned_by, banned_at FROM blacklist ORDER BY banned_at DESC`);
+    return { filename: "blacklist.csv", count: res.rowCount, csv: toCsv(["phone", "telegram_id", "reason", "banned_by", "banned_at"], res.rows) };
+  }
+  if (type === "assignments") {
+    const res = await q(
+      `SELECT owner.group_id, a.assigned_date::text AS assigned_date, c.day_number, c.code_text, owner.auto_name AS owner_name,
+              viewer.auto_name AS assigned_to, a.presented_at, a.used, a.verified, a.marked_unused, a.reminder_sent, a.cancelled, a.cancel_reason
+       FROM code_view_assignments a
+       JOIN codes c ON c.id = a.code_id
+       JOIN users owner ON owner.id = c.owner_id
+       JOIN users viewer ON viewer.id = a.assigned_to_user_id
+       WHERE ($1::uuid IS NULL OR owner.group_id = $1)
+       ORDER BY a.assigned_date, owner.group_id, c.day_number, owner.auto_name`,
+      [groupId]
+    );
+    return {
+      filename: `assignments_${scope}.csv`, count: res.rowCount,
+      csv: toCsv(["group_id", "assigned_date", "day_number", "code_text", "owner_name", "assigned_to", "presented_at", "used", "verified", "marked_unused", "reminder_sent", "cancelled", "cancel_reason"], res.rows),
+    };
+  }
+  throw new Error(`Unknown export type: ${type}`);
+}
+
+async function sendExport(ctx, type, options = {}) {
+  const file = await buildExport(type, options);
+  await ctx.replyWithDocument(
+    { source: Buffer.from(file.csv, "utf8"), filename: file.filename },
+    { caption: `📤 ${EXPORT_TYPES[type].label}${options.month ? ` - ${options.month}` : ""}: ${file.count} rows` }
+  );
+  await logAudit(ctx, "data_export", { groupId: options.groupId, details: { type, month: options.month || null, rows: file.count } });
+}
+
+function exportMenuKeyboard(admin) {
+  const rows = Object.entries(EXPORT_TYPES)
+    .filter(([, t]) => hasPermission(admin, t.permission))
+    .map(([type, t]) => [Markup.button.callback(t.label, `export_${type}`)]);
+  rows.push([Markup.button.callback("◀️ Back", "back_to_main")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+// /export <type> [YYYY-MM] [group_id_prefix]
+bot.command("export", async (ctx) => {
+  const admin = getAdmin(ctx.from.id);
+  if (!admin) return;
+  const usage = `❌ Usage: /export <${Object.keys(EXPORT_TYPES).join("|")}> [YYYY-MM] [group_id_prefix]\n\nExample: /export payments 2026-01 5d124af3`;
+  const [type, ...args] = ctx.message.text.split(/\s+/).slice(1);
+  const def = EXPORT_TYPES[type];
+  if (!def) return safeReply(ctx, usage);
+
+  let month = null;
+  let groupId = null;
+  for (const arg of args) {
+    if (/^\d{4}-\d{2}$/.test(arg) && def.monthly) {
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(arg)) return safeReply(ctx, "❌ Invalid month. Example: 2026-01");
+      month = arg;
+    } else if (def.groupPermission && !groupId) {
+      groupId = await resolveGroupId(arg);
+      if (!groupId) return safeReply(ctx, "❌ Group not found");
+    } else return safeReply(ctx, usage);
+  }
+  if (def.monthly && !month) {
+    month = groupId ? (await getGroupToday(groupId)).slice(0, 7) : localDate((await getAdminSettings()).default_timezone).slice(0, 7);
+  }
+  if (!(await authorize(ctx, groupId ? def.groupPermission : def.permission, groupId))) return;
+
+  try {
+    await sendExport(ctx, type, { groupId, month });
+  } catch (err) {
+    console.error(`❌ export ${type}:`, err.message);
+    return safeReply(ctx, "❌ حدث خطأ أثناء التصدير");
+  }
 });
 
 bot.hears(/^\/set_time/, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!(await authorize(ctx, PERM.SETTINGS))) return;
   const time = ctx.message.text.split(" ")[1];
   if (!/^\d{2}:\d{2}$/.test(time)) return safeReply(ctx, "❌ Invalid format. Example: /set_time 09:00");
   await updateAdminSettings("send_time", time);
   await q("UPDATE groups SET send_time = $1", [time]);
+  await logAudit(ctx, "settings_update", { details: { key: "send_time", value: time, scope: "all_groups" } });
   return safeReply(ctx, `✅ Send time set to ${time} for all groups`);
 });
 
 bot.hears(/^\/set_limit/, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!(await authorize(ctx, PERM.SETTINGS))) return;
   const val = parseInt(ctx.message.text.split(" ")[1], 10);
   if (isNaN(val)) return safeReply(ctx, "❌ Invalid number");
   await updateAdminSettings("daily_codes_limit", val);
   await q("UPDATE groups SET daily_codes_limit = $1", [val]);
+  await logAudit(ctx, "settings_update", { details: { key: "daily_codes_limit", value: val, scope: "all_groups" } });
   return safeReply(ctx, `✅ Daily limit set to ${val} for all groups`);
 });
 
 bot.hears(/^\/set_days/, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!(await authorize(ctx, PERM.SETTINGS))) return;
   const val = parseInt(ctx.message.text.split(" ")[1], 10);
   if (isNaN(val)) return safeReply(ctx, "❌ Invalid number");
   await updateAdminSettings("distribution_days", val);
   await q("UPDATE groups SET distribution_days = $1", [val]);
+  await logAudit(ctx, "settings_update", { details: { key: "distribution_days", value: val, scope: "all_groups" } });
   return safeReply(ctx, `✅ Distribution days set to ${val} for all groups`);
 });
 
-bot.hears(/^\/set_group/, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+bot.hears(/^\/set_group(?:\s|$)/, async (ctx) => {
+  if (!(await authorize(ctx, PERM.SETTINGS))) return;
   const val = parseInt(ctx.message.text.split(" ")[1], 10);
   if (isNaN(val)) return safeReply(ctx, "❌ Invalid number");
   await updateAdminSettings("group_size", val);
   await q("UPDATE groups SET max_users = $1", [val]);
+  await logAudit(ctx, "settings_update", { details: { key: "group_size", value: val, scope: "all_groups" } });
   return safeReply(ctx, `✅ Group size set to ${val}`);
 });
 
+bot.hears(/^\/timezone/, async (ctx) => {
+  if (!(await authorize(ctx, PERM.SETTINGS))) return;
+  const tz = ctx.message.text.split(" ")[1];
+  if (!tz) {
+    const s = await getAdminSettings();
+    return safeReply(ctx, `🕐 المنطقة الزمنية الافتراضية: ${s.default_timezone}\n\n❌ Usage: /timezone Africa/Cairo`);
+  }
+  if (!isValidTimezone(tz)) return safeReply(ctx, "❌ Invalid timezone. Example: /timezone Africa/Cairo");
+  await updateAdminSettings("default_timezone", tz);
+  await logAudit(ctx, "settings_update", { details: { key: "default_timezone", value: tz } });
+  return safeReply(ctx, `✅ Default timezone set to ${tz}\n\n💡 المجموعات التي لها منطقة زمنية خاصة لن تتأثر`);
+});
+
+bot.hears(/^\/set_code_format/, async (ctx) => {
+  if (!(await authorize(ctx, PERM.SETTINGS))) return;
+  const input = ctx.message.text.split(" ").slice(1).join(" ").trim();
+  if (!input) {
+    const s = await getAdminSettings();
+    return safeReply(ctx, `🔤 صيغة الأكواد الحالية: <code>${esc(s.code_pattern)}</code>\n\n❌ Usage: /set_code_format ^[A-Z0-9]{8}$ (or DEFAULT)`, { parse_mode: "HTML" });
+  }
+  const pattern = input.toUpperCase() === "DEFAULT" ? DEFAULT_CODE_PATTERN : input;
+  try {
+    new RegExp(pattern);
+  } catch (e) {
+    return safeReply(ctx, `❌ Invalid regular expression: ${e.message}`);
+  }
+  await updateAdminSettings("code_pattern", pattern);
+  await logAudit(ctx, "settings_update", { details: { key: "code_pattern", value: pattern } });
+  return safeReply(ctx, `✅ Code format set to <code>${esc(pattern)}</code>`, { parse_mode: "HTML" });
+});
+
+// null = لا سحب للتوزيعات غير المستخدمة (المقاعد الضائعة بالاعتراض أو الحذف تُعاد دائماً)
+function formatReclaimHour(hour) {
+  return hour === null || hour === undefined ? "Off" : `${String(hour).padStart(2, "0")}:00`;
+}
+
+bot.hears(/^\/set_reclaim_hour/, async (ctx) => {
+  if (!(await authorize(ctx, PERM.SETTINGS))) return;
+  const input = (ctx.message.text.split(" ")[1] || "").trim().toLowerCase();
+  if (!input) {
+    const s = await getAdminSettings();
+    return safeReply(ctx, `♻️ سحب الأكواد غير المستخدمة: ${formatReclaimHour(s.slot_reclaim_hour)}\n\n❌ Usage: /set_reclaim_hour 16 (0-${SLOT_RECLAIM_LAST_HOUR - 1}, or off)`);
+  }
+  let hour = null;
+  if (input !== "off") {
+    hour = parseInt(input, 10);
+    if (!/^\d+$/.test(input) || hour < 0 || hour >= SLOT_RECLAIM_LAST_HOUR) {
+      return safeReply(ctx, `❌ Hour must be between 0 and ${SLOT_RECLAIM_LAST_HOUR - 1}, or off`);
+    }
+  }
+  await updateAdminSettings("slot_reclaim_hour", hour);
+  await logAudit(ctx, "settings_update", { details: { key: "slot_reclaim_hour", value: hour } });
+  let message = `✅ Reclaim unused codes at: ${formatReclaimHour(hour)}\n\n💡 بتوقيت كل مجموعة، وبعد ${SLOT_RECLAIM_MIN_HOURS} ساعات على الأقل من ظهور الكود`;
+  // الأكواد التي تظهر في هذه الساعة أو بعدها لا تُسحب أبداً
+  if (hour !== null) {
+    const late = await q(`SELECT id, name, send_time FROM groups WHERE EXTRACT(HOUR FROM send_time) >= $1 ORDER BY send_time`, [hour]);
+    if (late.rowCount > 0) {
+      message += `\n\n⚠️ لا أثر لهذه الساعة في مجموعات ترسل أكوادها في ${hour}:00 أو بعدها:\n` +
+        late.rows.map(g => `• ${g.id.slice(0, 8)} ${g.name || ""} (${g.send_time.slice(0, 5)})`).join("\n");
+    }
+  }
+  return safeReply(ctx, message);
+});
+
+// ---------- سلم العقوبات ----------
+// default → السلم الافتراضي (PERM.SETTINGS)، بادئة مجموعة → قواعد المجموعة (PERM.GROUP_SETTINGS)
+async function resolvePolicyTarget(ctx, target) {
+  if (!target || target.toLowerCase() === "default") {
+    return (await authorize(ctx, PERM.SETTINGS)) ? { groupId: null } : null;
+  }
+  const groupId = await resolveGroupId(target);
+  if (!groupId) {
+    await safeReply(ctx, "❌ Group not found");
+    return null;
+  }
+  const group = await q(`SELECT strike_decay_days FROM groups WHERE id=$1`, [groupId]);
+  return (await authorize(ctx, PERM.GROUP_SETTINGS, groupId)) ? { groupId, decayDays: group.rows[0].strike_decay_days } : null;
+}
+
+bot.hears(/^\/penalty_policy/, async (ctx) => {
+  if (!getAdmin(ctx.from.id)) return;
+  const target = await resolvePolicyTarget(ctx, ctx.message.text.split(" ")[1]);
+  if (!target) return;
+  try {
+    const policy = await getPenaltyPolicy(target.groupId);
+    return safeReply(ctx,
+      `📜 Penalty Policy - ${target.groupId ? `Group ${target.groupId.slice(0, 8)}` : "Default"}\n` +
+      formatPenaltyPolicy(policy, target.decayDays) +
+      `\n\n✏️ = قاعدة خاصة بالمجموعة\n\n` +
+      `/set_penalty <group|default> <offence> <strike> <action> [days]\n` +
+      `/reset_penalty <group> [offence]\n` +
+      `/set_strike_decay <group|all> <days|off>\n\n` +
+      `Actions: ${Object.keys(PENALTY_ACTIONS).join(", ")}`
+    );
+  } catch (err) {
+    console.error(err);
+    return safeReply(ctx, "❌ حدث خطأ");
+  }
+});
+
+bot.hears(/^\/set_penalty/, async (ctx) => {
+  if (!getAdmin(ctx.from.id)) return;
+  const parts = ctx.message.text.trim().split(/\s+/);
+  if (parts.length < 5) {
+    return safeReply(ctx, "❌ Usage: /set_penalty <group_id_prefix|default> <offence> <strike> <action> [days]\n\nExample: /set_penalty 5d124af3 missed_day 2 suspend 3");
+  }
+  const [, targetArg, offence, strikeArg, action, daysArg] = parts;
+  if (!PENALTY_OFFENCES[offence]) return safeReply(ctx, `❌ Offence must be one of: ${Object.keys(PENALTY_OFFENCES).join(", ")}`);
+  if (!PENALTY_ACTIONS[action]) return safeReply(ctx, `❌ Action must be one of: ${Object.keys(PENALTY_ACTIONS).join(", ")}`);
+  const strike = parseInt(strikeArg, 10);
+  if (!/^\d+$/.test(strikeArg) || strike < 1 || strike > 10) return safeReply(ctx, "❌ Strike must be between 1 and 10");
+  let days = null;
+  if (PENALTY_ACTIONS[action].needsDays) {
+    days = parseInt(daysArg, 10);
+    if (!/^\d+$/.test(daysArg || "") || days < 1 || days > 365) return safeReply(ctx, `❌ ${action} needs days (1-365)`);
+  }
+
+  const target = await resolvePolicyTarget(ctx, targetArg);
+  if (!target) return;
+  // الحذف والحظر يمسّان الحساب نفسه (ونفس صلاحية /ban)، فلا تكفي صلاحية إعدادات المجموعة
+  if ((action === "delete" || action === "ban") && target.groupId && !(await authorize(ctx, PERM.USERS))) return;
+  try {
+    await setPenaltyRule(target.groupId, offence, strike, action, days, ctx);
+    return safeReply(ctx, `✅ ${target.groupId ? `Group ${target.groupId.slice(0, 8)}` : "Default"}: ${offence} #${strike} → ${action}${days ? ` ${days}d` : ""}`);
+  } catch (err) {
+    console.error(err);
+    return safeReply(ctx, "❌ حدث خطأ");
+  }
+});
+
+bot.hears(/^\/reset_penalty/, async (ctx) => {
+  if (!getAdmin(ctx.from.id)) return;
+  const [, targetArg, offence] = ctx.message.text.trim().split(/\s+/);
+  if (!targetArg || targetArg.toLowerCase() === "default") {
+    return safeReply(ctx, "❌ Usage: /reset_penalty <group_id_prefix> [offence]\n\nيعيد المجموعة للسلم الافتراضي");
+  }
+  if (offence && !PENALTY_OFFENCES[offence]) return safeReply(ctx, `❌ Offence must be one of: ${Object.keys(PENALTY_OFFENCES).join(", ")}`);
+  const target = await resolvePolicyTarget(ctx, targetArg);
+  if (!target) return;
+  try {
+    const removed = await resetPenaltyPolicy(target.groupId, offence || null, ctx);
+    return safeReply(ctx, `✅ Group ${target.groupId.slice(0, 8)} follows the default policy${offence ? ` for ${offence}` : ""} (${removed} rules removed)`);
+  } catch (err) {
+    console.error(err);
+    return safeReply(ctx, "❌ حدث خطأ");
+  }
+});
+
+bot.hears(/^\/set_strike_decay/, async (ctx) => {
+  if (!getAdmin(ctx.from.id)) return;
+  const [, targetArg, input] = ctx.message.text.trim().split(/\s+/);
+  if (!targetArg || !input) {
+    return safeReply(ctx, "❌ Usage: /set_strike_decay <group_id_prefix|all> <days|off>\n\nExample: /set_strike_decay 5d124af3 14");
+  }
+  let days = null;
+  if (input.toLowerCase() !== "off") {
+    days = parseInt(input, 10);
+    if (!/^\d+$/.test(input) || days < 1 || days > 365) return safeReply(ctx, "❌ Days must be between 1 and 365, or off");
+  }
+  try {
+    if (targetArg.toLowerCase() === "all") {
+      if (!(await authorize(ctx, PERM.SETTINGS))) return;
+      const res = await q(`UPDATE groups SET strike_decay_days=$1`, [days]);
+      await logAudit(ctx, "settings_update", { details: { key: "strike_decay_days", value: days, groups: res.rowCount } });
+      return safeReply(ctx, `✅ Strike decay ${days ? `after ${days} clean days` : "off"} for ${res.rowCount} groups`);
+    }
+    const target = await resolvePolicyTarget(ctx, targetArg);
+    if (!target) return;
+    await updateGroupSettings(target.groupId, "strike_decay_days", days);
+    await logAudit(ctx, "group_settings_update", { groupId: target.groupId, details: { key: "strike_decay_days", value: days } });
+    return safeReply(ctx, `✅ Strike decay ${days ? `after ${days} clean days` : "off"} for group ${target.groupId.slice(0, 8)}`);
+  } catch (err) {
+    console.error(err);
+    return safeReply(ctx, "❌ حدث خطأ");
+  }
+});
+
+bot.hears(/^\/set_dispute_hours/, async (ctx) => {
+  if (!(await authorize(ctx, PERM.SETTINGS))) return;
+  const input = (ctx.message.text.split(" ")[1] || "").trim();
+  const hours = parseInt(input, 10);
+  if (!/^\d+$/.test(input) || hours < 1 || hours > 168) {
+    const s = await getAdminSettings();
+    return safeReply(ctx, `🧾 مهلة الرد على الاعتراض: ${s.dispute_response_hours}h\n\n❌ Usage: /set_dispute_hours 24 (1-168)`);
+  }
+  await updateAdminSettings("dispute_response_hours", hours);
+  await logAudit(ctx, "settings_update", { details: { key: "dispute_response_hours", value: hours } });
+  return safeReply(ctx, `✅ Dispute response window set to ${hours}h\n\n💡 ينطبق على الاعتراضات الجديدة فقط`);
+});
+
+bot.hears(/^\/set_archive_retention/, async (ctx) => {
+  if (!(await authorize(ctx, PERM.SETTINGS))) return;
+  const input = (ctx.message.text.split(" ")[1] || "").trim();
+  const days = parseInt(input, 10);
+  if (!/^\d+$/.test(input) || days < 1 || days > 3650) {
+    const s = await getAdminSettings();
+    return safeReply(ctx, `🗄️ مدة الاحتفاظ بالحسابات المؤرشفة: ${s.archive_retention_days} يوم\n\n❌ Usage: /set_archive_retention 90 (1-3650)`);
+  }
+  await updateAdminSettings("archive_retention_days", days);
+  await logAudit(ctx, "settings_update", { details: { key: "archive_retention_days", value: days } });
+  return safeReply(ctx, `✅ Archived accounts are now purged after ${days} days`);
+});
+
 bot.hears(/^\/set_max_groups/, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!(await authorize(ctx, PERM.SETTINGS))) return;
   const input = ctx.message.text.split(" ")[1];
   if (!input) return safeReply(ctx, "❌ Usage: /set_max_groups 15 (or NULL for unlimited)");
   
@@ -479,23 +3082,28 @@ bot.hears(/^\/set_max_groups/, async (ctx) => {
   if (input.toUpperCase() !== "NULL" && isNaN(val)) return safeReply(ctx, "❌ Invalid number");
   
   await updateAdminSettings("max_groups", val);
+  await logAudit(ctx, "settings_update", { details: { key: "max_groups", value: val } });
   return safeReply(ctx, `✅ Max groups set to ${val === null ? 'Unlimited' : val}`);
 });
 
 bot.hears(/^\/set_group_chat_id/, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!getAdmin(ctx.from.id)) return;
   const parts = ctx.message.text.split(" ");
   if (parts.length < 3) return safeReply(ctx, "❌ Usage: /set_group_chat_id <group_id_prefix> <chat_id>\n\nExample: /set_group_chat_id 5d124af3 -1001234567890");
   
   const groupPrefix = parts[1];
-  const chatId = parts[2];
+  const parsed = parseGroupSetting("telegram_group_chat_id", parts[2]);
+  if (parsed.error) return safeReply(ctx, parsed.error);
+  const chatId = parsed.value;
   
   try {
     const groups = await q(`SELECT id FROM groups WHERE id::text LIKE $1`, [`${groupPrefix}%`]);
     if (groups.rowCount === 0) return safeReply(ctx, "❌ Group not found");
     
     const groupId = groups.rows[0].id;
+    if (!(await authorize(ctx, PERM.GROUP_SETTINGS, groupId))) return;
     await q(`UPDATE groups SET telegram_group_chat_id = $1 WHERE id = $2`, [chatId, groupId]);
+    await logAudit(ctx, "group_settings_update", { groupId, details: { key: "telegram_group_chat_id", value: chatId } });
     return safeReply(ctx, `✅ Telegram Group Chat ID set to ${chatId} for group ${groupId.slice(0, 8)}`);
   } catch (err) {
     console.error(err);
@@ -504,7 +3112,7 @@ bot.hears(/^\/set_group_chat_id/, async (ctx) => {
 });
 
 bot.hears(/^\/ban /, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!(await authorize(ctx, PERM.USERS))) return;
   const parts = ctx.message.text.split(" ");
   if (parts.length < 2) return safeReply(ctx, "❌ Usage: /ban <phone> <reason>\n\nExample: /ban +201234567890 لم يدفع");
   
@@ -512,7 +3120,7 @@ bot.hears(/^\/ban /, async (ctx) => {
   const reason = parts.slice(2).join(" ") || "غير محدد";
   
   try {
-    await q(`INSERT INTO blacklist (phone, reason, banned_by) VALUES ($1, $2, $3) ON CONFLICT (phone) DO UPDATE SET reason=$2, banned_at=NOW()`, [phone, reason, ADMIN_ID]);
+    await addToBlacklist(phone, reason, ctx);
     return safeReply(ctx, `✅ تم إضافة ${phone} للقائمة السوداء\n\n📋 السبب: ${reason}`);
   } catch (err) {
     console.error(err);
@@ -521,15 +3129,14 @@ bot.hears(/^\/ban /, async (ctx) => {
 });
 
 bot.hears(/^\/unban /, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!(await authorize(ctx, PERM.USERS))) return;
   const parts = ctx.message.text.split(" ");
   if (parts.length < 2) return safeReply(ctx, "❌ Usage: /unban <phone_or_telegram_id>");
   
   const identifier = parts[1];
   
   try {
-    const result = await q(`DELETE FROM blacklist WHERE phone=$1 OR telegram_id=$1`, [identifier]);
-    if (result.rowCount > 0) {
+    if (await removeFromBlacklist(identifier, ctx)) {
       return safeReply(ctx, `✅ تم إزالة ${identifier} من القائمة السوداء`);
     } else {
       return safeReply(ctx, `❌ ${identifier} غير موجود في القائمة السوداء`);
@@ -541,7 +3148,7 @@ bot.hears(/^\/unban /, async (ctx) => {
 });
 
 bot.hears(/^\/banuser /, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!(await authorize(ctx, PERM.USERS))) return;
   const parts = ctx.message.text.split(" ");
   if (parts.length < 2) return safeReply(ctx, "❌ Usage: /banuser <user_name_or_phone> <reason>\n\nExample: /banuser User5 غير نزيه");
   
@@ -549,84 +3156,85 @@ bot.hears(/^\/banuser /, async (ctx) => {
   const reason = parts.slice(2).join(" ") || "مخالفة القواعد";
   
   try {
-    const user = await q(`SELECT * FROM users WHERE auto_name=$1 OR phone=$1 OR telegram_id=$1`, [identifier]);
+    const userData = await findUser(identifier);
     
-    if (user.rowCount === 0) {
+    if (!userData) {
       return safeReply(ctx, `❌ المستخدم ${identifier} غير موجود`);
     }
     
-    const userData = user.rows[0];
-    
-    // 1. إضافة للقائمة السوداء
-    await q(`INSERT INTO blacklist (phone, telegram_id, reason, banned_by) VALUES ($1, $2, $3, $4) ON CONFLICT (phone) DO UPDATE SET reason=$3, banned_at=NOW()`, 
-      [userData.phone, userData.telegram_id, reason, ADMIN_ID]);
-    
-    // 2. حذف كل الأكواد
-    await q(`DELETE FROM codes WHERE owner_id=$1`, [userData.id]);
-    
-    // 3. حذف كل التوزيعات
-    await q(`DELETE FROM code_view_assignments WHERE assigned_to_user_id=$1`, [userData.id]);
+    // إضافة للقائمة السوداء + أرشفة الحساب (معاملة واحدة) + إشعار المستخدم
+    await banUser(userData, reason, ctx);
     
-    // 4. حذف العقوبات
-    await q(`DELETE FROM user_penalties WHERE user_id=$1`, [userData.id]);
-    await q(`DELETE FROM confirmation_penalties WHERE user_id=$1`, [userData.id]);
-    await q(`DELETE FROM verification_penalties WHERE user_id=$1`, [userData.id]);
-    
-    // 5. حذف سجلات الدفع
-    await q(`DELETE FROM payments WHERE user_id=$1`, [userData.id]);
-    
-    // 6. حذف المستخدم
-    await q(`DELETE FROM users WHERE id=$1`, [userData.id]);
-    
-    // 7. إرسال رسالة للمستخدم
-    try {
-      await bot.telegram.sendMessage(userData.telegram_id, `🚫 تم حظرك من البوت\n\n📋 السبب: ${reason}\n\n⚠️ تم حذف حسابك وجميع أكوادك\n❌ لن تتمكن من التسجيل مرة أخرى`);
-    } catch (e) {
-      console.log("Could not send ban message to user");
-    }
-    
-    return safeReply(ctx, `✅ تم حظر ${userData.auto_name} بنجاح\n\n📋 السبب: ${reason}\n🗑️ تم حذف الحساب والأكواد\n🚫 تم إضافته للقائمة السوداء`);
+    return safeReply(ctx, `✅ تم حظر ${userData.auto_name} بنجاح\n\n📋 السبب: ${reason}\n🗄️ تم أرشفة الحساب وإيقاف أكواده (/restore ${userData.telegram_id} لإعادته)\n🚫 تم إضافته للقائمة السوداء`);
   } catch (err) {
     console.error(err);
     return safeReply(ctx, "❌ حدث خطأ");
   }
 });
 
+// /restore <user_name|phone|telegram_id> [group_id_prefix] → إعادة حساب مؤرشف لمجموعته أو لمجموعة أخرى
+bot.hears(/^\/restore(?:\s|$)/, async (ctx) => {
+  if (!(await authorize(ctx, PERM.USERS))) return;
+  const parts = ctx.message.text.split(" ").filter(Boolean);
+  if (parts.length < 2) return safeReply(ctx, "❌ Usage: /restore <user_name_or_phone_or_telegram_id> [group_id_prefix]\n\n📋 /archived لعرض الحسابات المؤرشفة");
+
+  try {
+    const userData = await findArchivedUser(parts[1]);
+    if (!userData) return safeReply(ctx, `❌ لا يوجد حساب مؤرشف لـ ${parts[1]}`);
+    let groupId = null;
+    if (parts[2]) {
+      groupId = await resolveGroupId(parts[2]);
+      if (!groupId) return safeReply(ctx, `❌ Group ${parts[2]} not found`);
+    }
+
+    const result = await restoreUser(userData.id, ctx, { groupId });
+    if (result.error) return safeReply(ctx, `❌ ${result.error}`);
+    return safeReply(ctx,
+      `✅ تمت استعادة ${result.user.auto_name} إلى Group ${result.user.group_id.slice(0, 8)}\n\n` +
+      `📋 سبب الأرشفة: ${userData.archive_reason || "غير محدد"}\n` +
+      (result.unbanned ? `🚫 أُزيل من القائمة السوداء\n` : "") +
+      `📦 أكواده تعود للتوزيع وعدادات مخالفاته كما هي\n📨 تم إبلاغ المستخدم`
+    );
+  } catch (err) {
+    console.error("❌ restore:", err.message);
+    return safeReply(ctx, "❌ حدث خطأ");
+  }
+});
+
+// /archived → آخر الحسابات المؤرشفة وموعد حذفها النهائي
+bot.hears(/^\/archived/, async (ctx) => {
+  if (!(await authorize(ctx, PERM.USERS))) return;
+  try {
+    const days = (await getAdminSettings()).archive_retention_days;
+    const res = await q(
+      `SELECT auto_name, telegram_id, group_id, archived_at, archive_reason,
+              (archived_at + make_interval(days => $1::int))::date AS purge_on
+       FROM users WHERE status='archived' ORDER BY archived_at DESC LIMIT 30`,
+      [days]
+    );
+    if (res.rowCount === 0) return safeReply(ctx, "🗄️ لا توجد حسابات مؤرشفة.");
+    let message = `🗄️ الحسابات المؤرشفة (آخر ${res.rowCount}) - تُحذف نهائياً بعد ${days} يوم:\n\n`;
+    for (const u of res.rows) {
+      message += `• ${u.auto_name} (TG: ${u.telegram_id}) - Group ${u.group_id ? u.group_id.slice(0, 8) : "-"}\n` +
+        `  📅 ${u.archived_at.toISOString().slice(0, 10)} - ${u.archive_reason || "غير محدد"} - حذف: ${u.purge_on.toISOString().slice(0, 10)}\n`;
+    }
+    message += `\n♻️ للاستعادة: /restore <telegram_id> [group_id_prefix]`;
+    return safeReply(ctx, message);
+  } catch (err) {
+    console.error("❌ archived:", err.message);
+    return safeReply(ctx, "❌ حدث خطأ");
+  }
+});
+
 bot.hears(/^\/warn_nonpayers/, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!(await authorize(ctx, PERM.PAYMENTS))) return;
   
   try {
-    const currentMonth = new Date().toISOString().slice(0, 7);
-    const nonPayers = await q(`
-      SELECT u.telegram_id, u.auto_name
-      FROM users u
-      LEFT JOIN payments p ON p.user_id = u.id AND p.payment_month = $1
-      WHERE p.id IS NULL OR p.proof_sent = false
-    `, [currentMonth]);
-    
-    if (nonPayers.rowCount === 0) {
+    const { queued } = await warnNonPayers(ctx);
+    if (queued === 0) {
       return safeReply(ctx, "✅ الجميع دفع!");
     }
-    
-    let success = 0;
-    for (const user of nonPayers.rows) {
-      try {
-        await bot.telegram.sendMessage(user.telegram_id, 
-          `⚠️ تحذير نهائي - عدم الدفع\n\n` +
-          `👤 ${user.auto_name}\n` +
-          `📅 الشهر: ${currentMonth}\n\n` +
-          `🚨 لم نستلم إثبات الدفع منك حتى الآن\n\n` +
-          `📸 يرجى إرسال إثبات الدفع فوراً عبر زر "📸 إرسال إثبات الدفع"\n\n` +
-          `⛔ عدم الدفع خلال 24 ساعة سيؤدي لحظر حسابك نهائياً`
-        );
-        success++;
-        await new Promise(r => setTimeout(r, 100));
-      } catch (e) {
-        console.error(`Failed to warn ${user.telegram_id}`);
-      }
-    }
-    
-    return safeReply(ctx, `✅ تم إرسال التحذير لـ ${success} مستخدم`);
+    return safeReply(ctx, `✅ تمت جدولة التحذير لـ ${queued} مستخدم`);
   } catch (err) {
     console.error(err);
     return safeReply(ctx, "❌ حدث خطأ");
@@ -634,23 +3242,23 @@ bot.hears(/^\/warn_nonpayers/, async (ctx) => {
 });
 
 bot.hears(/^\/set_payment_day/, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!getAdmin(ctx.from.id)) return;
   const parts = ctx.message.text.split(" ");
   if (parts.length < 3) return safeReply(ctx, "❌ Usage: /set_payment_day <group_id_prefix> <day>\n\nExample: /set_payment_day 5d124af3 15");
   
   const groupPrefix = parts[1];
-  const day = parseInt(parts[2], 10);
-  
-  if (isNaN(day) || day < 1 || day > 28) {
-    return safeReply(ctx, "❌ اليوم يجب أن يكون بين 1 و 28");
-  }
+  const parsed = parseGroupSetting("payment_day", parts[2]);
+  if (parsed.error) return safeReply(ctx, parsed.error);
+  const day = parsed.value;
   
   try {
     const groups = await q(`SELECT id FROM groups WHERE id::text LIKE $1`, [`${groupPrefix}%`]);
     if (groups.rowCount === 0) return safeReply(ctx, "❌ Group not found");
     
     const groupId = groups.rows[0].id;
+    if (!(await authorize(ctx, PERM.GROUP_PAYMENTS, groupId))) return;
     await updateGroupSettings(groupId, 'payment_day', day);
+    await logAudit(ctx, "group_settings_update", { groupId, details: { key: "payment_day", value: day } });
     return safeReply(ctx, `✅ تم تحديد يوم الدفع إلى ${day} للمجموعة ${groupId.slice(0, 8)}`);
   } catch (err) {
     console.error(err);
@@ -659,13 +3267,9 @@ bot.hears(/^\/set_payment_day/, async (ctx) => {
 });
 
 bot.hears(/^\/reset_cycle/, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
-  try {
-    await q("DELETE FROM code_view_assignments");
-    await q("DELETE FROM codes");
-    await q("DELETE FROM user_penalties");
-    await q("DELETE FROM confirmation_penalties");
-    await q("DELETE FROM verification_penalties");
+  if (!(await authorize(ctx, PERM.CYCLE))) return;
+  try {
+    await resetCycle(ctx, "/reset_cycle");
     return safeReply(ctx, "🔄 تم بدء دورة جديدة!");
   } catch (err) {
     console.error(err);
@@ -674,10 +3278,11 @@ bot.hears(/^\/reset_cycle/, async (ctx) => {
 });
 
 bot.hears(/^\/distribute_now/, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!(await authorize(ctx, PERM.DISTRIBUTE))) return;
   try {
     console.log("🔄 Manual distribution started by admin");
     await runDailyDistribution();
+    await logAudit(ctx, "distribution_run", { details: { scope: "all_groups" } });
     return safeReply(ctx, "✅ تم توزيع الأكواد يدوياً!\n\nتحقق من /اكواد_اليوم الآن.");
   } catch (err) {
     console.error(err);
@@ -686,20 +3291,23 @@ bot.hears(/^\/distribute_now/, async (ctx) => {
 });
 
 bot.hears(/^\/set_group_days/, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!getAdmin(ctx.from.id)) return;
   const parts = ctx.message.text.split(" ");
   if (parts.length < 3) return safeReply(ctx, "❌ Usage: /set_group_days <group_id_prefix> <days>");
   
   const groupPrefix = parts[1];
-  const val = parseInt(parts[2], 10);
-  if (isNaN(val)) return safeReply(ctx, "❌ Invalid number");
+  const parsed = parseGroupSetting("distribution_days", parts[2]);
+  if (parsed.error) return safeReply(ctx, parsed.error);
+  const val = parsed.value;
   
   try {
     const groups = await q(`SELECT id FROM groups WHERE id::text LIKE $1`, [`${groupPrefix}%`]);
     if (groups.rowCount === 0) return safeReply(ctx, "❌ Group not found");
     
     const groupId = groups.rows[0].id;
+    if (!(await authorize(ctx, PERM.GROUP_SETTINGS, groupId))) return;
     await updateGroupSettings(groupId, 'distribution_days', val);
+    await logAudit(ctx, "group_settings_update", { groupId, details: { key: "distribution_days", value: val } });
     return safeReply(ctx, `✅ Distribution days set to ${val} days for group ${groupId.slice(0, 8)}`);
   } catch (err) {
     console.error(err);
@@ -708,20 +3316,23 @@ bot.hears(/^\/set_group_days/, async (ctx) => {
 });
 
 bot.hears(/^\/set_group_limit/, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!getAdmin(ctx.from.id)) return;
   const parts = ctx.message.text.split(" ");
   if (parts.length < 3) return safeReply(ctx, "❌ Usage: /set_group_limit <group_id_prefix> <limit>");
   
   const groupPrefix = parts[1];
-  const val = parseInt(parts[2], 10);
-  if (isNaN(val)) return safeReply(ctx, "❌ Invalid number");
+  const parsed = parseGroupSetting("daily_codes_limit", parts[2]);
+  if (parsed.error) return safeReply(ctx, parsed.error);
+  const val = parsed.value;
   
   try {
     const groups = await q(`SELECT id FROM groups WHERE id::text LIKE $1`, [`${groupPrefix}%`]);
     if (groups.rowCount === 0) return safeReply(ctx, "❌ Group not found");
     
     const groupId = groups.rows[0].id;
+    if (!(await authorize(ctx, PERM.GROUP_SETTINGS, groupId))) return;
     await updateGroupSettings(groupId, 'daily_codes_limit', val);
+    await logAudit(ctx, "group_settings_update", { groupId, details: { key: "daily_codes_limit", value: val } });
     return safeReply(ctx, `✅ Daily codes limit set to ${val} views per code for group ${groupId.slice(0, 8)}`);
   } catch (err) {
     console.error(err);
@@ -730,20 +3341,23 @@ bot.hears(/^\/set_group_limit/, async (ctx) => {
 });
 
 bot.hears(/^\/set_group_time/, async (ctx) => {
-  if (ctx.from.id.toString() !== ADMIN_ID) return;
+  if (!getAdmin(ctx.from.id)) return;
   const parts = ctx.message.text.split(" ");
   if (parts.length < 3) return safeReply(ctx, "❌ Usage: /set_group_time <group_id_prefix> 09:00");
   
   const groupPrefix = parts[1];
-  const time = parts[2];
-  if (!/^\d{2}:\d{2}$/.test(time)) return safeReply(ctx, "❌ Invalid format. Example: 09:00");
+  const parsed = parseGroupSetting("send_time", parts[2]);
+  if (parsed.error) return safeReply(ctx, parsed.error);
+  const time = parsed.value;
   
   try {
     const groups = await q(`SELECT id FROM groups WHERE id::text LIKE $1`, [`${groupPrefix}%`]);
     if (groups.rowCount === 0) return safeReply(ctx, "❌ Group not found");
     
     const groupId = groups.rows[0].id;
+    if (!(await authorize(ctx, PERM.GROUP_SETTINGS, groupId))) return;
     await updateGroupSettings(groupId, 'send_time', time);
+    await logAudit(ctx, "group_settings_update", { groupId, details: { key: "send_time", value: time } });
     return safeReply(ctx, `✅ Send time set to ${time} for group ${groupId.slice(0, 8)}`);
   } catch (err) {
     console.error(err);
@@ -755,21 +3369,24 @@ bot.on("text", async (ctx) => {
   const uid = ctx.from.id.toString();
   const text = ctx.message.text;
 
-  if (uid === ADMIN_ID) {
+  if (getAdmin(uid)) {
     if (text.startsWith("/gdays ")) {
       const parts = text.split(" ");
       if (parts.length < 3) return safeReply(ctx, "❌ Usage: /gdays <group_id_prefix> <days>");
       
       const groupPrefix = parts[1];
-      const val = parseInt(parts[2], 10);
-      if (isNaN(val)) return safeReply(ctx, "❌ Invalid number");
+      const parsed = parseGroupSetting("distribution_days", parts[2]);
+      if (parsed.error) return safeReply(ctx, parsed.error);
+      const val = parsed.value;
       
       try {
         const groups = await q(`SELECT id FROM groups WHERE id::text LIKE $1`, [`${groupPrefix}%`]);
         if (groups.rowCount === 0) return safeReply(ctx, "❌ Group not found");
         
         const groupId = groups.rows[0].id;
+        if (!(await authorize(ctx, PERM.GROUP_SETTINGS, groupId))) return;
         await updateGroupSettings(groupId, 'distribution_days', val);
+        await logAudit(ctx, "group_settings_update", { groupId, details: { key: "distribution_days", value: val } });
         return safeReply(ctx, `✅ Distribution days set to ${val} days for group ${groupId.slice(0, 8)}`);
       } catch (err) {
         console.error(err);
@@ -782,15 +3399,18 @@ bot.on("text", async (ctx) => {
       if (parts.length < 3) return safeReply(ctx, "❌ Usage: /glimit <group_id_prefix> <limit>");
       
       const groupPrefix = parts[1];
-      const val = parseInt(parts[2], 10);
-      if (isNaN(val)) return safeReply(ctx, "❌ Invalid number");
+      const parsed = parseGroupSetting("daily_codes_limit", parts[2]);
+      if (parsed.error) return safeReply(ctx, parsed.error);
+      const val = parsed.value;
       
       try {
         const groups = await q(`SELECT id FROM groups WHERE id::text LIKE $1`, [`${groupPrefix}%`]);
         if (groups.rowCount === 0) return safeReply(ctx, "❌ Group not found");
         
         const groupId = groups.rows[0].id;
+        if (!(await authorize(ctx, PERM.GROUP_SETTINGS, groupId))) return;
         await updateGroupSettings(groupId, 'daily_codes_limit', val);
+        await logAudit(ctx, "group_settings_update", { groupId, details: { key: "daily_codes_limit", value: val } });
         return safeReply(ctx, `✅ Daily codes limit set to ${val} views per code for group ${groupId.slice(0, 8)}`);
       } catch (err) {
         console.error(err);
@@ -798,20 +3418,71 @@ bot.on("text", async (ctx) => {
       }
     }
 
+    if (text.startsWith("/gcap ")) {
+      const parts = text.split(" ");
+      if (parts.length < 3) return safeReply(ctx, "❌ Usage: /gcap <group_id_prefix> <cap> (or NULL for unlimited)");
+      
+      const groupPrefix = parts[1];
+      const parsed = parseGroupSetting("daily_user_cap", parts[2]);
+      if (parsed.error) return safeReply(ctx, parsed.error);
+      const val = parsed.value;
+      
+      try {
+        const groups = await q(`SELECT id FROM groups WHERE id::text LIKE $1`, [`${groupPrefix}%`]);
+        if (groups.rowCount === 0) return safeReply(ctx, "❌ Group not found");
+        
+        const groupId = groups.rows[0].id;
+        if (!(await authorize(ctx, PERM.GROUP_SETTINGS, groupId))) return;
+        await updateGroupSettings(groupId, 'daily_user_cap', val);
+        await logAudit(ctx, "group_settings_update", { groupId, details: { key: "daily_user_cap", value: val } });
+        return safeReply(ctx, `✅ Daily cap per user set to ${val === null ? 'Unlimited' : val} for group ${groupId.slice(0, 8)}`);
+      } catch (err) {
+        console.error(err);
+        return safeReply(ctx, "❌ Error updating group");
+      }
+    }
+
+    if (text.startsWith("/gtz ")) {
+      const parts = text.split(" ");
+      if (parts.length < 3) return safeReply(ctx, "❌ Usage: /gtz <group_id_prefix> Africa/Cairo (or DEFAULT)");
+      
+      const groupPrefix = parts[1];
+      const parsed = parseGroupSetting("timezone", parts[2]);
+      if (parsed.error) return safeReply(ctx, parsed.error);
+      const tz = parsed.value;
+      
+      try {
+        const groups = await q(`SELECT id FROM groups WHERE id::text LIKE $1`, [`${groupPrefix}%`]);
+        if (groups.rowCount === 0) return safeReply(ctx, "❌ Group not found");
+        
+        const groupId = groups.rows[0].id;
+        if (!(await authorize(ctx, PERM.GROUP_SETTINGS, groupId))) return;
+        await updateGroupSettings(groupId, 'timezone', tz);
+        await logAudit(ctx, "group_settings_update", { groupId, details: { key: "timezone", value: tz } });
+        return safeReply(ctx, `✅ Timezone set to ${tz || 'default'} for group ${groupId.slice(0, 8)}`);
+      } catch (err) {
+        console.error(err);
+        return safeReply(ctx, "❌ Error updating group");
+      }
+    }
+
     if (text.startsWith("/gtime ")) {
       const parts = text.split(" ");
       if (parts.length < 3) return safeReply(ctx, "❌ Usage: /gtime <group_id_prefix> 09:00");
       
       const groupPrefix = parts[1];
-      const time = parts[2];
-      if (!/^\d{2}:\d{2}$/.test(time)) return safeReply(ctx, "❌ Invalid format. Example: 09:00");
+      const parsed = parseGroupSetting("send_time", parts[2]);
+      if (parsed.error) return safeReply(ctx, parsed.error);
+      const time = parsed.value;
       
       try {
         const groups = await q(`SELECT id FROM groups WHERE id::text LIKE $1`, [`${groupPrefix}%`]);
         if (groups.rowCount === 0) return safeReply(ctx, "❌ Group not found");
         
         const groupId = groups.rows[0].id;
+        if (!(await authorize(ctx, PERM.GROUP_SETTINGS, groupId))) return;
         await updateGroupSettings(groupId, 'send_time', time);
+        await logAudit(ctx, "group_settings_update", { groupId, details: { key: "send_time", value: time } });
         return safeReply(ctx, `✅ Send time set to ${time} for group ${groupId.slice(0, 8)}`);
       } catch (err) {
         console.error(err);
@@ -823,7 +3494,7 @@ bot.on("text", async (ctx) => {
   // 🆕 زر إرسال إثبات الدفع
   if (text === "📸 إرسال إثبات الدفع") {
     try {
-      const userRes = await q("SELECT id FROM users WHERE telegram_id=$1", [uid]);
+      const userRes = await q("SELECT id FROM users WHERE telegram_id=$1 AND status='active'", [uid]);
       if (userRes.rowCount === 0) {
         return safeReply(ctx, "⚠️ يجب التسجيل أولاً باستخدام /تسجيل");
       }
@@ -838,13 +3509,13 @@ bot.on("text", async (ctx) => {
   // 🆕 زر تأكيد الاستخدام - عرض الأكواد التي تحتاج تأكيد
   if (text === "✅ تأكيد الاستخدام") {
     try {
-      const userRes = await q("SELECT id, binance_username FROM users WHERE telegram_id=$1", [uid]);
+      const userRes = await q("SELECT id, group_id, binance_username FROM users WHERE telegram_id=$1 AND status='active'", [uid]);
       if (userRes.rowCount === 0) {
         return safeReply(ctx, "⚠️ يجب التسجيل أولاً باستخدام /تسجيل");
       }
       
       const userId = userRes.rows[0].id;
-      const today = new Date().toISOString().slice(0, 10);
+      const today = await getGroupToday(userRes.rows[0].group_id);
       
       // الحصول على الأكواد التي استُخدمت ولم يتم التأكيد عليها بعد
       const pendingVerifications = await q(
@@ -862,6 +3533,8 @@ bot.on("text", async (ctx) => {
            AND a.assigned_date = $2 
            AND a.used = true 
            AND a.verified = false
+           AND a.cancelled = false
+           AND NOT EXISTS (SELECT 1 FROM claim_disputes d WHERE d.assignment_id = a.id)
          ORDER BY a.presented_at ASC
          LIMIT 10`,
         [userId, today]
@@ -898,45 +3571,12 @@ bot.on("text", async (ctx) => {
   }
 
   if (text === "/رفع_اكواد" || (text.includes("رفع") && text.includes("اكواد"))) {
-    try {
-      const userRes = await q("SELECT id, group_id FROM users WHERE telegram_id=$1", [uid]);
-      if (userRes.rowCount === 0) {
-        return safeReply(ctx, "سجل أولًا باستخدام /تسجيل");
-      }
-
-      const userId = userRes.rows[0].id;
-      const groupId = userRes.rows[0].group_id;
-
-      const penalty = await q("SELECT missed_days, codes_deleted FROM user_penalties WHERE user_id=$1 ORDER BY created_at DESC LIMIT 1", [userId]);
-      if (penalty.rowCount > 0 && penalty.rows[0].missed_days >= 2 && !penalty.rows[0].codes_deleted) {
-        return safeReply(ctx, "❌ تم إيقاف إمكانية رفع الأكواد لمدة يومين بسبب عدم إكمال الأكواد اليومية. حاول لاحقاً.");
-      }
-
-      const groupSettings = await getGroupSettings(groupId);
-      const message = `📋 قم برفع ${groupSettings.distribution_days} كوداً (كود واحد لكل يوم)\n\n` +
-                      `📌 كل كود متاح لـ ${groupSettings.daily_codes_limit} مستخدم\n\n` +
-                      `أرسل الأكواد واحداً تلو الآخر بالترتيب:\n` +
-                      `الكود الأول → اليوم الأول\n` +
-                      `الكود الثاني → اليوم الثاني\n` +
-                      `وهكذا...\n\n` +
-                      `ثم اكتب /done عند الانتهاء.`;
-
-      userState[uid] = { 
-        stage: "uploading_codes", 
-        expectedCodes: groupSettings.distribution_days,
-        codes: [],
-        groupId: groupId
-      };
-      return safeReply(ctx, message);
-    } catch (err) {
-      console.error("❌ رفع_اكواد:", err.message);
-      return safeReply(ctx, "❌ حدث خطأ، حاول لاحقًا.");
-    }
+    return startCodeUpload(ctx, uid);
   }
 
   if (text === "/اكواد_اليوم" || (text.includes("اكواد") && text.includes("اليوم"))) {
     try {
-      const u = await q("SELECT id, group_id FROM users WHERE telegram_id=$1", [uid]);
+      const u = await q("SELECT id, group_id FROM users WHERE telegram_id=$1 AND status='active'", [uid]);
       if (u.rowCount === 0) {
         return safeReply(ctx, "سجل أولًا باستخدام /تسجيل");
       }
@@ -947,7 +3587,7 @@ bot.on("text", async (ctx) => {
       
       // التحقق من وضع الدفع
       if (groupSettings.payment_mode_active) {
-        const currentMonth = new Date().toISOString().slice(0, 7);
+        const currentMonth = localDate(groupSettings.timezone).slice(0, 7);
         const userPayment = await q(`SELECT proof_sent FROM payments WHERE user_id=$1 AND payment_month=$2`, [userId, currentMonth]);
         
         if (userPayment.rowCount === 0 || !userPayment.rows[0].proof_sent) {
@@ -965,10 +3605,10 @@ bot.on("text", async (ctx) => {
       }
       
       // التحقق من وجود أكواد معلقة (توقف مؤقت)
-      const today = new Date().toISOString().slice(0, 10);
+      const today = localDate(groupSettings.timezone);
       const pendingCodes = await q(
         `SELECT COUNT(*) FROM code_view_assignments 
-         WHERE assigned_to_user_id=$1 AND marked_unused=true AND assigned_date=$2`,
+         WHERE assigned_to_user_id=$1 AND marked_unused=true AND assigned_date=$2 AND cancelled=false`,
         [userId, today]
       );
       
@@ -986,7 +3626,7 @@ bot.on("text", async (ctx) => {
       const res = await q(
         `SELECT a.id as a_id, c.code_text, a.used FROM code_view_assignments a 
          JOIN codes c ON a.code_id=c.id 
-         WHERE a.assigned_to_user_id=$1 AND a.assigned_date=$2 AND a.used=false AND a.marked_unused=false
+         WHERE a.assigned_to_user_id=$1 AND a.assigned_date=$2 AND a.used=false AND a.marked_unused=false AND a.cancelled=false
          ORDER BY c.day_number ASC, c.created_at ASC LIMIT 1`,
         [userId, today]
       );
@@ -1012,17 +3652,18 @@ bot.on("text", async (ctx) => {
 
   if (text === "/my_codes_status" || text.includes("my_codes_status")) {
     try {
-      const res = await q("SELECT id FROM users WHERE telegram_id=$1", [uid]);
+      const res = await q("SELECT id, group_id FROM users WHERE telegram_id=$1 AND status='active'", [uid]);
       if (res.rowCount === 0) {
         return safeReply(ctx, "سجل أولًا باستخدام /تسجيل");
       }
       const userId = res.rows[0].id;
-      const today = new Date().toISOString().slice(0, 10);
+      const today = await getGroupToday(res.rows[0].group_id);
       
       const myCodes = await q(
         `SELECT c.id, c.code_text, c.views_per_day, c.day_number,
                 COUNT(a.id) FILTER (WHERE a.used=true) as used_count,
                 COUNT(a.id) FILTER (WHERE a.used=true AND a.verified=true) as verified_count,
+                COUNT(a.id) FILTER (WHERE a.used=false AND a.cancelled=false) as open_count,
                 STRING_AGG(u.auto_name, ', ') FILTER (WHERE a.used=true) as users_list,
                 STRING_AGG(u.binance_username, ', ') FILTER (WHERE a.used=true) as binance_list
          FROM codes c
@@ -1074,7 +3715,16 @@ bot.on("text", async (ctx) => {
       });
       
       message += `💡 استخدم زر "✅ تأكيد الاستخدام" للتأكيد على من استخدم أكوادك`;
-      
+
+      // زر "نفد" للأكواد التي ما زال لها مستخدمون لم يستخدموها اليوم
+      const exhaustButtons = myCodes.rows
+        .filter(code => parseInt(code.open_count) > 0)
+        .map(code => [Markup.button.callback(`🚫 نفد: ${code.code_text}`, `exhaust_${code.id}`)]);
+      if (exhaustButtons.length > 0) {
+        message += `\n\n🚫 إذا نفد الظرف الأحمر في بينانس اضغط "نفد" حتى لا يُعرض الكود على الباقين`;
+        return safeReply(ctx, message, Markup.inlineKeyboard(exhaustButtons));
+      }
+
       return safeReply(ctx, message);
     } catch (err) {
       console.error("❌ my_codes_status:", err.message);
@@ -1084,78 +3734,52 @@ bot.on("text", async (ctx) => {
 
   if (text === "/اكوادى" || text.includes("اكوادى")) {
     try {
-      const res = await q("SELECT id FROM users WHERE telegram_id=$1", [uid]);
+      const res = await q("SELECT id FROM users WHERE telegram_id=$1 AND status='active'", [uid]);
       if (res.rowCount === 0) {
         return safeReply(ctx, "سجل أولًا باستخدام /تسجيل");
       }
-      const userId = res.rows[0].id;
-      const codes = await q("SELECT code_text, status, day_number FROM codes WHERE owner_id=$1 ORDER BY day_number ASC, created_at ASC", [userId]);
-      if (codes.rowCount === 0) {
-        return safeReply(ctx, "❌ لا توجد لديك أكواد.");
-      }
-      const list = codes.rows.map((c, i) => `${i + 1}. ${c.code_text} - Day ${c.day_number || i+1} (${c.status || 'active'})`).join("\n");
-      return safeReply(ctx, `📋 أكوادك:\n${list}`);
+      const view = await buildMyCodesView(res.rows[0].id);
+      return safeReply(ctx, view.text, view.keyboard);
     } catch (err) {
       console.error("❌ اكوادى:", err.message);
       return safeReply(ctx, "❌ حدث خطأ، حاول لاحقًا.");
     }
   }
 
-  if (uid === ADMIN_ID && adminBroadcastMode) {
-    adminBroadcastMode = false;
+  const st = await getState(uid);
+  if (!st) return;
+
+  if (st.stage === "admin_broadcast" && await authorize(ctx, PERM.BROADCAST)) {
+    await clearState(uid);
     const message = ctx.message.text;
     try {
-      const users = await q(`SELECT telegram_id FROM users`);
-      let success = 0;
-      for (const row of users.rows) {
-        try {
-          await bot.telegram.sendMessage(row.telegram_id, `📢 رسالة من الأدمن:\n\n${message}`);
-          success++;
-          await new Promise(r => setTimeout(r, 50));
-        } catch (err) {
-          console.error(`❌ Failed to send to ${row.telegram_id}`);
-        }
-      }
-      return safeReply(ctx, `✅ تم إرسال الرسالة إلى ${success} مستخدم.`);
+      const queued = await broadcastMessage(message, ctx);
+      return safeReply(ctx, `✅ تمت جدولة الرسالة لـ ${queued} مستخدم.`);
     } catch (err) {
       console.error("❌ broadcast error:", err.message);
       return safeReply(ctx, "❌ حدث خطأ أثناء الإرسال.");
     }
   }
 
-  if (uid === ADMIN_ID && groupBroadcastMode[uid]) {
-    const groupId = groupBroadcastMode[uid];
-    delete groupBroadcastMode[uid];
+  if (st.stage === "group_broadcast" && await authorize(ctx, PERM.GROUP_BROADCAST, st.groupId)) {
+    const groupId = st.groupId;
+    await clearState(uid);
     const message = ctx.message.text;
     try {
-      const users = await q(`SELECT telegram_id FROM users WHERE group_id=$1`, [groupId]);
-      let success = 0;
-      for (const row of users.rows) {
-        try {
-          await bot.telegram.sendMessage(row.telegram_id, `📢 رسالة من الأدمن (Group ${groupId.slice(0, 8)}):\n\n${message}`);
-          success++;
-          await new Promise(r => setTimeout(r, 50));
-        } catch (err) {
-          console.error(`❌ Failed to send to ${row.telegram_id}`);
-        }
-      }
-      return safeReply(ctx, `✅ تم إرسال الرسالة إلى ${success} مستخدم في المجموعة.`);
+      const queued = await broadcastMessage(message, ctx, groupId);
+      return safeReply(ctx, `✅ تمت جدولة الرسالة لـ ${queued} مستخدم في المجموعة.`);
     } catch (err) {
       console.error("❌ group broadcast error:", err.message);
       return safeReply(ctx, "❌ حدث خطأ أثناء الإرسال.");
     }
   }
 
-  const st = userState[uid];
-  if (!st) return;
-
   if (st.stage === "awaiting_binance") {
     const binance = ctx.message.text.trim();
     if (!binance || binance.length > 100) {
       return safeReply(ctx, "⚠️ اسم مستخدم غير صالح، حاول مجددًا.");
     }
-    st.binance_username = binance;
-    st.stage = "awaiting_phone";
+    await setState(uid, { stage: "awaiting_phone", binance_username: binance });
     return safeReply(ctx, "🔰 التسجيل - الخطوة 2/2\n\nأرسل رقم هاتفك عبر زر المشاركة:", {
       reply_markup: { keyboard: [[{ text: "📱 إرسال رقم الهاتف", request_contact: true }]], one_time_keyboard: true, resize_keyboard: true }
     });
@@ -1166,48 +3790,329 @@ bot.on("text", async (ctx) => {
     if (codeText === "/done" || codeText === "/انتهيت") {
       const codes = st.codes || [];
       if (codes.length === 0) {
-        delete userState[uid];
+        await clearState(uid);
         return safeReply(ctx, "لم يتم استلام أي كود.");
       }
 
       try {
-        const userrow = await q("SELECT id, group_id FROM users WHERE telegram_id=$1", [uid]);
-        if (userrow.rowCount === 0) {
-          delete userState[uid];
+        const days = freeCodeDays(st.expectedCodes, st.takenDays);
+        const saved = await saveUploadedCodes(uid, codes.map((code, i) => ({ day: days[i], code })));
+        await clearState(uid);
+        if (!saved) {
           return safeReply(ctx, "⚠️ لم يتم العثور على المستخدم.");
         }
-        const owner_id = userrow.rows[0].id;
-        const groupId = userrow.rows[0].group_id;
-        const groupSettings = await getGroupSettings(groupId);
-
-        let inserted = 0;
-        for (let i = 0; i < codes.length; i++) {
-          try {
-            await q(
-              `INSERT INTO codes (owner_id, code_text, views_per_day, status, day_number, created_at) VALUES ($1,$2,$3,'active',$4, NOW())`,
-              [owner_id, codes[i], groupSettings.daily_codes_limit, i + 1]
-            );
-            inserted++;
-          } catch (err) {
-            console.error("❌ insert code error:", err.message);
-          }
-        }
-        delete userState[uid];
-        return safeReply(ctx, `✅ تم حفظ ${inserted} أكواد بالترتيب.\n\n📅 الكود 1 → اليوم 1\n📅 الكود 2 → اليوم 2\nوهكذا...\n\nكل كود سيظهر لـ ${groupSettings.daily_codes_limit} مستخدم.`);
+        return safeReply(ctx, `✅ تم حفظ ${saved.inserted} أكواد بالترتيب.\n\n📅 الأيام: ${days.slice(0, codes.length).join(", ")}\n\nكل كود سيظهر لـ ${saved.limit} مستخدم.` +
+          (saved.skipped.length > 0 ? `\n\n⚠️ لم يُحفظ (رُفع من عضو آخر): ${saved.skipped.join(", ")}` : ""));
       } catch (err) {
         console.error("❌ finishing upload:", err.message);
-        delete userState[uid];
+        await clearState(uid);
         return safeReply(ctx, "❌ حدث خطأ أثناء حفظ الأكواد.");
       }
     }
 
+    const days = freeCodeDays(st.expectedCodes, st.takenDays);
+    if (st.codes.length >= days.length) {
+      return safeReply(ctx, `⚠️ وصلت للحد الأقصى (${days.length} كود لأيام الدورة).\nاكتب /done لحفظ الأكواد.`);
+    }
+    const errors = st.codes.includes(codeText)
+      ? [{ message: `"${codeText}" مكرر (الكود رقم ${st.codes.indexOf(codeText) + 1})` }]
+      : await validateUploadCodes([{ code: codeText, line: st.codes.length + 1 }], (await getAdminSettings()).code_pattern);
+    if (errors.length > 0) {
+      return safeReply(ctx, `❌ لم يتم قبول الكود: ${errors[0].message}\nأرسل كوداً آخر أو اكتب /done للانتهاء.`);
+    }
+
     st.codes.push(codeText);
-    return safeReply(ctx, `✅ تم استلام الكود رقم ${st.codes.length} (سيظهر في اليوم ${st.codes.length}).\nأرسل الكود التالي أو اكتب /done للانتهاء.`);
+    await setState(uid, st);
+    return safeReply(ctx, `✅ تم استلام الكود رقم ${st.codes.length} (سيظهر في اليوم ${days[st.codes.length - 1]}).\nأرسل الكود التالي أو اكتب /done للانتهاء.`);
+  }
+
+  if (st.stage === "dispute_evidence") {
+    return safeReply(ctx, "📸 أرسل لقطة الشاشة كصورة (وليس نصاً)، أو /cancel للإلغاء.");
+  }
+
+  if (st.stage === "appeal_explanation") {
+    const explanation = ctx.message.text.trim();
+    if (explanation.length < 5 || explanation.length > 1000) {
+      return safeReply(ctx, "⚠️ اكتب شرحاً بين 5 و 1000 حرف، أو /cancel للإلغاء.");
+    }
+    try {
+      const result = await openAppeal(st.recordId, uid, explanation);
+      await clearState(uid);
+      if (result.error) return safeReply(ctx, APPEAL_ERRORS[result.error]);
+      return safeReply(ctx, `✅ تم إرسال تظلمك #${result.record.id} للإدارة\n\n⏳ ستصلك النتيجة هنا بعد المراجعة.`);
+    } catch (err) {
+      console.error("❌ appeal_explanation:", err.message);
+      await clearState(uid);
+      return safeReply(ctx, "❌ حدث خطأ أثناء إرسال التظلم.");
+    }
+  }
+
+  if (st.stage === "replacing_code") {
+    const codeText = ctx.message.text.trim();
+    try {
+      const errors = await validateUploadCodes([{ code: codeText, line: 1 }], (await getAdminSettings()).code_pattern);
+      if (errors.length > 0) {
+        return safeReply(ctx, `❌ لم يتم قبول الكود: ${errors[0].message}\nأرسل كوداً آخر أو /cancel للإلغاء.`);
+      }
+      const result = await replaceOwnerCode(st.userId, st.codeId, codeText);
+      await clearState(uid);
+      if (result.error) {
+        return safeReply(ctx, OWNER_CODE_ERRORS[result.error]);
+      }
+      const view = await buildMyCodesView(st.userId);
+      return safeReply(ctx, `✅ تم تعديل كود اليوم ${result.code.day_number} إلى ${result.code.code_text}\n\n${view.text}`, view.keyboard);
+    } catch (err) {
+      console.error("❌ replacing_code:", err.message);
+      await clearState(uid);
+      return safeReply(ctx, "❌ حدث خطأ أثناء تعديل الكود.");
+    }
   }
 });
 
 // ==================== CALLBACK QUERY HANDLER ====================
 
+// عدد التوزيعات لكل عضو اليوم (الأقل / المتوسط / الأعلى) بما فيهم من لم يحصل على شيء
+async function getGroupLoadStats(groupId, date) {
+  const res = await q(
+    `SELECT COALESCE(MIN(cnt), 0) AS min, COALESCE(ROUND(AVG(cnt), 1), 0) AS avg, COALESCE(MAX(cnt), 0) AS max
+     FROM (
+       SELECT u.id, COUNT(a.id) AS cnt
+       FROM users u
+       LEFT JOIN code_view_assignments a ON a.assigned_to_user_id = u.id AND a.assigned_date = $2 AND a.cancelled = false
+       WHERE u.group_id = $1 AND u.status = 'active'
+       GROUP BY u.id
+     ) loads`,
+    [groupId, date]
+  );
+  return res.rows[0];
+}
+
+// عرض تفاصيل المجموعة في لوحة الأدمن (تعديل نفس الرسالة)
+async function showGroupDetails(ctx, groupId) {
+  const g = await q(`SELECT is_scheduler_active, daily_codes_limit, distribution_days, send_time, payment_day, timezone, daily_user_cap FROM groups WHERE id=$1`, [groupId]);
+  if (g.rowCount === 0) return false;
+  const group = g.rows[0];
+  const userCount = await q(`SELECT COUNT(*) FROM users WHERE group_id=$1 AND status='active'`, [groupId]);
+  const load = await getGroupLoadStats(groupId, await getGroupToday(groupId));
+  const penalties = groupPenaltiesLabel(await getGroupSettings(groupId));
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback(`${group.is_scheduler_active ? '✅ Disable' : '❌ Enable'} Scheduler`, `grouptoggle_${groupId}`)],
+    [Markup.button.callback(`📅 Set Days (${group.distribution_days})`, `groupdays_${groupId}`)],
+    [Markup.button.callback(`👁️ Set Limit (${group.daily_codes_limit})`, `grouplimit_${groupId}`)],
+    [Markup.button.callback(`⚖️ Set Daily Cap/User (${group.daily_user_cap || '∞'})`, `groupcap_${groupId}`)],
+    [Markup.button.callback(`⏰ Set Time (${group.send_time})`, `grouptime_${groupId}`)],
+    [Markup.button.callback(`🕐 Set Timezone (${group.timezone || 'default'})`, `grouptz_${groupId}`)],
+    [Markup.button.callback(`🚨 Penalties (${penalties})`, `grouppen_${groupId}`)],
+    [Markup.button.callback(`📢 Broadcast to Group`, `groupbroadcast_${groupId}`)],
+    [Markup.button.callback("◀️ Back to Groups", "manage_groups")],
+  ]);
+  await ctx.editMessageText(
+    `📦 Group ${groupId.slice(0, 8)}\n\n` +
+    `👥 Users: ${userCount.rows[0].count}\n` +
+    `🔄 Scheduler: ${group.is_scheduler_active ? '✅ Active' : '❌ Inactive'}\n` +
+    `📅 Days: ${group.distribution_days}\n` +
+    `👁️ Limit: ${group.daily_codes_limit}\n` +
+    `⚖️ Daily Cap/User: ${group.daily_user_cap || 'Unlimited'}\n` +
+    `⏰ Time: ${group.send_time}\n` +
+    `🕐 Timezone: ${group.timezone || 'default'}\n` +
+    `💰 Payment Day: ${group.payment_day || 1}\n` +
+    `🚨 Penalties: ${penalties}\n\n` +
+    `📊 Today's load per user: min ${load.min} / avg ${load.avg} / max ${load.max}`,
+    { reply_markup: keyboard.reply_markup }
+  );
+  return true;
+}
+
+// شاشة الإعدادات العامة في لوحة الأدمن (تعديل نفس الرسالة)
+async function showGlobalSettings(ctx) {
+  const s = await getAdminSettings();
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback("📴 Toggle All Schedulers", "toggle_all_schedulers")],
+    [Markup.button.callback(`${s.penalties_active ? '🔴 Disable' : '🟢 Enable'} Penalties`, "toggle_penalties")],
+    ...(s.penalties_active ? [] : [[Markup.button.callback("👻 Shadow Log", "shadow_log")]]),
+    [Markup.button.callback("🔄 Distribute Now (All)", "distribute_now")],
+    [Markup.button.callback("⏰ Set Send Time", "set_time")],
+    [Markup.button.callback("🕐 Set Default Timezone", "set_timezone")],
+    [Markup.button.callback("👁️ Set Daily Limit", "set_limit")],
+    [Markup.button.callback("📅 Set Days", "set_days")],
+    [Markup.button.callback("👥 Set Group Size", "set_group")],
+    [Markup.button.callback("🔢 Set Max Groups", "set_max_groups")],
+    [Markup.button.callback("🔤 Set Code Format", "set_code_format")],
+    [Markup.button.callback("♻️ Set Reclaim Hour", "set_reclaim_hour")],
+    [Markup.button.callback("🧾 Set Dispute Window", "set_dispute_hours")],
+    [Markup.button.callback("🗄️ Set Archive Retention", "set_archive_retention")],
+    [Markup.button.callback("📢 Broadcast to All", "broadcast")],
+    [Markup.button.callback("◀️ Back", "back_to_main")],
+  ]);
+  await ctx.editMessageText(
+    `🌐 Global Settings\n\nPenalties System: ${s.penalties_active ? '✅ Active' : '❌ Inactive'}\nDefault Timezone: ${s.default_timezone}\nCode Format: ${s.code_pattern}\nReclaim Unused At: ${formatReclaimHour(s.slot_reclaim_hour)}\nDispute Window: ${s.dispute_response_hours}h\nArchive Retention: ${s.archive_retention_days} days`,
+    { reply_markup: keyboard.reply_markup }
+  );
+}
+
+// حالة العقوبات للمجموعة: نص الزر والسطر في التفاصيل
+function groupPenaltiesLabel(settings) {
+  const state = settings.penalties_active ? '✅ Active' : '❌ Inactive';
+  return settings.penalties_override === null ? `${state} (global)` : state;
+}
+
+// ==================== AUDIT LOG VIEW ====================
+
+const AUDIT_PAGE_SIZE = 10;
+
+// تصنيفات أزرار الفلترة في عرض السجل
+const AUDIT_CATEGORIES = {
+  all: { label: "📜 All", actions: null },
+  bans: { label: "🚫 Bans", actions: ["user_ban", "user_deleted", "blacklist_add", "blacklist_remove", "user_restored", "user_purged"] },
+  penalties: { label: "⚖️ Penalties", actions: ["penalty_warning", "codes_suspended", "uploads_blocked", "user_deleted", "appeal_upheld", "appeal_reduced", "appeal_reversed", "dispute_upheld", "dispute_dismissed"] },
+  settings: { label: "⚙️ Settings", actions: ["settings_update", "group_settings_update", "scheduler_toggle", "group_scheduler_toggle", "penalties_toggle", "group_penalties_toggle"] },
+  payments: { label: "💰 Payments", actions: ["payment_mode_on", "payment_mode_off", "nonpayers_warn"] },
+  cycle: { label: "🔄 Cycle", actions: ["cycle_reset", "distribution_run", "broadcast", "group_broadcast", "code_duplicate_disabled"] },
+};
+
+// filters: { user, groupPrefix, action, actions, date }
+async function queryAuditLog(filters, limit, offset = 0) {
+  const where = [];
+  const params = [];
+  if (filters.user) {
+    params.push(filters.user);
+    where.push(`(target_user_name = $${params.length} OR target_telegram_id = $${params.length} OR actor_id = $${params.length})`);
+  }
+  if (filters.groupPrefix) {
+    params.push(`${filters.groupPrefix}%`);
+    where.push(`group_id::text LIKE $${params.length}`);
+  }
+  if (filters.action) {
+    params.push(filters.action);
+    where.push(`action = $${params.length}`);
+  }
+  if (filters.actions) {
+    params.push(filters.actions);
+    where.push(`action = ANY($${params.length}::text[])`);
+  }
+  if (filters.date) {
+    params.push(filters.date);
+    where.push(`created_at >= $${params.length}::date AND created_at < $${params.length}::date + 1`);
+  }
+  params.push(limit, offset);
+  const res = await q(
+    `SELECT * FROM audit_log
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return res.rows;
+}
+
+function formatAuditEntry(e) {
+  const when = new Date(e.created_at).toISOString().slice(0, 16).replace("T", " ");
+  const actor = e.actor_type === "admin" ? `👤 ${e.actor_id}${e.actor_role ? ` (${e.actor_role})` : ""}` : `🤖 ${e.actor_id}`;
+  let line = `#${e.id} ${when}\n${actor} → ${e.action}`;
+  if (e.target_user_name || e.target_telegram_id) line += `\n🎯 ${e.target_user_name || "-"}${e.target_telegram_id ? ` (${e.target_telegram_id})` : ""}`;
+  if (e.group_id) line += `\n🆔 Group ${e.group_id.toString().slice(0, 8)}`;
+  if (e.reason) line += `\n📋 ${e.reason}`;
+  if (e.details) {
+    const details = JSON.stringify(e.details);
+    line += `\n🔎 ${details.length > 120 ? details.slice(0, 120) + "…" : details}`;
+  }
+  return line;
+}
+
+async function showAuditLog(ctx, category, page) {
+  const cat = AUDIT_CATEGORIES[category] || AUDIT_CATEGORIES.all;
+  const rows = await queryAuditLog({ actions: cat.actions }, AUDIT_PAGE_SIZE + 1, page * AUDIT_PAGE_SIZE);
+  const hasMore = rows.length > AUDIT_PAGE_SIZE;
+
+  let text = `📜 Audit Log - ${cat.label} (page ${page + 1})\n\n`;
+  text += rows.length === 0 ? "لا توجد سجلات" : rows.slice(0, AUDIT_PAGE_SIZE).map(formatAuditEntry).join("\n\n");
+  text += `\n\n💡 للفلترة: /audit user:User5 group:5d124af3 action:user_ban date:2026-01-31`;
+
+  const categoryButtons = Object.entries(AUDIT_CATEGORIES).map(([key, c]) =>
+    Markup.button.callback(key === category ? `• ${c.label}` : c.label, `audit_${key}_0`)
+  );
+  const nav = [];
+  if (page > 0) nav.push(Markup.button.callback("◀️ Newer", `audit_${category}_${page - 1}`));
+  if (hasMore) nav.push(Markup.button.callback("Older ▶️", `audit_${category}_${page + 1}`));
+  const keyboard = [categoryButtons.slice(0, 3), categoryButtons.slice(3)];
+  if (nav.length) keyboard.push(nav);
+  keyboard.push([Markup.button.callback("◀️ Back", "back_to_main")]);
+
+  await ctx.editMessageText(text, { reply_markup: { inline_keyboard: keyboard } });
+}
+
+// صلاحية كل زر في لوحة الأدمن
+const ADMIN_CALLBACKS = {
+  global_settings: PERM.SETTINGS,
+  toggle_penalties: PERM.SETTINGS,
+  toggle_penalties_confirm: PERM.SETTINGS,
+  shadow_log: PERM.SETTINGS,
+  toggle_all_schedulers: PERM.SETTINGS,
+  set_time: PERM.SETTINGS,
+  set_timezone: PERM.SETTINGS,
+  set_limit: PERM.SETTINGS,
+  set_days: PERM.SETTINGS,
+  set_group: PERM.SETTINGS,
+  set_max_groups: PERM.SETTINGS,
+  set_code_format: PERM.SETTINGS,
+  set_reclaim_hour: PERM.SETTINGS,
+  set_dispute_hours: PERM.SETTINGS,
+  set_archive_retention: PERM.SETTINGS,
+  distribute_now: PERM.DISTRIBUTE,
+  broadcast: PERM.BROADCAST,
+  stats: PERM.STATS,
+  delete_cycle: PERM.CYCLE,
+  confirm_delete_cycle: PERM.CYCLE,
+  back_to_main: PERM.PANEL,
+  payment_menu: PERM.PANEL,
+  manage_groups: PERM.GROUPS_LIST,
+  payment_groups: PERM.GROUPS_LIST,
+  payment_resume_all: PERM.PAYMENTS,
+  payment_remind_all: PERM.PAYMENTS,
+  payment_status: PERM.PAYMENTS,
+  payment_nonpayers: PERM.PAYMENTS,
+  blacklist_menu: PERM.USERS,
+  blacklist_add: PERM.USERS,
+  blacklist_remove: PERM.USERS,
+  blacklist_ban_user: PERM.USERS,
+  blacklist_view: PERM.USERS,
+  export_menu: PERM.PANEL,
+  export_users: PERM.USERS,
+  export_payments: PERM.PAYMENTS,
+  export_nonpayers: PERM.PAYMENTS,
+  export_blacklist: PERM.USERS,
+  export_assignments: PERM.STATS,
+};
+
+// أزرار خاصة بمجموعة: معرف المجموعة يأتي بعد البادئة
+const ADMIN_GROUP_CALLBACKS = [
+  ["groupdetails_", PERM.GROUP_SETTINGS],
+  ["grouptoggle_", PERM.GROUP_SETTINGS],
+  ["groupdays_", PERM.GROUP_SETTINGS],
+  ["grouplimit_", PERM.GROUP_SETTINGS],
+  ["groupcap_", PERM.GROUP_SETTINGS],
+  ["grouptime_", PERM.GROUP_SETTINGS],
+  ["grouptz_", PERM.GROUP_SETTINGS],
+  ["grouppen_", PERM.GROUP_SETTINGS],
+  ["grouppendef_", PERM.GROUP_SETTINGS],
+  ["grouppenon_", PERM.GROUP_SETTINGS],
+  ["grouppenoff_", PERM.GROUP_SETTINGS],
+  ["grouppolicy_", PERM.GROUP_SETTINGS],
+  ["groupbroadcast_", PERM.GROUP_BROADCAST],
+  ["payment_group_", PERM.GROUP_PAYMENTS],
+  ["payment_resume_group_", PERM.GROUP_PAYMENTS],
+  ["payment_remind_group_", PERM.GROUP_PAYMENTS],
+  ["payment_setday_", PERM.GROUP_PAYMENTS],
+];
+
+function resolveAdminCallback(action) {
+  if (ADMIN_CALLBACKS[action]) return { permission: ADMIN_CALLBACKS[action], groupId: null };
+  if (action.startsWith("audit_")) return { permission: PERM.AUDIT, groupId: null };
+  const groupRule = ADMIN_GROUP_CALLBACKS.find(([prefix]) => action.startsWith(prefix));
+  if (groupRule) return { permission: groupRule[1], groupId: action.slice(groupRule[0].length) };
+  return { permission: PERM.PANEL, groupId: null };
+}
+
 bot.on("callback_query", async (ctx) => {
   const action = ctx.callbackQuery.data;
 
@@ -1219,7 +4124,19 @@ bot.on("callback_query", async (ctx) => {
   if (action.startsWith("verify_")) {
     const assignmentId = action.replace("verify_", "");
     try {
-      await q("UPDATE code_view_assignments SET verified=true WHERE id=$1", [assignmentId]);
+      const dispute = await q(
+        `SELECT id FROM claim_disputes WHERE assignment_id=$1 AND status = ANY($2::text[])`,
+        [assignmentId, OPEN_DISPUTE_STATUSES]
+      );
+      if (dispute.rowCount > 0) {
+        const result = await withdrawDispute(dispute.rows[0].id, ctx.from.id);
+        if (result.error) {
+          await ctx.answerCbQuery(DISPUTE_ERRORS[result.error], { show_alert: true });
+          return;
+        }
+      } else {
+        await q("UPDATE code_view_assignments SET verified=true WHERE id=$1", [assignmentId]);
+      }
       await ctx.answerCbQuery("✅ تم التأكيد بنجاح!");
       await safeReply(ctx, "✅ تم تأكيد الاستخدام بنجاح!\n\n💡 شكراً على الالتزام بالتأكيد اليومي");
     } catch (err) {
@@ -1233,91 +4150,21 @@ bot.on("callback_query", async (ctx) => {
   if (action.startsWith("reject_")) {
     const assignmentId = action.replace("reject_", "");
     try {
-      // الحصول على بيانات المستخدم المخالف
-      const assignInfo = await q(
-        `SELECT a.assigned_to_user_id, u.telegram_id, u.auto_name, u.id as violator_db_id
-         FROM code_view_assignments a
-         JOIN users u ON a.assigned_to_user_id = u.id
-         WHERE a.id=$1`,
-        [assignmentId]
-      );
-
-      if (assignInfo.rowCount > 0) {
-        const violator = assignInfo.rows[0];
-
-        // التحقق من عقوبات الاعتراض السابقة
-        const existing = await q(
-          `SELECT id, false_claim_count FROM verification_penalties WHERE user_id=$1`,
-          [violator.violator_db_id]
-        );
-
-        let falseCount = 1;
-        if (existing.rowCount > 0) {
-          falseCount = existing.rows[0].false_claim_count + 1;
-          await q(
-            `UPDATE verification_penalties SET false_claim_count=$1, last_false=NOW() WHERE user_id=$2`,
-            [falseCount, violator.violator_db_id]
-          );
-        } else {
-          await q(
-            `INSERT INTO verification_penalties (user_id, false_claim_count, last_false) VALUES ($1, 1, NOW())`,
-            [violator.violator_db_id]
-          );
-        }
-
-        // تطبيق العقوبة بناءً على عدد المخالفات
-        let penaltyMsg = "";
-        if (falseCount === 1) {
-          // المخالفة الأولى: حجب الأكواد يوم واحد
-          await q(
-            `UPDATE codes SET status='suspended', suspension_until=(NOW() + INTERVAL '1 day')
-             WHERE owner_id=$1 AND status='active'`,
-            [violator.violator_db_id]
-          );
-          penaltyMsg = `⚠️ تم الاعتراض على استخدامك للكود!\n\n` +
-            `🚫 العقوبة: حجب أكوادك لمدة يوم واحد\n\n` +
-            `⚠️ هذه المرة الأولى - كن حذراً!\n` +
-            `💡 يجب استخدام الأكواد فعلياً في بينانس`;
-        } else if (falseCount === 2) {
-          // المخالفة الثانية: حجب الأكواد يومين
-          await q(
-            `UPDATE codes SET status='suspended', suspension_until=(NOW() + INTERVAL '2 days')
-             WHERE owner_id=$1 AND status='active'`,
-            [violator.violator_db_id]
-          );
-          penaltyMsg = `⚠️ اعتراض ثانٍ على استخدامك للكود!\n\n` +
-            `🚫 العقوبة: حجب أكوادك لمدة يومين\n\n` +
-            `🚨 هذا تحذير نهائي!\n` +
-            `💡 المرة القادمة = حذف الحساب نهائياً`;
-        } else {
-          // المخالفة الثالثة: حذف الحساب نهائياً
-          await q(`DELETE FROM codes WHERE owner_id=$1`, [violator.violator_db_id]);
-          await q(`DELETE FROM code_view_assignments WHERE assigned_to_user_id=$1`, [violator.violator_db_id]);
-          await q(`DELETE FROM verification_penalties WHERE user_id=$1`, [violator.violator_db_id]);
-          await q(`DELETE FROM confirmation_penalties WHERE user_id=$1`, [violator.violator_db_id]);
-          await q(`DELETE FROM user_penalties WHERE user_id=$1`, [violator.violator_db_id]);
-          await q(`DELETE FROM payments WHERE user_id=$1`, [violator.violator_db_id]);
-          await q(`DELETE FROM users WHERE id=$1`, [violator.violator_db_id]);
-          penaltyMsg = `🚫 تم حذف حسابك نهائياً من البوت!\n\n` +
-            `❌ السبب: اعتراض كاذب 3 مرات\n\n` +
-            `⚠️ تم حذف جميع أكوادك وحسابك`;
-        }
-
-        // إرسال إشعار العقوبة للمخالف
-        try {
-          await bot.telegram.sendMessage(violator.telegram_id, penaltyMsg);
-        } catch (e) {
-          console.log(`Could not send rejection penalty to ${violator.telegram_id}`);
-        }
-
-        // إعادة التوزيع: تعليم الكود كـ غير مستخدم حتى يُعاد توزيعه
-        if (falseCount < 3) {
-          await q("UPDATE code_view_assignments SET verified=false, used=false WHERE id=$1", [assignmentId]);
-        }
+      // لا عقوبة هنا: المستخدم يُمنح مهلة لإرسال إثبات ثم يُحسم النزاع
+      const result = await openDispute(assignmentId, ctx.from.id);
+      if (result.error) {
+        await ctx.answerCbQuery(DISPUTE_ERRORS[result.error], { show_alert: true });
+        return;
       }
-
       await ctx.answerCbQuery("✅ تم تسجيل الاعتراض");
-      await safeReply(ctx, "✅ تم تسجيل الاعتراض وتطبيق العقوبة المناسبة");
+      await safeReply(ctx,
+        `🧾 تم فتح اعتراض على الكود ${result.dispute.code_text}\n\n` +
+        `⏳ أمام المستخدم ${result.hours} ساعة لإرسال إثبات من بينانس:\n` +
+        `• إذا لم يرسل: يُقبل اعتراضك ويُعاقب المستخدم\n` +
+        `• إذا أرسل: تحكم الإدارة، وإذا كان اعتراضك خاطئاً تُعاقب أنت\n\n` +
+        `💡 إذا وجدت اسمه بعد ذلك اضغط "سحب الاعتراض"`,
+        Markup.inlineKeyboard([[Markup.button.callback("↩️ سحب الاعتراض", `disputewithdraw_${result.dispute.id}`)]])
+      );
     } catch (err) {
       console.error("❌ reject callback:", err.message);
       await ctx.answerCbQuery("❌ خطأ في تسجيل الاعتراض");
@@ -1325,6 +4172,42 @@ bot.on("callback_query", async (ctx) => {
     return;
   }
 
+  // 📸 المستخدم يرد على الاعتراض بلقطة شاشة
+  if (action.startsWith("disputeproof_")) {
+    const uid = ctx.from.id.toString();
+    try {
+      const disputeId = action.replace("disputeproof_", "");
+      const blocked = /^\d+$/.test(disputeId) ? await disputeEvidenceBlockReason(disputeId, uid) : "not_found";
+      if (blocked) {
+        await ctx.answerCbQuery(DISPUTE_ERRORS[blocked], { show_alert: true });
+        return;
+      }
+      await setState(uid, { stage: "dispute_evidence", disputeId });
+      await ctx.answerCbQuery();
+      await safeReply(ctx, "📸 أرسل الآن لقطة شاشة من بينانس تُظهر استلامك للظرف الأحمر (يمكنك إضافة تعليق مع الصورة)\n\n❌ أو /cancel للإلغاء.");
+    } catch (err) {
+      console.error("❌ disputeproof callback:", err.message);
+      try { await ctx.answerCbQuery("❌ حدث خطأ"); } catch (e) {}
+    }
+    return;
+  }
+
+  if (action.startsWith("disputewithdraw_")) {
+    try {
+      const result = await withdrawDispute(action.replace("disputewithdraw_", ""), ctx.from.id);
+      if (result.error) {
+        await ctx.answerCbQuery(DISPUTE_ERRORS[result.error], { show_alert: true });
+        return;
+      }
+      await ctx.answerCbQuery("✅ تم سحب الاعتراض");
+      await ctx.editMessageText(`↩️ تم سحب الاعتراض على الكود ${result.dispute.code_text} وتأكيد الاستخدام.`);
+    } catch (err) {
+      console.error("❌ disputewithdraw callback:", err.message);
+      try { await ctx.answerCbQuery("❌ حدث خطأ"); } catch (e) {}
+    }
+    return;
+  }
+
   // ==========================================
   // باقي الـ callbacks الأصلية
   // ==========================================
@@ -1332,15 +4215,21 @@ bot.on("callback_query", async (ctx) => {
   if (action.startsWith("done_")) {
     const assignmentId = action.replace("done_", "");
     try {
-      await q("UPDATE code_view_assignments SET used=true, last_interaction_date=CURRENT_DATE WHERE id=$1", [assignmentId]);
+      const marked = await q("UPDATE code_view_assignments SET used=true, last_interaction_date=CURRENT_DATE WHERE id=$1 AND cancelled=false", [assignmentId]);
+      if (marked.rowCount === 0) {
+        await ctx.answerCbQuery("🚫 هذا الكود لم يعد مخصصاً لك (نفد أو أُعيد توزيعه)، لا عقوبة عليك", { show_alert: true });
+        return;
+      }
       
       const uid = ctx.from.id.toString();
-      const u = await q("SELECT id, auto_name, group_id FROM users WHERE telegram_id=$1", [uid]);
+      const u = await q("SELECT id, auto_name, group_id FROM users WHERE telegram_id=$1 AND status='active'", [uid]);
       if (u.rowCount > 0) {
         const userId = u.rows[0].id;
         const userName = u.rows[0].auto_name;
+        const today = await getGroupToday(u.rows[0].group_id);
         
-        await q("DELETE FROM user_penalties WHERE user_id=$1", [userId]);
+        // سلم missed_day يعد الأيام الفائتة المتتالية: استخدام كود يصفّر العداد
+        await q("UPDATE user_penalties SET missed_days=0 WHERE user_id=$1 AND missed_days > 0", [userId]);
         
         // إشعار صاحب الكود عند الاستخدام
         const codeInfo = await q(
@@ -1354,7 +4243,6 @@ bot.on("callback_query", async (ctx) => {
         
         if (codeInfo.rowCount > 0 && codeInfo.rows[0].owner_id !== userId) {
           const codeData = codeInfo.rows[0];
-          const today = new Date().toISOString().slice(0, 10);
           
           const usageCount = await q(
             `SELECT COUNT(*) as count FROM code_view_assignments
@@ -1366,7 +4254,7 @@ bot.on("callback_query", async (ctx) => {
           const ownerPendingCodes = await q(
             `SELECT a.id as a_id, c.code_text FROM code_view_assignments a
              JOIN codes c ON a.code_id = c.id
-             WHERE a.assigned_to_user_id=$1 AND a.marked_unused=true AND a.assigned_date=$2
+             WHERE a.assigned_to_user_id=$1 AND a.marked_unused=true AND a.assigned_date=$2 AND a.cancelled=false
              ORDER BY c.day_number ASC LIMIT 1`,
             [codeData.owner_id, today]
           );
@@ -1392,93 +4280,349 @@ bot.on("callback_query", async (ctx) => {
             }
           } catch (e) {
             console.log(`Could not notify code owner ${codeData.owner_telegram_id}`);
+            await trackDeliveryFailure(codeData.owner_telegram_id, e);
           }
         }
         
         // عرض الكود التالي
-        const today = new Date().toISOString().slice(0, 10);
         const nextCode = await q(
           `SELECT a.id as a_id, c.code_text FROM code_view_assignments a 
            JOIN codes c ON a.code_id=c.id 
-           WHERE a.assigned_to_user_id=$1 AND a.assigned_date=$2 AND a.used=false AND a.marked_unused=false
+           WHERE a.assigned_to_user_id=$1 AND a.assigned_date=$2 AND a.used=false AND a.marked_unused=false AND a.cancelled=false
            ORDER BY c.day_number ASC LIMIT 1`,
           [userId, today]
         );
-        
-        if (nextCode.rowCount > 0) {
-          const row = nextCode.rows[0];
-          const keyboard = Markup.inlineKeyboard([[
-            Markup.button.callback("✅ تم الاستخدام", `done_${row.a_id}`),
-            Markup.button.callback("❌ توقف مؤقت", `notdone_${row.a_id}`)
-          ]]);
-          await ctx.answerCbQuery("✅ رائع! إليك الكود التالي");
-          await safeReply(ctx, `✅ تم تسجيل الاستخدام!\n\n📦 الكود التالي:\n\n<code>${row.code_text}</code>\n\n✅ تم الاستخدام - إذا استخدمته\n❌ توقف مؤقت - لزيادة فرصك`, { ...keyboard, parse_mode: 'HTML' });
-        } else {
-          await ctx.answerCbQuery("🎉 تم إكمال كل الأكواد!");
-          await safeReply(ctx, "✅ تم إكمال جميع الأكواد اليوم! أحسنت 🎉");
-        }
+        
+        if (nextCode.rowCount > 0) {
+          const row = nextCode.rows[0];
+          const keyboard = Markup.inlineKeyboard([[
+            Markup.button.callback("✅ تم الاستخدام", `done_${row.a_id}`),
+            Markup.button.callback("❌ توقف مؤقت", `notdone_${row.a_id}`)
+          ]]);
+          await ctx.answerCbQuery("✅ رائع! إليك الكود التالي");
+          await safeReply(ctx, `✅ تم تسجيل الاستخدام!\n\n📦 الكود التالي:\n\n<code>${row.code_text}</code>\n\n✅ تم الاستخدام - إذا استخدمته\n❌ توقف مؤقت - لزيادة فرصك`, { ...keyboard, parse_mode: 'HTML' });
+        } else {
+          await ctx.answerCbQuery("🎉 تم إكمال كل الأكواد!");
+          await safeReply(ctx, "✅ تم إكمال جميع الأكواد اليوم! أحسنت 🎉");
+        }
+      }
+    } catch (err) {
+      console.error("❌ done callback:", err.message);
+      await ctx.answerCbQuery("❌ خطأ");
+    }
+    return;
+  }
+
+  if (action.startsWith("notdone_")) {
+    const assignmentId = action.replace("notdone_", "");
+    try {
+      await q("UPDATE code_view_assignments SET marked_unused=true WHERE id=$1", [assignmentId]);
+      await ctx.answerCbQuery("⏸️ تم التوقف مؤقتاً");
+      await safeReply(ctx, 
+        `⏸️ تم التوقف المؤقت\n\n` +
+        `💡 الهدف: زيادة فرصك في استخدام الأكواد\n\n` +
+        `📊 في بينانس: كلما استخدم الآخرون كودك، زادت فرصك\n\n` +
+        `⏳ ستستأنف تلقائياً عند استخدام أي شخص لكودك\n\n` +
+        `🔔 ستصلك رسالة فورية مع الكود التالي`
+      );
+    } catch (err) {
+      console.error("❌ notdone callback:", err.message);
+      await ctx.answerCbQuery("❌ خطأ");
+    }
+    return;
+  }
+
+  // ✅ تأكيد أو إلغاء رفع ملف الأكواد بعد المعاينة
+  if (action === "upload_confirm" || action === "upload_discard") {
+    const uid = ctx.from.id.toString();
+    try {
+      const st = await getState(uid);
+      if (!st || st.stage !== "uploading_codes" || !st.pendingFile) {
+        await ctx.answerCbQuery("⌛ انتهت صلاحية المعاينة، أرسل الملف مرة أخرى");
+        return;
+      }
+      if (action === "upload_discard") {
+        delete st.pendingFile;
+        await setState(uid, st);
+        await ctx.answerCbQuery("❌ تم الإلغاء");
+        await ctx.editMessageText("❌ تم إلغاء الملف. أرسل ملفاً آخر أو تابع إرسال الأكواد رسالة برسالة.");
+        return;
+      }
+      const saved = await saveUploadedCodes(uid, st.pendingFile);
+      await clearState(uid);
+      await ctx.answerCbQuery("✅ تم الحفظ");
+      if (!saved) {
+        await ctx.editMessageText("⚠️ لم يتم العثور على المستخدم.");
+        return;
+      }
+      await ctx.editMessageText(`✅ تم حفظ ${saved.inserted} أكواد من الملف.\n\nكل كود سيظهر لـ ${saved.limit} مستخدم في يومه.` +
+        (saved.skipped.length > 0 ? `\n\n⚠️ لم يُحفظ (رُفع من عضو آخر): ${saved.skipped.join(", ")}` : ""));
+    } catch (err) {
+      console.error("❌ upload confirm:", err.message);
+      try { await ctx.answerCbQuery("❌ حدث خطأ"); } catch (e) {}
+    }
+    return;
+  }
+
+  // 🚫 صاحب الكود يعلن أن الظرف الأحمر نفد (من /my_codes_status)
+  if (action.startsWith("exhaust_") || action.startsWith("exhaustok_") || action === "exhaust_cancel") {
+    const uid = ctx.from.id.toString();
+    try {
+      if (action === "exhaust_cancel") {
+        await ctx.answerCbQuery();
+        await ctx.editMessageText("↩️ تم الإلغاء، الكود ما زال نشطاً.");
+        return;
+      }
+      const userRes = await q("SELECT id FROM users WHERE telegram_id=$1 AND status='active'", [uid]);
+      if (userRes.rowCount === 0) {
+        await ctx.answerCbQuery("سجل أولًا باستخدام /تسجيل");
+        return;
+      }
+      const userId = userRes.rows[0].id;
+
+      if (action.startsWith("exhaust_")) {
+        const codeId = action.replace("exhaust_", "");
+        const code = await q("SELECT code_text, status FROM codes WHERE id=$1 AND owner_id=$2", [codeId, userId]);
+        if (code.rowCount === 0 || code.rows[0].status === "exhausted") {
+          await ctx.answerCbQuery(OWNER_CODE_ERRORS[code.rowCount === 0 ? "not_found" : "exhausted"], { show_alert: true });
+          return;
+        }
+        await ctx.answerCbQuery();
+        await safeReply(ctx,
+          `🚫 تأكيد أن الكود نفد؟\n\n${code.rows[0].code_text}\n\n` +
+          `• لن يُوزع هذا الكود بعد الآن\n` +
+          `• من لم يستخدمه بعد سيُلغى من أكواده اليوم بدون عقوبة`,
+          Markup.inlineKeyboard([
+            [Markup.button.callback("✅ نعم، نفد", `exhaustok_${codeId}`), Markup.button.callback("↩️ إلغاء", "exhaust_cancel")],
+          ])
+        );
+        return;
+      }
+
+      const result = await markCodeExhausted(userId, action.replace("exhaustok_", ""));
+      if (result.error) {
+        await ctx.answerCbQuery(OWNER_CODE_ERRORS[result.error], { show_alert: true });
+        return;
+      }
+      await enqueueMessages(result.viewers.map(chatId => ({
+        chatId,
+        text: `🚫 الكود ${result.code.code_text} نفد في بينانس\n\n` +
+          `✅ تم إلغاؤه من أكوادك اليوم ولن تُحتسب عليك أي عقوبة\n\n` +
+          `اكتب /اكواد_اليوم للمتابعة.`,
+      })), "code_exhausted");
+      console.log(`🚫 Code ${result.code.id} marked exhausted, ${result.viewers.length} assignments cancelled`);
+      await ctx.answerCbQuery("✅ تم");
+      await ctx.editMessageText(`✅ تم تعليم الكود ${result.code.code_text} كمنتهي\n\n🔕 تم إلغاؤه لـ ${result.viewers.length} مستخدم لم يستخدموه بعد وتم إبلاغهم.`);
+    } catch (err) {
+      console.error("❌ exhaust callback:", err.message);
+      try { await ctx.answerCbQuery("❌ حدث خطأ"); } catch (e) {}
+    }
+    return;
+  }
+
+  // ✏️ / 🗑️ / ➕ إدارة صاحب الكود لأكواده من /اكوادى
+  if (action.startsWith("mycode_") || action.startsWith("mycodes_")) {
+    const uid = ctx.from.id.toString();
+    try {
+      const userRes = await q("SELECT id FROM users WHERE telegram_id=$1 AND status='active'", [uid]);
+      if (userRes.rowCount === 0) {
+        await ctx.answerCbQuery("سجل أولًا باستخدام /تسجيل");
+        return;
+      }
+      const userId = userRes.rows[0].id;
+
+      if (action === "mycodes_add") {
+        await ctx.answerCbQuery();
+        return startCodeUpload(ctx, uid);
+      }
+
+      if (action === "mycodes_list") {
+        const view = await buildMyCodesView(userId);
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(view.text, view.keyboard);
+        return;
+      }
+
+      const [, op, codeId] = action.match(/^mycode_(edit|del|delok)_(.+)$/) || [];
+      const blocked = op && await ownerCodeBlockReason(userId, codeId);
+      if (!op || blocked) {
+        await ctx.answerCbQuery(OWNER_CODE_ERRORS[blocked || "not_found"], { show_alert: true });
+        return;
+      }
+
+      if (op === "edit") {
+        const code = await q("SELECT day_number FROM codes WHERE id=$1", [codeId]);
+        await setState(uid, { stage: "replacing_code", codeId, userId, day: code.rows[0].day_number });
+        await ctx.answerCbQuery();
+        await safeReply(ctx, `✏️ أرسل الكود الجديد لليوم ${code.rows[0].day_number}\n❌ أو /cancel للإلغاء.`);
+        return;
+      }
+
+      if (op === "del") {
+        const code = await q("SELECT code_text, day_number FROM codes WHERE id=$1", [codeId]);
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(
+          `🗑️ حذف كود اليوم ${code.rows[0].day_number}؟\n\n${code.rows[0].code_text}\n\nيمكنك رفع كود بديل لهذا اليوم لاحقاً من /رفع_اكواد`,
+          Markup.inlineKeyboard([
+            [Markup.button.callback("✅ تأكيد الحذف", `mycode_delok_${codeId}`), Markup.button.callback("↩️ رجوع", "mycodes_list")],
+          ])
+        );
+        return;
+      }
+
+      const result = await deleteOwnerCode(userId, codeId);
+      if (result.error) {
+        await ctx.answerCbQuery(OWNER_CODE_ERRORS[result.error], { show_alert: true });
+        return;
       }
+      const view = await buildMyCodesView(userId);
+      await ctx.answerCbQuery("🗑️ تم الحذف");
+      await ctx.editMessageText(`🗑️ تم حذف كود اليوم ${result.code.day_number}\n\n${view.text}`, view.keyboard);
     } catch (err) {
-      console.error("❌ done callback:", err.message);
-      await ctx.answerCbQuery("❌ خطأ");
+      console.error("❌ mycode callback:", err.message);
+      try { await ctx.answerCbQuery("❌ حدث خطأ"); } catch (e) {}
     }
     return;
   }
 
-  if (action.startsWith("notdone_")) {
-    const assignmentId = action.replace("notdone_", "");
+  // ⚖️ التظلم من عقوبة (من زر رسالة العقوبة - يعمل أيضاً لمن حُذف حسابه)
+  if (action.startsWith("appeal_")) {
+    const uid = ctx.from.id.toString();
     try {
-      await q("UPDATE code_view_assignments SET marked_unused=true WHERE id=$1", [assignmentId]);
-      await ctx.answerCbQuery("⏸️ تم التوقف مؤقتاً");
-      await safeReply(ctx, 
-        `⏸️ تم التوقف المؤقت\n\n` +
-        `💡 الهدف: زيادة فرصك في استخدام الأكواد\n\n` +
-        `📊 في بينانس: كلما استخدم الآخرون كودك، زادت فرصك\n\n` +
-        `⏳ ستستأنف تلقائياً عند استخدام أي شخص لكودك\n\n` +
-        `🔔 ستصلك رسالة فورية مع الكود التالي`
+      const recordId = action.replace("appeal_", "");
+      const blocked = /^\d+$/.test(recordId) ? await appealBlockReason(recordId, uid) : "not_found";
+      if (blocked) {
+        await ctx.answerCbQuery(APPEAL_ERRORS[blocked], { show_alert: true });
+        return;
+      }
+      await setState(uid, { stage: "appeal_explanation", recordId });
+      await ctx.answerCbQuery();
+      await safeReply(ctx, "⚖️ التظلم من العقوبة\n\nاكتب في رسالة واحدة لماذا ترى أن العقوبة خاطئة (مثلاً: استخدمت الكود في الوقت، الكود كان لا يعمل...)\n\n❌ أو /cancel للإلغاء.");
+    } catch (err) {
+      console.error("❌ appeal callback:", err.message);
+      try { await ctx.answerCbQuery("❌ حدث خطأ"); } catch (e) {}
+    }
+    return;
+  }
+
+  // ⚖️ مراجعة التظلمات: الصلاحية حسب مجموعة العقوبة وليس معرفاً في الزر
+  if (action === "appeals_list" || /^appeal(view|uphold|reduce|reverse)_\d+$/.test(action)) {
+    const admin = getAdmin(ctx.from.id);
+    if (!admin || !ROLE_PERMISSIONS[admin.role].includes(PERM.GROUP_APPEALS)) {
+      await authorize(ctx, PERM.GROUP_APPEALS);
+      return;
+    }
+    try {
+      if (action === "appeals_list") {
+        const appeals = await getOpenAppeals(admin);
+        const keyboard = appeals.slice(0, 20).map(a => [Markup.button.callback(
+          `#${a.id} ${a.user_name || a.telegram_id} - ${a.offence} #${a.strike}`, `appealview_${a.id}`
+        )]);
+        keyboard.push([Markup.button.callback("◀️ Back", "back_to_main")]);
+        await ctx.editMessageText(
+          appeals.length === 0 ? "⚖️ لا توجد تظلمات مفتوحة." : `⚖️ التظلمات المفتوحة (${appeals.length}):`,
+          { reply_markup: { inline_keyboard: keyboard } }
+        );
+        await ctx.answerCbQuery();
+        return;
+      }
+
+      const [, op, recordId] = action.match(/^appeal(view|uphold|reduce|reverse)_(\d+)$/);
+      const record = await q(`SELECT group_id FROM penalty_records WHERE id=$1`, [recordId]);
+      if (record.rowCount === 0) {
+        await ctx.answerCbQuery(APPEAL_ERRORS.not_found);
+        return;
+      }
+      if (!(await authorize(ctx, PERM.GROUP_APPEALS, record.rows[0].group_id))) return;
+
+      if (op === "view") {
+        const appealCase = await buildAppealCase(recordId);
+        await ctx.answerCbQuery();
+        await safeReply(ctx, appealCase.text,
+          appealCase.record.appeal_status === "open" ? appealDecisionKeyboard(recordId) : {});
+        return;
+      }
+
+      const result = await resolveAppeal(recordId, op, ctx);
+      if (result.error) {
+        await ctx.answerCbQuery(APPEAL_ERRORS[result.error], { show_alert: true });
+        return;
+      }
+      await ctx.answerCbQuery(`${APPEAL_STATUS_LABELS[result.record.appeal_status]}`);
+      await ctx.editMessageText(
+        `⚖️ تظلم #${recordId}: ${APPEAL_STATUS_LABELS[result.record.appeal_status]}\n\n` +
+        (result.restored.codes ? `▶️ أكواد أُعيد تفعيلها: ${result.restored.codes}\n` : "") +
+        (result.restored.uploads ? `📤 تم رفع إيقاف رفع الأكواد\n` : "") +
+        (result.restored.unbanned ? `🚫 أُزيل من القائمة السوداء\n` : "") +
+        (result.restored.account ? `♻️ أُعيد الحساب المؤرشف لمجموعته\n` : "") +
+        (result.restored.account_error ? `⚠️ لم يُستعد الحساب: ${result.restored.account_error}\n` : "") +
+        (result.restored.strike ? `🔢 تم إنقاص عداد المخالفة\n` : "") +
+        (result.restored.assignment ? `📋 عاد الاستخدام محسوباً\n` : "") +
+        `\n📨 تم إبلاغ العضو.`,
+        Markup.inlineKeyboard([[Markup.button.callback("◀️ Appeals", "appeals_list")]])
       );
     } catch (err) {
-      console.error("❌ notdone callback:", err.message);
-      await ctx.answerCbQuery("❌ خطأ");
+      console.error("❌ appeals callback:", err.message);
+      try { await ctx.answerCbQuery("❌ حدث خطأ"); } catch (e) {}
     }
     return;
   }
 
-  // Admin callbacks
-  if (ctx.from.id.toString() !== ADMIN_ID) {
-    return ctx.answerCbQuery("❌ مخصص للأدمن فقط");
+  // 🧾 تحكيم الأدمن في نزاع اعتراض (رسالة صورة الإثبات)
+  if (/^dispute(view|owner|viewer)_\d+$/.test(action)) {
+    const [, op, disputeId] = action.match(/^dispute(view|owner|viewer)_(\d+)$/);
+    try {
+      const dispute = await q(`SELECT * FROM claim_disputes WHERE id=$1`, [disputeId]);
+      if (dispute.rowCount === 0) {
+        await ctx.answerCbQuery(DISPUTE_ERRORS.not_found);
+        return;
+      }
+      if (!(await authorize(ctx, PERM.GROUP_APPEALS, dispute.rows[0].group_id))) return;
+
+      if (op === "view") {
+        await ctx.answerCbQuery();
+        await sendDisputeToAdmin(ctx.from.id, dispute.rows[0]);
+        return;
+      }
+
+      const result = await resolveDispute(disputeId, op, ctx);
+      if (result.error) {
+        await ctx.answerCbQuery(DISPUTE_ERRORS[result.error], { show_alert: true });
+        return;
+      }
+      await ctx.answerCbQuery("✅ تم الحكم");
+      await ctx.editMessageCaption(
+        `🧾 نزاع #${disputeId}: ${op === "owner" ? "👤 صاحب الكود محق" : "📸 المستخدم محق"}\n\n` +
+        (result.penalty?.shadow ? `👻 العقوبات متوقفة: سُجلت العقوبة في سجل الظل فقط\n` : result.penalty ? `⚖️ عقوبة الطرف الآخر: ${describePenaltyRule(result.penalty.rule)}\n` : "") +
+        `📨 تم إبلاغ الطرفين.`
+      );
+    } catch (err) {
+      console.error("❌ dispute callback:", err.message);
+      try { await ctx.answerCbQuery("❌ حدث خطأ"); } catch (e) {}
+    }
+    return;
   }
 
+  // Admin callbacks
+  const adminCallback = resolveAdminCallback(action);
+  if (!(await authorize(ctx, adminCallback.permission, adminCallback.groupId))) return;
+  const admin = getAdmin(ctx.from.id);
+
   try {
     if (action === "global_settings") {
-      const s = await getAdminSettings();
-      const keyboard = Markup.inlineKeyboard([
-        [Markup.button.callback("📴 Toggle All Schedulers", "toggle_all_schedulers")],
-        [Markup.button.callback(`${s.penalties_active ? '🔴 Disable' : '🟢 Enable'} Penalties`, "toggle_penalties")],
-        [Markup.button.callback("🔄 Distribute Now (All)", "distribute_now")],
-        [Markup.button.callback("⏰ Set Send Time", "set_time")],
-        [Markup.button.callback("👁️ Set Daily Limit", "set_limit")],
-        [Markup.button.callback("📅 Set Days", "set_days")],
-        [Markup.button.callback("👥 Set Group Size", "set_group")],
-        [Markup.button.callback("🔢 Set Max Groups", "set_max_groups")],
-        [Markup.button.callback("📢 Broadcast to All", "broadcast")],
-        [Markup.button.callback("◀️ Back", "back_to_main")],
-      ]);
-      await ctx.editMessageText(
-        `🌐 Global Settings\n\nPenalties System: ${s.penalties_active ? '✅ Active' : '❌ Inactive'}`,
-        { reply_markup: keyboard.reply_markup }
-      );
+      await showGlobalSettings(ctx);
       await ctx.answerCbQuery();
       return;
     }
 
     if (action === "manage_groups") {
       const groups = await q(`SELECT id, name, is_scheduler_active FROM groups ORDER BY created_at`);
-      if (groups.rowCount === 0) {
+      const visibleGroups = groups.rows.filter(g => adminCoversGroup(admin, g.id));
+      if (visibleGroups.length === 0) {
         await ctx.answerCbQuery("لا توجد مجموعات بعد");
         return;
       }
-      const keyboard = groups.rows.map(g => [
+      const keyboard = visibleGroups.map(g => [
         Markup.button.callback(`${g.is_scheduler_active ? '✅' : '❌'} Group ${g.id.toString().slice(0, 8)}`, `groupdetails_${g.id}`)
       ]);
       keyboard.push([Markup.button.callback("◀️ Back", "back_to_main")]);
@@ -1491,22 +4635,7 @@ bot.on("callback_query", async (ctx) => {
       const groupId = action.replace("groupdetails_", "");
       const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
       if (!uuidRegex.test(groupId)) { await ctx.answerCbQuery("❌ Invalid group ID"); return; }
-      const g = await q(`SELECT is_scheduler_active, daily_codes_limit, distribution_days, send_time, payment_day FROM groups WHERE id=$1`, [groupId]);
-      if (g.rowCount > 0) {
-        const group = g.rows[0];
-        const userCount = await q(`SELECT COUNT(*) FROM users WHERE group_id=$1`, [groupId]);
-        const keyboard = Markup.inlineKeyboard([
-          [Markup.button.callback(`${group.is_scheduler_active ? '✅ Disable' : '❌ Enable'} Scheduler`, `grouptoggle_${groupId}`)],
-          [Markup.button.callback(`📅 Set Days (${group.distribution_days})`, `groupdays_${groupId}`)],
-          [Markup.button.callback(`👁️ Set Limit (${group.daily_codes_limit})`, `grouplimit_${groupId}`)],
-          [Markup.button.callback(`⏰ Set Time (${group.send_time})`, `grouptime_${groupId}`)],
-          [Markup.button.callback(`📢 Broadcast to Group`, `groupbroadcast_${groupId}`)],
-          [Markup.button.callback("◀️ Back to Groups", "manage_groups")],
-        ]);
-        await ctx.editMessageText(
-          `📦 Group ${groupId.slice(0, 8)}\n\n👥 Users: ${userCount.rows[0].count}\n🔄 Scheduler: ${group.is_scheduler_active ? '✅ Active' : '❌ Inactive'}\n📅 Days: ${group.distribution_days}\n👁️ Limit: ${group.daily_codes_limit}\n⏰ Time: ${group.send_time}\n💰 Payment Day: ${group.payment_day || 1}`,
-          { reply_markup: keyboard.reply_markup }
-        );
+      if (await showGroupDetails(ctx, groupId)) {
         await ctx.answerCbQuery();
       }
       return;
@@ -1516,30 +4645,59 @@ bot.on("callback_query", async (ctx) => {
       const groupId = action.replace("grouptoggle_", "");
       const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
       if (!uuidRegex.test(groupId)) { await ctx.answerCbQuery("❌ Invalid group ID"); return; }
-      const g = await q(`SELECT is_scheduler_active FROM groups WHERE id=$1`, [groupId]);
-      if (g.rowCount > 0) {
-        const newStatus = !g.rows[0].is_scheduler_active;
-        await updateGroupSettings(groupId, 'is_scheduler_active', newStatus);
+      const newStatus = await toggleGroupScheduler(groupId, ctx);
+      if (newStatus !== null) {
         await ctx.answerCbQuery(`✅ Scheduler ${newStatus ? 'Enabled' : 'Disabled'}`);
-        const updated = await q(`SELECT is_scheduler_active, daily_codes_limit, distribution_days, send_time, payment_day FROM groups WHERE id=$1`, [groupId]);
-        const group = updated.rows[0];
-        const userCount = await q(`SELECT COUNT(*) FROM users WHERE group_id=$1`, [groupId]);
-        const keyboard = Markup.inlineKeyboard([
-          [Markup.button.callback(`${group.is_scheduler_active ? '✅ Disable' : '❌ Enable'} Scheduler`, `grouptoggle_${groupId}`)],
-          [Markup.button.callback(`📅 Set Days (${group.distribution_days})`, `groupdays_${groupId}`)],
-          [Markup.button.callback(`👁️ Set Limit (${group.daily_codes_limit})`, `grouplimit_${groupId}`)],
-          [Markup.button.callback(`⏰ Set Time (${group.send_time})`, `grouptime_${groupId}`)],
-          [Markup.button.callback(`📢 Broadcast to Group`, `groupbroadcast_${groupId}`)],
-          [Markup.button.callback("◀️ Back to Groups", "manage_groups")],
-        ]);
-        await ctx.editMessageText(
-          `📦 Group ${groupId.slice(0, 8)}\n\n👥 Users: ${userCount.rows[0].count}\n🔄 Scheduler: ${group.is_scheduler_active ? '✅ Active' : '❌ Inactive'}\n📅 Days: ${group.distribution_days}\n👁️ Limit: ${group.daily_codes_limit}\n⏰ Time: ${group.send_time}`,
-          { reply_markup: keyboard.reply_markup }
-        );
+        await showGroupDetails(ctx, groupId);
       }
       return;
     }
 
+    if (action.startsWith("grouppen_")) {
+      const groupId = action.replace("grouppen_", "");
+      if (!UUID_REGEX.test(groupId)) { await ctx.answerCbQuery("❌ Invalid group ID"); return; }
+      const settings = await getGroupSettings(groupId);
+      const pending = await getPendingShadowPenalties(groupId);
+      await ctx.editMessageText(
+        `🚨 Penalties - Group ${groupId.slice(0, 8)}\n\nCurrent: ${groupPenaltiesLabel(settings)}\n\n${formatShadowPenalties(pending)}` +
+        (pending.total > 0 ? `\n⚠️ عند التفعيل لن تُطبق هذه العقوبات بأثر رجعي.` : ""),
+        Markup.inlineKeyboard([
+          [Markup.button.callback("🌐 Follow Global", `grouppendef_${groupId}`)],
+          [Markup.button.callback("🟢 Force On", `grouppenon_${groupId}`), Markup.button.callback("🔴 Force Off", `grouppenoff_${groupId}`)],
+          [Markup.button.callback("📜 Penalty Policy", `grouppolicy_${groupId}`)],
+          [Markup.button.callback("◀️ Back", `groupdetails_${groupId}`)],
+        ])
+      );
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (action.startsWith("grouppolicy_")) {
+      const groupId = action.replace("grouppolicy_", "");
+      if (!UUID_REGEX.test(groupId)) { await ctx.answerCbQuery("❌ Invalid group ID"); return; }
+      const settings = await getGroupSettings(groupId);
+      const policy = await getPenaltyPolicy(groupId);
+      const prefix = groupId.slice(0, 8);
+      await ctx.editMessageText(
+        `📜 Penalty Policy - Group ${prefix}\n${formatPenaltyPolicy(policy, settings.strike_decay_days)}\n\n✏️ = قاعدة خاصة بالمجموعة\n\n` +
+        `لتعديل قاعدة:\n/set_penalty ${prefix} missed_day 2 suspend 3\n\n` +
+        `للعودة للسلم الافتراضي:\n/reset_penalty ${prefix}\n\n` +
+        `لمحو مخالفة بعد أيام بدون مخالفات:\n/set_strike_decay ${prefix} 14`,
+        Markup.inlineKeyboard([[Markup.button.callback("◀️ Back", `grouppen_${groupId}`)]])
+      );
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (/^grouppen(def|on|off)_/.test(action)) {
+      const [, mode, groupId] = action.match(/^grouppen(def|on|off)_(.+)$/);
+      if (!UUID_REGEX.test(groupId)) { await ctx.answerCbQuery("❌ Invalid group ID"); return; }
+      const enabled = await setGroupPenalties(groupId, mode === "def" ? null : mode === "on", ctx);
+      await ctx.answerCbQuery(`✅ Penalties ${enabled ? 'Enabled' : 'Disabled'}`);
+      await showGroupDetails(ctx, groupId);
+      return;
+    }
+
     if (action.startsWith("groupdays_")) {
       const groupId = action.replace("groupdays_", "");
       await safeReply(ctx, `📅 لتغيير عدد الأيام، أرسل:\n\n/gdays ${groupId.slice(0, 8)} 20`);
@@ -1554,6 +4712,13 @@ bot.on("callback_query", async (ctx) => {
       return;
     }
 
+    if (action.startsWith("groupcap_")) {
+      const groupId = action.replace("groupcap_", "");
+      await safeReply(ctx, `⚖️ لتحديد الحد الأقصى للأكواد لكل عضو يومياً، أرسل:\n\n/gcap ${groupId.slice(0, 8)} 30\n\nأو لإلغاء الحد:\n/gcap ${groupId.slice(0, 8)} NULL`);
+      await ctx.answerCbQuery();
+      return;
+    }
+
     if (action.startsWith("grouptime_")) {
       const groupId = action.replace("grouptime_", "");
       await safeReply(ctx, `⏰ لتغيير وقت الإرسال، أرسل:\n\n/gtime ${groupId.slice(0, 8)} 09:00`);
@@ -1561,10 +4726,17 @@ bot.on("callback_query", async (ctx) => {
       return;
     }
 
+    if (action.startsWith("grouptz_")) {
+      const groupId = action.replace("grouptz_", "");
+      await safeReply(ctx, `🕐 لتغيير المنطقة الزمنية، أرسل:\n\n/gtz ${groupId.slice(0, 8)} Africa/Cairo\n\nأو للعودة للافتراضي:\n/gtz ${groupId.slice(0, 8)} DEFAULT`);
+      await ctx.answerCbQuery();
+      return;
+    }
+
     if (action.startsWith("groupbroadcast_")) {
       const groupId = action.replace("groupbroadcast_", "");
-      groupBroadcastMode[ctx.from.id.toString()] = groupId;
-      await safeReply(ctx, `📢 أرسل الرسالة الآن لإرسالها لجميع أعضاء Group ${groupId.slice(0, 8)}:`);
+      await setState(ctx.from.id, { stage: "group_broadcast", groupId });
+      await safeReply(ctx, `📢 أرسل الرسالة الآن لإرسالها لجميع أعضاء Group ${groupId.slice(0, 8)}:\n\n❌ /cancel للإلغاء`);
       await ctx.answerCbQuery();
       return;
     }
@@ -1585,90 +4757,57 @@ bot.on("callback_query", async (ctx) => {
     }
 
     if (action === "confirm_delete_cycle") {
-      await q("DELETE FROM code_view_assignments");
-      await q("DELETE FROM codes");
-      await q("DELETE FROM user_penalties");
-      await q("DELETE FROM confirmation_penalties");
-      await q("DELETE FROM verification_penalties");
+      await resetCycle(ctx, "delete_cycle");
       await safeReply(ctx, "🗑️ تم حذف جميع الأكواد والتوزيعات!\n\n✅ جاهز لدورة جديدة.");
       await ctx.answerCbQuery("✅ تم الحذف");
       return;
     }
 
     if (action === "payment_menu") {
-      const keyboard = Markup.inlineKeyboard([
-        [Markup.button.callback("📢 Send Payment Reminder (All)", "payment_remind_all")],
-        [Markup.button.callback("▶️ Resume Distribution (All)", "payment_resume_all")],
-        [Markup.button.callback("📋 Check Payment Status", "payment_status")],
-        [Markup.button.callback("⚠️ Non-Payers List", "payment_nonpayers")],
+      const rows = [];
+      if (hasPermission(admin, PERM.PAYMENTS)) {
+        rows.push(
+          [Markup.button.callback("📢 Send Payment Reminder (All)", "payment_remind_all")],
+          [Markup.button.callback("▶️ Resume Distribution (All)", "payment_resume_all")],
+          [Markup.button.callback("📋 Check Payment Status", "payment_status")],
+          [Markup.button.callback("⚠️ Non-Payers List", "payment_nonpayers")],
+          [Markup.button.callback("📤 Export Payments (CSV)", "export_payments")],
+          [Markup.button.callback("📤 Export Non-Payers (CSV)", "export_nonpayers")],
+        );
+      }
+      rows.push(
         [Markup.button.callback("📦 Group Payment Settings", "payment_groups")],
         [Markup.button.callback("◀️ Back", "back_to_main")],
-      ]);
+      );
+      const keyboard = Markup.inlineKeyboard(rows);
       await ctx.editMessageText("💰 Payment Management:", { reply_markup: keyboard.reply_markup });
       await ctx.answerCbQuery();
       return;
     }
 
     if (action === "payment_resume_all") {
-      await q(`UPDATE groups SET payment_mode_active=false, payment_mode_day=0, is_scheduler_active=true`);
-      
-      // ✅ إرسال الكيبورد الكامل لجميع المستخدمين بعد استئناف التوزيع
-      const allUsers = await q(`SELECT telegram_id, auto_name FROM users`);
-      let resumeSuccess = 0;
-      for (const user of allUsers.rows) {
-        try {
-          const resumeKeyboard = await getDynamicKeyboard(user.telegram_id);
-          await bot.telegram.sendMessage(user.telegram_id,
-            `✅ تم استئناف توزيع الأكواد!\n\n` +
-            `▶️ يمكنك الآن استخدام الأكواد بشكل طبيعي\n\n` +
-            `📦 اكتب /اكواد_اليوم للحصول على كودك`,
-            resumeKeyboard
-          );
-          resumeSuccess++;
-          await new Promise(r => setTimeout(r, 100));
-        } catch (e) {}
-      }
+      const resumeQueued = await endPaymentMode(null, ctx);
       
-      await safeReply(ctx, `✅ تم استئناف التوزيع لجميع المجموعات\n\n▶️ الأكواد ستُوزع في موعدها\n📢 تم إشعار ${resumeSuccess} مستخدم`);
+      await safeReply(ctx, `✅ تم استئناف التوزيع لجميع المجموعات\n\n▶️ الأكواد ستُوزع في موعدها\n📢 تمت جدولة الإشعار لـ ${resumeQueued} مستخدم`);
       await ctx.answerCbQuery("✅ تم استئناف التوزيع");
       return;
     }
 
     if (action === "payment_remind_all") {
-      const currentMonth = new Date().toISOString().slice(0, 7);
-      const users = await q(`SELECT u.telegram_id, u.auto_name FROM users u`);
-      await q(`UPDATE groups SET payment_mode_active=true, payment_mode_started=NOW(), payment_mode_day=1, is_scheduler_active=false`);
-      let success = 0;
-      for (const user of users.rows) {
-        try {
-          // ✅ إرسال الكيبورد المحدث مع زر إثبات الدفع
-          const userKeyboard = await getDynamicKeyboard(user.telegram_id);
-          await bot.telegram.sendMessage(user.telegram_id, 
-            `💰 تذكير دفع الاشتراك الشهري\n\n` +
-            `📅 الشهر: ${currentMonth}\n` +
-            `👤 ${user.auto_name}\n\n` +
-            `⏸️ تم إيقاف توزيع الأكواد مؤقتاً\n\n` +
-            `📸 يرجى إرسال إثبات الدفع عبر زر "📸 إرسال إثبات الدفع"\n\n` +
-            `⚠️ لديك 3 أيام لإرسال الإثبات`,
-            userKeyboard
-          );
-          success++;
-          await new Promise(r => setTimeout(r, 100));
-        } catch (e) {}
-      }
-      await q(`UPDATE groups SET last_payment_reminder=NOW()`);
-      await safeReply(ctx, `✅ تم إرسال التذكير لـ ${success} مستخدم\n\n⏸️ تم إيقاف التوزيع حتى استلام الدفعات`);
+      const queued = await startPaymentMode(null, ctx);
+      await safeReply(ctx, `✅ تمت جدولة التذكير لـ ${queued} مستخدم\n\n⏸️ تم إيقاف التوزيع حتى استلام الدفعات`);
       await ctx.answerCbQuery();
       return;
     }
 
     if (action === "payment_status") {
-      const currentMonth = new Date().toISOString().slice(0, 7);
-      const total = await q(`SELECT COUNT(*) FROM users`);
+      const currentMonth = localDate((await getAdminSettings()).default_timezone).slice(0, 7);
+      const total = await q(`SELECT COUNT(*) FROM users WHERE status='active'`);
       const paid = await q(`SELECT COUNT(*) FROM payments WHERE payment_month=$1 AND proof_sent=true`, [currentMonth]);
       const groups = await q(
         `SELECT g.id, COUNT(u.id) as total_users, COUNT(p.id) FILTER (WHERE p.proof_sent=true) as paid_users
-         FROM groups g LEFT JOIN users u ON u.group_id = g.id LEFT JOIN payments p ON p.user_id = u.id AND p.payment_month = $1
+         FROM groups g LEFT JOIN users u ON u.group_id = g.id AND u.status = 'active'
+         LEFT JOIN payments p ON p.user_id = u.id AND p.payment_month = $1
          GROUP BY g.id ORDER BY g.created_at`,
         [currentMonth]
       );
@@ -1685,11 +4824,11 @@ bot.on("callback_query", async (ctx) => {
     }
 
     if (action === "payment_nonpayers") {
-      const currentMonth = new Date().toISOString().slice(0, 7);
+      const currentMonth = localDate((await getAdminSettings()).default_timezone).slice(0, 7);
       const nonPayers = await q(
         `SELECT u.auto_name, u.phone, u.group_id FROM users u
          LEFT JOIN payments p ON p.user_id = u.id AND p.payment_month = $1
-         WHERE p.id IS NULL OR p.proof_sent = false ORDER BY u.group_id, u.auto_name`,
+         WHERE u.status = 'active' AND (p.id IS NULL OR p.proof_sent = false) ORDER BY u.group_id, u.auto_name`,
         [currentMonth]
       );
       if (nonPayers.rowCount === 0) {
@@ -1715,8 +4854,9 @@ bot.on("callback_query", async (ctx) => {
 
     if (action === "payment_groups") {
       const groups = await q(`SELECT id, name, payment_day FROM groups ORDER BY created_at`);
-      if (groups.rowCount === 0) { await ctx.answerCbQuery("لا توجد مجموعات"); return; }
-      const keyboard = groups.rows.map(g => [
+      const visibleGroups = groups.rows.filter(g => adminCoversGroup(admin, g.id));
+      if (visibleGroups.length === 0) { await ctx.answerCbQuery("لا توجد مجموعات"); return; }
+      const keyboard = visibleGroups.map(g => [
         Markup.button.callback(`Group ${g.id.toString().slice(0, 8)} (Day: ${g.payment_day || 1})`, `payment_group_${g.id}`)
       ]);
       keyboard.push([Markup.button.callback("◀️ Back", "payment_menu")]);
@@ -1748,53 +4888,17 @@ bot.on("callback_query", async (ctx) => {
 
     if (action.startsWith("payment_resume_group_")) {
       const groupId = action.replace("payment_resume_group_", "");
-      await q(`UPDATE groups SET payment_mode_active=false, payment_mode_day=0, is_scheduler_active=true WHERE id=$1`, [groupId]);
-      
-      // ✅ إرسال الكيبورد الكامل لمستخدمي المجموعة بعد استئناف التوزيع
-      const groupUsers = await q(`SELECT telegram_id, auto_name FROM users WHERE group_id=$1`, [groupId]);
-      let groupResumeSuccess = 0;
-      for (const user of groupUsers.rows) {
-        try {
-          const groupResumeKeyboard = await getDynamicKeyboard(user.telegram_id);
-          await bot.telegram.sendMessage(user.telegram_id,
-            `✅ تم استئناف توزيع الأكواد!\n\n` +
-            `▶️ يمكنك الآن استخدام الأكواد بشكل طبيعي\n\n` +
-            `📦 اكتب /اكواد_اليوم للحصول على كودك`,
-            groupResumeKeyboard
-          );
-          groupResumeSuccess++;
-          await new Promise(r => setTimeout(r, 100));
-        } catch (e) {}
-      }
+      const groupResumeQueued = await endPaymentMode(groupId, ctx);
       
-      await safeReply(ctx, `✅ تم استئناف التوزيع للمجموعة ${groupId.slice(0, 8)}\n📢 تم إشعار ${groupResumeSuccess} مستخدم`);
+      await safeReply(ctx, `✅ تم استئناف التوزيع للمجموعة ${groupId.slice(0, 8)}\n📢 تمت جدولة الإشعار لـ ${groupResumeQueued} مستخدم`);
       await ctx.answerCbQuery();
       return;
     }
 
     if (action.startsWith("payment_remind_group_")) {
       const groupId = action.replace("payment_remind_group_", "");
-      const currentMonth = new Date().toISOString().slice(0, 7);
-      const users = await q(`SELECT telegram_id, auto_name FROM users WHERE group_id=$1`, [groupId]);
-      await q(`UPDATE groups SET payment_mode_active=true, payment_mode_started=NOW(), payment_mode_day=1, is_scheduler_active=false WHERE id=$1`, [groupId]);
-      let success = 0;
-      for (const user of users.rows) {
-        try {
-          const userKeyboard2 = await getDynamicKeyboard(user.telegram_id);
-          await bot.telegram.sendMessage(user.telegram_id,
-            `💰 تذكير دفع الاشتراك الشهري\n\n` +
-            `📅 الشهر: ${currentMonth}\n` +
-            `👤 ${user.auto_name}\n\n` +
-            `⏸️ تم إيقاف توزيع الأكواد مؤقتاً\n\n` +
-            `📸 يرجى إرسال إثبات الدفع`,
-            userKeyboard2
-          );
-          success++;
-          await new Promise(r => setTimeout(r, 100));
-        } catch (e) {}
-      }
-      await q(`UPDATE groups SET last_payment_reminder=NOW() WHERE id=$1`, [groupId]);
-      await safeReply(ctx, `✅ تم إرسال التذكير لـ ${success} مستخدم في Group ${groupId.slice(0, 8)}`);
+      const queued = await startPaymentMode(groupId, ctx);
+      await safeReply(ctx, `✅ تمت جدولة التذكير لـ ${queued} مستخدم في Group ${groupId.slice(0, 8)}`);
       await ctx.answerCbQuery();
       return;
     }
@@ -1832,7 +4936,7 @@ bot.on("callback_query", async (ctx) => {
     }
 
     if (action === "blacklist_ban_user") {
-      await safeReply(ctx, "👤 لحظر مستخدم مسجل:\n\n/banuser User5 سبب الحظر");
+      await safeReply(ctx, "👤 لحظر مستخدم مسجل:\n\n/banuser User5 سبب الحظر\n\n🗄️ الحسابات المحظورة والمحذوفة تُؤرشف:\n/archived لعرضها\n/restore User5 لإعادة حساب");
       await ctx.answerCbQuery();
       return;
     }
@@ -1852,36 +4956,43 @@ bot.on("callback_query", async (ctx) => {
       return;
     }
 
-    if (action === "toggle_penalties") {
-      const s = await getAdminSettings();
-      const newVal = !s.penalties_active;
-      await updateAdminSettings("penalties_active", newVal);
+    if (action === "toggle_penalties" || action === "toggle_penalties_confirm") {
+      const current = await getAdminSettings();
+      // قبل إعادة التفعيل: عرض العقوبات التي كانت ستُطبق أثناء الإيقاف
+      if (!current.penalties_active && action === "toggle_penalties") {
+        const pending = await getPendingShadowPenalties();
+        if (pending.total > 0) {
+          await ctx.editMessageText(
+            `${formatShadowPenalties(pending)}\n⚠️ لن تُطبق هذه العقوبات بأثر رجعي، وتبدأ العقوبات الجديدة من لحظة التفعيل.`,
+            Markup.inlineKeyboard([
+              [Markup.button.callback("🟢 Enable Penalties", "toggle_penalties_confirm")],
+              [Markup.button.callback("◀️ Back", "global_settings")],
+            ])
+          );
+          await ctx.answerCbQuery();
+          return;
+        }
+      }
+      if (action === "toggle_penalties_confirm" && current.penalties_active) {
+        await ctx.answerCbQuery("ℹ️ Penalties already enabled");
+        await showGlobalSettings(ctx);
+        return;
+      }
+      const newVal = await togglePenalties(ctx);
       await ctx.answerCbQuery(`✅ Penalties ${newVal ? 'Enabled' : 'Disabled'}`);
-      const updated = await getAdminSettings();
-      const keyboard = Markup.inlineKeyboard([
-        [Markup.button.callback("📴 Toggle All Schedulers", "toggle_all_schedulers")],
-        [Markup.button.callback(`${updated.penalties_active ? '🔴 Disable' : '🟢 Enable'} Penalties`, "toggle_penalties")],
-        [Markup.button.callback("🔄 Distribute Now (All)", "distribute_now")],
-        [Markup.button.callback("⏰ Set Send Time", "set_time")],
-        [Markup.button.callback("👁️ Set Daily Limit", "set_limit")],
-        [Markup.button.callback("📅 Set Days", "set_days")],
-        [Markup.button.callback("👥 Set Group Size", "set_group")],
-        [Markup.button.callback("🔢 Set Max Groups", "set_max_groups")],
-        [Markup.button.callback("📢 Broadcast to All", "broadcast")],
-        [Markup.button.callback("◀️ Back", "back_to_main")],
-      ]);
-      await ctx.editMessageText(
-        `🌐 Global Settings\n\nPenalties System: ${updated.penalties_active ? '✅ Active' : '❌ Inactive'}`,
-        { reply_markup: keyboard.reply_markup }
-      );
+      await showGlobalSettings(ctx);
+      return;
+    }
+
+    if (action === "shadow_log") {
+      const pending = await getPendingShadowPenalties();
+      await ctx.editMessageText(formatShadowPenalties(pending), Markup.inlineKeyboard([[Markup.button.callback("◀️ Back", "global_settings")]]));
+      await ctx.answerCbQuery();
       return;
     }
 
     if (action === "toggle_all_schedulers") {
-      const s = await getAdminSettings();
-      const newVal = !s.is_scheduler_active;
-      await updateAdminSettings("is_scheduler_active", newVal);
-      await q("UPDATE groups SET is_scheduler_active = $1", [newVal]);
+      const newVal = await toggleAllSchedulers(ctx);
       await safeReply(ctx, `✅ All Schedulers: ${newVal ? "✅ Enabled" : "❌ Disabled"}`);
       await ctx.answerCbQuery(`✅ ${newVal ? 'Enabled' : 'Disabled'}`);
       return;
@@ -1889,61 +5000,112 @@ bot.on("callback_query", async (ctx) => {
 
     if (action === "distribute_now") {
       await runDailyDistribution();
+      await logAudit(ctx, "distribution_run", { details: { scope: "all_groups" } });
       await safeReply(ctx, "✅ تم توزيع الأكواد يدوياً!");
       await ctx.answerCbQuery("✅ Done");
       return;
     }
 
     if (action === "set_time") { await safeReply(ctx, "⏰ لتغيير وقت الإرسال:\n\n/set_time 09:00"); await ctx.answerCbQuery(); return; }
+    if (action === "set_timezone") { await safeReply(ctx, "🕐 لتغيير المنطقة الزمنية الافتراضية:\n\n/timezone Africa/Cairo"); await ctx.answerCbQuery(); return; }
     if (action === "set_limit") { await safeReply(ctx, "👁️ لتغيير الحد اليومي:\n\n/set_limit 50"); await ctx.answerCbQuery(); return; }
     if (action === "set_days") { await safeReply(ctx, "📅 لتغيير عدد الأيام:\n\n/set_days 20"); await ctx.answerCbQuery(); return; }
     if (action === "set_group") { await safeReply(ctx, "👥 لتغيير حجم المجموعة:\n\n/set_group 1000"); await ctx.answerCbQuery(); return; }
     if (action === "set_max_groups") { await safeReply(ctx, "🔢 لتحديد الحد الأقصى للمجموعات:\n\n/set_max_groups 10\n\nأو لعدم تحديد حد:\n/set_max_groups NULL"); await ctx.answerCbQuery(); return; }
+    if (action === "set_code_format") { await safeReply(ctx, "🔤 لتحديد صيغة الأكواد المقبولة (Regular Expression):\n\n/set_code_format ^[A-Z0-9]{8}$\n\nأو للرجوع للافتراضي:\n/set_code_format DEFAULT"); await ctx.answerCbQuery(); return; }
+    if (action === "set_archive_retention") { await safeReply(ctx, "🗄️ عدد الأيام التي يبقى فيها الحساب المحذوف أو المحظور مؤرشفاً (قابلاً للاستعادة بـ /restore) قبل حذفه نهائياً:\n\n/set_archive_retention 90"); await ctx.answerCbQuery(); return; }
+    if (action === "set_dispute_hours") { await safeReply(ctx, "🧾 عدد الساعات التي يُمنحها المستخدم لإرسال إثبات بعد اعتراض صاحب الكود:\n\n/set_dispute_hours 24"); await ctx.answerCbQuery(); return; }
+    if (action === "set_reclaim_hour") { await safeReply(ctx, "♻️ الساعة (بتوقيت كل مجموعة) التي تُسحب بعدها أكواد اليوم غير المستخدمة وتُعطى لأعضاء آخرين:\n\n/set_reclaim_hour 16\n\nأو لإيقاف السحب:\n/set_reclaim_hour off"); await ctx.answerCbQuery(); return; }
 
     if (action === "broadcast") {
-      adminBroadcastMode = true;
-      await safeReply(ctx, "📢 أرسل الرسالة الآن لإرسالها لجميع المستخدمين:");
+      await setState(ctx.from.id, { stage: "admin_broadcast" });
+      await safeReply(ctx, "📢 أرسل الرسالة الآن لإرسالها لجميع المستخدمين:\n\n❌ /cancel للإلغاء");
       await ctx.answerCbQuery();
       return;
     }
 
     if (action === "stats") {
-      const totalUsers = await q(`SELECT COUNT(*) FROM users`);
+      const totalUsers = await q(`SELECT COUNT(*) FILTER (WHERE status='active') AS count, COUNT(*) FILTER (WHERE status='archived') AS archived FROM users`);
       const activeCodes = await q(`SELECT COUNT(*) FROM codes WHERE status='active'`);
       const totalGroups = await q(`SELECT COUNT(*) FROM groups`);
       const blacklisted = await q(`SELECT COUNT(*) FROM blacklist`);
       const s = await getAdminSettings();
-      const today = new Date().toISOString().slice(0, 10);
-      const completedToday = await q(`SELECT COUNT(DISTINCT assigned_to_user_id) FROM code_view_assignments WHERE assigned_date=$1 AND used=true`, [today]);
-      const totalToday = await q(`SELECT COUNT(DISTINCT assigned_to_user_id) FROM code_view_assignments WHERE assigned_date=$1`, [today]);
+      // "اليوم" يختلف من مجموعة لأخرى حسب منطقتها الزمنية
+      const todayCounts = await q(
+        `SELECT COUNT(DISTINCT a.assigned_to_user_id) FILTER (WHERE a.used=true) AS completed,
+                COUNT(DISTINCT a.assigned_to_user_id) AS total
+         FROM code_view_assignments a
+         JOIN users u ON a.assigned_to_user_id = u.id
+         JOIN groups g ON u.group_id = g.id
+         WHERE u.status = 'active' AND a.assigned_date = (NOW() AT TIME ZONE COALESCE(g.timezone, $1))::date`,
+        [s.default_timezone || 'UTC']
+      );
+      const outbox = await q(
+        `SELECT COUNT(*) FILTER (WHERE status IN ('pending', 'sending')) AS pending,
+                COUNT(*) FILTER (WHERE status='failed' AND created_at > NOW() - INTERVAL '1 day') AS failed
+         FROM outbox_messages`
+      );
+      const inactive = await q(
+        `SELECT auto_name, inactive_since FROM users WHERE is_active=false AND status='active' ORDER BY inactive_since DESC NULLS LAST`
+      );
+      let inactiveText = `🔕 غير نشطين (حظروا البوت): ${inactive.rowCount}\n`;
+      inactive.rows.slice(0, 10).forEach(u => {
+        inactiveText += `• ${u.auto_name}${u.inactive_since ? ` - منذ ${new Date(u.inactive_since).toISOString().slice(0, 10)}` : ''}\n`;
+      });
+      if (inactive.rowCount > 10) inactiveText += `... وآخرون (${inactive.rowCount - 10})\n`;
       
       const statsMessage = `📊 إحصائيات البوت:\n\n` +
         `👥 المستخدمون: ${totalUsers.rows[0].count}\n` +
         `📦 الأكواد النشطة: ${activeCodes.rows[0].count}\n` +
         `🏢 المجموعات: ${totalGroups.rows[0].count}\n` +
         `🚫 المحظورون: ${blacklisted.rows[0].count}\n` +
+        `🗄️ حسابات مؤرشفة: ${totalUsers.rows[0].archived}\n` +
+        inactiveText +
         `🔢 الحد الأقصى للمجموعات: ${s.max_groups || 'غير محدد'}\n\n` +
         `📅 اليوم:\n` +
-        `✅ أكملوا: ${completedToday.rows[0].count}/${totalToday.rows[0].count}\n\n` +
+        `✅ أكملوا: ${todayCounts.rows[0].completed}/${todayCounts.rows[0].total}\n\n` +
+        `📤 طابور الرسائل:\n` +
+        `⏳ قيد الانتظار: ${outbox.rows[0].pending}\n` +
+        `❌ فشلت (24 ساعة): ${outbox.rows[0].failed}\n\n` +
         `⚙️ الإعدادات:\n` +
         `🔄 الجدول: ${s.is_scheduler_active ? '✅ نشط' : '❌ متوقف'}\n` +
-        `⚖️ العقوبات: ${s.penalties_active ? '✅ نشطة' : '❌ متوقفة'}`;
+        `⚖️ العقوبات: ${s.penalties_active ? '✅ نشطة' : '❌ متوقفة'}\n` +
+        `🕐 المنطقة الزمنية الافتراضية: ${s.default_timezone || 'UTC'}`;
       
       await safeReply(ctx, statsMessage);
       await ctx.answerCbQuery();
       return;
     }
 
+    if (action.startsWith("audit_")) {
+      const [, category, page] = action.split("_");
+      await showAuditLog(ctx, category, Math.max(parseInt(page, 10) || 0, 0));
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (action === "export_menu") {
+      await ctx.editMessageText("📤 Export CSV:\n\n💡 لمجموعة أو شهر محدد: /export payments 2026-01 5d124af3", { reply_markup: exportMenuKeyboard(admin).reply_markup });
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    if (action.startsWith("export_")) {
+      const type = action.replace("export_", "");
+      const month = EXPORT_TYPES[type]?.monthly ? localDate((await getAdminSettings()).default_timezone).slice(0, 7) : null;
+      await ctx.answerCbQuery("⏳ جاري التصدير...");
+      try {
+        await sendExport(ctx, type, { month });
+      } catch (err) {
+        console.error(`❌ export ${type}:`, err.message);
+        await safeReply(ctx, "❌ حدث خطأ أثناء التصدير");
+      }
+      return;
+    }
+
     if (action === "back_to_main") {
-      const keyboard = Markup.inlineKeyboard([
-        [Markup.button.callback("🌐 Global Settings", "global_settings")],
-        [Markup.button.callback("📦 Manage Groups", "manage_groups")],
-        [Markup.button.callback("💰 Payment Management", "payment_menu")],
-        [Markup.button.callback("🚫 Blacklist", "blacklist_menu")],
-        [Markup.button.callback("🗑️ Delete Cycle Now", "delete_cycle")],
-        [Markup.button.callback("📊 Stats", "stats")],
-      ]);
-      await ctx.editMessageText("🔐 Admin Panel:", { reply_markup: keyboard.reply_markup });
+      const keyboard = adminPanelKeyboard(admin);
+      await ctx.editMessageText(`🔐 Admin Panel (${ROLE_LABELS[admin.role]}):`, { reply_markup: keyboard.reply_markup });
       await ctx.answerCbQuery();
       return;
     }
@@ -1957,14 +5119,31 @@ bot.on("callback_query", async (ctx) => {
 
 // ==================== CRON JOBS & DISTRIBUTION ====================
 
-async function runDailyDistribution() {
+const DISTRIBUTION_INSERT_CHUNK = 5000;
+
+// خلط عشوائي غير متحيز (Fisher-Yates) - يعدل المصفوفة ويعيدها
+function shuffle(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// groupId: توزيع مجموعة واحدة (من الجدولة)، أو null لكل المجموعات النشطة (التوزيع اليدوي)
+async function runDailyDistribution(groupId = null) {
   console.log("📦 بدء توزيع الأكواد...");
   try {
-    const groups = await q(`SELECT id, payment_mode_active FROM groups WHERE is_scheduler_active=true AND payment_mode_active=false`);
+    const groups = await q(
+      `SELECT id, payment_mode_active FROM groups
+       WHERE is_scheduler_active=true AND payment_mode_active=false AND ($1::uuid IS NULL OR id=$1)`,
+      [groupId]
+    );
     
     console.log(`✅ Found ${groups.rowCount} active groups (not in payment mode)`);
     
     for (const group of groups.rows) {
+      const groupStartedAt = Date.now();
       const groupSettings = await getGroupSettings(group.id);
       
       const currentCycleDay = await q(
@@ -1980,7 +5159,7 @@ async function runDailyDistribution() {
       const codesRes = await q(
         `SELECT c.id, c.owner_id, c.views_per_day, c.day_number FROM codes c 
          JOIN users u ON c.owner_id=u.id 
-         WHERE c.status='active' AND u.group_id=$1 AND c.day_number=$2
+         WHERE c.status='active' AND u.group_id=$1 AND u.status='active' AND c.day_number=$2
          ORDER BY c.created_at ASC`,
         [group.id, nextDay]
       );
@@ -1990,44 +5169,92 @@ async function runDailyDistribution() {
         continue;
       }
 
-      const usersRes = await q(`SELECT id FROM users WHERE group_id=$1`, [group.id]);
+      // المستخدمون غير النشطين (حظروا البوت) لا يستلمون أكواداً
+      const usersRes = await q(`SELECT id FROM users WHERE group_id=$1 AND is_active=true AND status='active'`, [group.id]);
       const allUserIds = usersRes.rows.map(r => r.id);
-      const today = new Date().toISOString().slice(0, 10);
+      const today = localDate(groupSettings.timezone);
+
+      // كل من رأى أكواد كل مالك في هذه المجموعة (استعلام واحد بدلاً من استعلام لكل كود)
+      const seenRes = await q(
+        `SELECT DISTINCT cc.owner_id, a.assigned_to_user_id
+         FROM code_view_assignments a
+         JOIN codes cc ON a.code_id = cc.id
+         JOIN users o ON cc.owner_id = o.id
+         WHERE o.group_id = $1`,
+        [group.id]
+      );
+      const seenByOwner = new Map();
+      for (const row of seenRes.rows) {
+        if (!seenByOwner.has(row.owner_id)) seenByOwner.set(row.owner_id, new Set());
+        seenByOwner.get(row.owner_id).add(row.assigned_to_user_id);
+      }
+
+      // الحمل الحالي لكل عضو اليوم (قد يكون لديه أكواد مرحّلة من الأمس)
+      const loadRes = await q(
+        `SELECT a.assigned_to_user_id, COUNT(*) AS cnt
+         FROM code_view_assignments a
+         JOIN users u ON a.assigned_to_user_id = u.id
+         WHERE u.group_id = $1 AND a.assigned_date = $2 AND a.cancelled = false
+         GROUP BY a.assigned_to_user_id`,
+        [group.id, today]
+      );
+      const load = new Map(allUserIds.map(uid => [uid, 0]));
+      for (const row of loadRes.rows) {
+        if (load.has(row.assigned_to_user_id)) load.set(row.assigned_to_user_id, parseInt(row.cnt, 10));
+      }
+      const cap = groupSettings.daily_user_cap || Infinity;
+
+      const assignCodeIds = [];
+      const assignUserIds = [];
+      let viewsNeededTotal = 0;
 
-      for (const c of codesRes.rows) {
+      // كل كود يذهب لأقل الأعضاء حملاً (التعادل يُكسر عشوائياً) حتى يتوزع العمل بالتساوي
+      for (const c of shuffle([...codesRes.rows])) {
         const viewersNeeded = c.views_per_day || groupSettings.daily_codes_limit;
-        
-        let candidates = allUserIds.filter(uid => uid !== c.owner_id);
-        
-        const alreadySeenOwnerCodes = await q(
-          `SELECT DISTINCT a.assigned_to_user_id 
-           FROM code_view_assignments a 
-           JOIN codes cc ON a.code_id = cc.id 
-           WHERE cc.owner_id=$1`,
-          [c.owner_id]
-        );
-        const seenUserIds = alreadySeenOwnerCodes.rows.map(r => r.assigned_to_user_id);
-        candidates = candidates.filter(uid => !seenUserIds.includes(uid));
-        
-        candidates = candidates.sort(() => 0.5 - Math.random());
+        viewsNeededTotal += viewersNeeded;
 
-        let assignedCount = 0;
-        for (const candidateId of candidates) {
-          if (assignedCount >= viewersNeeded) break;
+        if (!seenByOwner.has(c.owner_id)) seenByOwner.set(c.owner_id, new Set());
+        const seen = seenByOwner.get(c.owner_id);
 
-          try {
-            await q(
-              `INSERT INTO code_view_assignments (code_id, assigned_to_user_id, assigned_date, presented_at, used, verified) 
-               VALUES ($1,$2,$3,NOW(), false, false)`,
-              [c.id, candidateId, today]
+        const candidates = shuffle(allUserIds.filter(uid => uid !== c.owner_id && !seen.has(uid) && load.get(uid) < cap));
+        candidates.sort((a, b) => load.get(a) - load.get(b));
+        const chosen = candidates.slice(0, viewersNeeded);
+
+        for (const uid of chosen) {
+          assignCodeIds.push(c.id);
+          assignUserIds.push(uid);
+          seen.add(uid);
+          load.set(uid, load.get(uid) + 1);
+        }
+        if (chosen.length < viewersNeeded) {
+          console.log(`🔸 Group ${group.id} - Day ${nextDay} - Code ${c.id} distributed to ${chosen.length}/${viewersNeeded} users (not enough eligible viewers)`);
+        }
+      }
+
+      // إدخال كل التوزيعات دفعة واحدة داخل معاملة
+      try {
+        await withTransaction(async (tq) => {
+          for (let i = 0; i < assignCodeIds.length; i += DISTRIBUTION_INSERT_CHUNK) {
+            await tq(
+              `INSERT INTO code_view_assignments (code_id, assigned_to_user_id, assigned_date, presented_at, used, verified)
+               SELECT code_id, user_id, $3, NOW(), false, false
+               FROM unnest($1::uuid[], $2::uuid[]) AS t(code_id, user_id)`,
+              [assignCodeIds.slice(i, i + DISTRIBUTION_INSERT_CHUNK), assignUserIds.slice(i, i + DISTRIBUTION_INSERT_CHUNK), today]
             );
-            assignedCount++;
-          } catch (err) {
-            console.error("❌ Failed assignment:", err.message);
           }
-        }
-        console.log(`🔸 Group ${group.id} - Day ${nextDay} - Code ${c.id} distributed to ${assignedCount}/${viewersNeeded} users`);
+        });
+      } catch (err) {
+        console.error(`❌ Distribution failed for group ${group.id}:`, err.message);
+        continue;
       }
+      incMetric("bot_codes_distributed_total", {}, assignCodeIds.length);
+
+      const loads = [...load.values()];
+      const minLoad = loads.length ? Math.min(...loads) : 0;
+      const maxLoad = loads.length ? Math.max(...loads) : 0;
+      const avgLoad = loads.length ? (loads.reduce((sum, n) => sum + n, 0) / loads.length).toFixed(1) : 0;
+      console.log(`⏱️ Group ${group.id} - Day ${nextDay}: ${codesRes.rowCount} codes, ${assignCodeIds.length}/${viewsNeededTotal} views assigned to ${allUserIds.length} users in ${Date.now() - groupStartedAt}ms`);
+      console.log(`⚖️ Group ${group.id} - load per user: min ${minLoad} / avg ${avgLoad} / max ${maxLoad}${cap !== Infinity ? ` (cap ${cap})` : ''}`);
     }
     console.log(`✅ Distribution complete`);
   } catch (err) {
@@ -2035,103 +5262,178 @@ async function runDailyDistribution() {
   }
 }
 
+// ==================== SLOT RECLAMATION ====================
+// مقاعد توزيع اليوم الضائعة (اعتراض، حذف المستخدم، أو عدم التفاعل حتى slot_reclaim_hour)
+// تُعطى في نفس اليوم لأعضاء لم يروا أكواد نفس المالك، حتى يصل كل كود لـ views_per_day
+
+// لا مقاعد جديدة بعد هذه الساعة (بتوقيت المجموعة) حتى يجد المستخدم وقتاً قبل منتصف الليل
+const SLOT_RECLAIM_LAST_HOUR = 22;
+
+// أقل مدة (بالساعات) يبقى فيها الكود مع المستخدم بعد ظهوره قبل أن يُسحب لعدم التفاعل
+const SLOT_RECLAIM_MIN_HOURS = 3;
+
+// reclaimHour: admin_settings.slot_reclaim_hour (null = لا سحب للتوزيعات غير المستخدمة)
+// يرجع عدد التوزيعات الجديدة
+async function reclaimViewSlots(groupId, reclaimHour) {
+  const groupSettings = await getGroupSettings(groupId);
+  if (!groupSettings.is_scheduler_active || groupSettings.payment_mode_active) return 0;
+  const now = localTime(groupSettings.timezone);
+  if (now.hour >= SLOT_RECLAIM_LAST_HOUR) return 0;
+  const today = localDate(groupSettings.timezone);
+
+  // سحب توزيعات اليوم التي لم يضغط صاحبها "تم الاستخدام" ولا "توقف مؤقت" حتى الساعة المحددة
+  // وبعد SLOT_RECLAIM_MIN_HOURS على الأقل من ظهورها له
+  // (الأكواد المرحّلة من الأمس لا تُسحب: presented_at قبل اليوم، وما أُعطي بعد الساعة لا يُسحب مرة أخرى)
+  if (reclaimHour !== null && reclaimHour !== undefined && now.hour >= reclaimHour) {
+    const stale = await q(
+      `UPDATE code_view_assignments a SET cancelled=true, cancel_reason='reclaimed'
+       FROM codes c JOIN users o ON c.owner_id = o.id, users v
+       WHERE a.code_id = c.id AND o.group_id=$1 AND c.status='active' AND v.id = a.assigned_to_user_id
+         AND a.assigned_date=$2 AND (a.presented_at AT TIME ZONE $3)::date = $2::date
+         AND EXTRACT(HOUR FROM a.presented_at AT TIME ZONE $3) < $4
+         AND a.presented_at <= NOW() - make_interval(hours => $5)
+         AND a.used=false AND a.marked_unused=false AND a.cancelled=false
+       RETURNING v.telegram_id, c.code_text`,
+      [groupId, today, groupSettings.timezone, reclaimHour, SLOT_RECLAIM_MIN_HOURS]
+    );
+    if (stale.rowCount > 0) {
+      // الكود ظهر للمستخدم في /اكواد_اليوم، فنبلغه حتى لا يستخدمه بعد سحبه (كما في الأكواد المنتهية)
+      await enqueueMessages(stale.rows.map(row => ({
+        chatId: row.telegram_id,
+        text: `♻️ تم سحب الكود ${row.code_text} من أكوادك اليوم لعدم التفاعل معه حتى الساعة ${reclaimHour}:00\n\n` +
+          `✅ لا تستخدمه، ولن تُحتسب عليك أي عقوبة بسببه\n\n` +
+          `اكتب /اكواد_اليوم للمتابعة.`,
+      })), "slot_reclaimed");
+      console.log(`♻️ Group ${groupId}: reclaimed ${stale.rowCount} untouched assignments (after ${reclaimHour}:00)`);
+    }
+  }
+
+  // الأكواد التي وُزعت اليوم وعدد مقاعدها الحية أقل من المطلوب
+  const codesRes = await q(
+    `SELECT c.id, c.owner_id, COALESCE(c.views_per_day, $4) AS views,
+            COUNT(a.id) FILTER (WHERE a.cancelled=false) AS live
+     FROM codes c
+     JOIN users o ON c.owner_id = o.id
+     JOIN code_view_assignments a ON a.code_id = c.id
+     WHERE o.group_id=$1 AND o.status='active' AND c.status='active'
+     GROUP BY c.id, c.owner_id, c.views_per_day
+     HAVING bool_or(a.assigned_date=$2 AND (a.presented_at AT TIME ZONE $3)::date = $2::date)
+        AND COUNT(a.id) FILTER (WHERE a.cancelled=false) < COALESCE(c.views_per_day, $4)`,
+    [groupId, today, groupSettings.timezone, groupSettings.daily_codes_limit]
+  );
+  if (codesRes.rowCount === 0) return 0;
+
+  const usersRes = await q(`SELECT id FROM users WHERE group_id=$1 AND is_active=true AND status='active'`, [groupId]);
+  const allUserIds = usersRes.rows.map(r => r.id);
+
+  // كل من رأى أكواد المالك (بما فيهم من سُحب منه التوزيع)
+  const seenRes = await q(
+    `SELECT DISTINCT cc.owner_id, a.assigned_to_user_id
+     FROM code_view_assignments a
+     JOIN codes cc ON a.code_id = cc.id
+     WHERE cc.owner_id = ANY($1::uuid[])`,
+    [[...new Set(codesRes.rows.map(c => c.owner_id))]]
+  );
+  const seenByOwner = new Map();
+  for (const row of seenRes.rows) {
+    if (!seenByOwner.has(row.owner_id)) seenByOwner.set(row.owner_id, new Set());
+    seenByOwner.get(row.owner_id).add(row.assigned_to_user_id);
+  }
+
+  const loadRes = await q(
+    `SELECT a.assigned_to_user_id, COUNT(*) AS cnt
+     FROM code_view_assignments a
+     JOIN users u ON a.assigned_to_user_id = u.id
+     WHERE u.group_id = $1 AND a.assigned_date = $2 AND a.cancelled = false
+     GROUP BY a.assigned_to_user_id`,
+    [groupId, today]
+  );
+  const load = new Map(allUserIds.map(uid => [uid, 0]));
+  for (const row of loadRes.rows) {
+    if (load.has(row.assigned_to_user_id)) load.set(row.assigned_to_user_id, parseInt(row.cnt, 10));
+  }
+  const cap = groupSettings.daily_user_cap || Infinity;
+
+  const assignCodeIds = [];
+  const assignUserIds = [];
+  for (const c of shuffle([...codesRes.rows])) {
+    const missing = c.views - parseInt(c.live, 10);
+    if (!seenByOwner.has(c.owner_id)) seenByOwner.set(c.owner_id, new Set());
+    const seen = seenByOwner.get(c.owner_id);
+
+    const candidates = shuffle(allUserIds.filter(uid => uid !== c.owner_id && !seen.has(uid) && load.get(uid) < cap));
+    candidates.sort((a, b) => load.get(a) - load.get(b));
+    for (const uid of candidates.slice(0, missing)) {
+      assignCodeIds.push(c.id);
+      assignUserIds.push(uid);
+      seen.add(uid);
+      load.set(uid, load.get(uid) + 1);
+    }
+  }
+  if (assignCodeIds.length === 0) return 0;
+
+  await withTransaction(async (tq) => {
+    for (let i = 0; i < assignCodeIds.length; i += DISTRIBUTION_INSERT_CHUNK) {
+      await tq(
+        `INSERT INTO code_view_assignments (code_id, assigned_to_user_id, assigned_date, presented_at, used, verified)
+         SELECT code_id, user_id, $3, NOW(), false, false
+         FROM unnest($1::uuid[], $2::uuid[]) AS t(code_id, user_id)`,
+        [assignCodeIds.slice(i, i + DISTRIBUTION_INSERT_CHUNK), assignUserIds.slice(i, i + DISTRIBUTION_INSERT_CHUNK), today]
+      );
+    }
+  });
+  incMetric("bot_slots_reassigned_total", {}, assignCodeIds.length);
+
+  const recipients = await q(`SELECT telegram_id FROM users WHERE id = ANY($1::uuid[])`, [[...new Set(assignUserIds)]]);
+  await enqueueMessages(recipients.rows.map(row => ({
+    chatId: row.telegram_id,
+    text: `📦 وصلك كود إضافي اليوم!\n\nاكتب /اكواد_اليوم للحصول عليه\n⚠️ المهلة: حتى منتصف الليل`,
+  })), "slot_reassigned");
+
+  console.log(`♻️ Group ${groupId}: reassigned ${assignCodeIds.length} view slots across ${codesRes.rowCount} codes`);
+  return assignCodeIds.length;
+}
+
 // 🆕 دالة التأكيد التلقائي عند بداية التوزيع
-async function autoConfirmPendingVerifications() {
-  console.log("🔄 Auto-confirming pending verifications...");
+async function autoConfirmPendingVerifications(groupId) {
+  console.log(`🔄 Auto-confirming pending verifications for group ${groupId}...`);
   try {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayStr = yesterday.toISOString().slice(0, 10);
+    const yesterdayStr = await getGroupToday(groupId, -1);
     
-    // الحصول على جميع الأكواد التي لم يتم التأكيد عليها من الأمس
+    // الحصول على جميع الأكواد التي لم يتم التأكيد عليها من الأمس (لأصحاب الأكواد في هذه المجموعة)
     const unverifiedAssignments = await q(
-      `SELECT DISTINCT c.owner_id, u.telegram_id
+      `SELECT c.owner_id, u.telegram_id, u.auto_name, array_agg(a.id) AS assignment_ids
        FROM code_view_assignments a
        JOIN codes c ON a.code_id = c.id
        JOIN users u ON c.owner_id = u.id
-       WHERE a.assigned_date = $1 AND a.used = true AND a.verified = false`,
-      [yesterdayStr]
+       WHERE a.assigned_date = $1 AND a.used = true AND a.verified = false AND u.group_id = $2 AND u.status = 'active'
+         AND NOT EXISTS (SELECT 1 FROM claim_disputes d WHERE d.assignment_id = a.id)
+       GROUP BY c.owner_id, u.telegram_id, u.auto_name`,
+      [yesterdayStr, groupId]
     );
     
     // تأكيد جميع الأكواد تلقائياً
     await q(
-      `UPDATE code_view_assignments 
-       SET verified = true 
-       WHERE assigned_date = $1 AND used = true AND verified = false`,
-      [yesterdayStr]
+      `UPDATE code_view_assignments a
+       SET verified = true
+       FROM codes c JOIN users u ON c.owner_id = u.id
+       WHERE a.code_id = c.id AND u.group_id = $2
+         AND a.assigned_date = $1 AND a.used = true AND a.verified = false
+         AND NOT EXISTS (SELECT 1 FROM claim_disputes d WHERE d.assignment_id = a.id)`,
+      [yesterdayStr, groupId]
     );
     
     console.log(`✅ Auto-confirmed ${unverifiedAssignments.rowCount} pending verifications`);
     
-    // تطبيق عقوبات على من لم يؤكد
+    // تطبيق عقوبات على من لم يؤكد حسب سلم العقوبات
     for (const row of unverifiedAssignments.rows) {
-      const ownerId = row.owner_id;
-      const ownerTelegramId = row.telegram_id;
-      
-      // التحقق من عقوبات التأكيد السابقة
-      const existingPenalty = await q(
-        `SELECT no_confirmation_count FROM confirmation_penalties WHERE user_id=$1`,
-        [ownerId]
-      );
-      
-      let noConfirmCount = 1;
-      if (existingPenalty.rowCount > 0) {
-        noConfirmCount = existingPenalty.rows[0].no_confirmation_count + 1;
-        await q(
-          `UPDATE confirmation_penalties SET no_confirmation_count=$1, last_missed=NOW() WHERE user_id=$2`,
-          [noConfirmCount, ownerId]
-        );
-      } else {
-        await q(
-          `INSERT INTO confirmation_penalties (user_id, no_confirmation_count, last_missed) VALUES ($1, 1, NOW())`,
-          [ownerId]
-        );
-      }
-      
-      // تطبيق العقوبة
-      let penaltyMessage = "";
-      if (noConfirmCount === 1) {
-        // حجب الأكواد ليوم واحد
-        await q(
-          `UPDATE codes SET status='suspended', suspension_until=(NOW() + INTERVAL '1 day')
-           WHERE owner_id=$1 AND status='active'`,
-          [ownerId]
-        );
-        penaltyMessage = `⚠️ لم تقم بتأكيد من استخدم أكوادك أمس!\n\n` +
-          `🚫 العقوبة: حجب أكوادك لمدة يوم واحد\n\n` +
-          `⚠️ هذه المرة الأولى - كن حذراً!\n` +
-          `💡 يجب تأكيد الأكواد يومياً عبر زر "✅ تأكيد الاستخدام"`;
-      } else if (noConfirmCount === 2) {
-        // حجب الأكواد ليومين
-        await q(
-          `UPDATE codes SET status='suspended', suspension_until=(NOW() + INTERVAL '2 days')
-           WHERE owner_id=$1 AND status='active'`,
-          [ownerId]
-        );
-        penaltyMessage = `⚠️ لم تقم بتأكيد من استخدم أكوادك مرة ثانية!\n\n` +
-          `🚫 العقوبة: حجب أكوادك لمدة يومين\n\n` +
-          `⚠️ هذا تحذير نهائي!\n` +
-          `💡 المرة القادمة = حذف الحساب نهائياً`;
-      } else if (noConfirmCount >= 3) {
-        // حذف المستخدم نهائياً
-        await q(`DELETE FROM codes WHERE owner_id=$1`, [ownerId]);
-        await q(`DELETE FROM code_view_assignments WHERE assigned_to_user_id=$1`, [ownerId]);
-        await q(`DELETE FROM confirmation_penalties WHERE user_id=$1`, [ownerId]);
-        await q(`DELETE FROM verification_penalties WHERE user_id=$1`, [ownerId]);
-        await q(`DELETE FROM user_penalties WHERE user_id=$1`, [ownerId]);
-        await q(`DELETE FROM users WHERE id=$1`, [ownerId]);
-        
-        penaltyMessage = `🚫 تم حذف حسابك نهائياً من البوت!\n\n` +
-          `❌ السبب: عدم تأكيد الأكواد 3 مرات\n\n` +
-          `⚠️ تم حذف جميع أكوادك وحسابك\n` +
-          `💡 لا يمكنك التسجيل مرة أخرى`;
-      }
-      
-      // إرسال رسالة للمستخدم
+      const ownerUser = { id: row.owner_id, telegram_id: row.telegram_id, auto_name: row.auto_name, group_id: groupId };
       try {
-        await bot.telegram.sendMessage(ownerTelegramId, penaltyMessage);
-      } catch (e) {
-        console.log(`Could not send no-confirmation penalty to ${ownerTelegramId}`);
+        await applyPenalty("no_confirmation_penalty", "no_confirmation", ownerUser, {
+          details: { date: yesterdayStr, assignment_ids: row.assignment_ids },
+        });
+      } catch (err) {
+        console.error(`❌ no_confirmation penalty for ${row.owner_id}:`, err.message);
       }
     }
   } catch (err) {
@@ -2139,18 +5441,20 @@ async function autoConfirmPendingVerifications() {
   }
 }
 
-async function handleUnusedCodes() {
-  console.log("🔍 Checking for unused codes...");
+async function handleUnusedCodes(groupId) {
+  console.log(`🔍 Checking for unused codes in group ${groupId}...`);
   try {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayStr = yesterday.toISOString().slice(0, 10);
-    const today = new Date().toISOString().slice(0, 10);
+    const groupSettings = await getGroupSettings(groupId);
+    const yesterdayStr = localDate(groupSettings.timezone, -1);
+    const today = localDate(groupSettings.timezone);
 
     const unusedYesterday = await q(
-      `SELECT DISTINCT a.assigned_to_user_id FROM code_view_assignments a 
-       WHERE a.assigned_date=$1 AND a.used=false`,
-      [yesterdayStr]
+      `SELECT a.assigned_to_user_id, u.telegram_id, u.auto_name, array_agg(a.id) AS assignment_ids
+       FROM code_view_assignments a 
+       JOIN users u ON a.assigned_to_user_id = u.id
+       WHERE a.assigned_date=$1 AND a.used=false AND a.cancelled=false AND u.group_id=$2 AND u.status='active'
+       GROUP BY a.assigned_to_user_id, u.telegram_id, u.auto_name`,
+      [yesterdayStr, groupId]
     );
 
     for (const row of unusedYesterday.rows) {
@@ -2166,35 +5470,18 @@ async function handleUnusedCodes() {
         await q(
           `UPDATE code_view_assignments 
            SET assigned_date=$1, reminder_sent=false 
-           WHERE assigned_to_user_id=$2 AND assigned_date=$3 AND used=false`,
+           WHERE assigned_to_user_id=$2 AND assigned_date=$3 AND used=false AND cancelled=false`,
           [today, userId, yesterdayStr]
         );
         console.log(`📅 Moved unused codes for user ${userId} to today`);
       }
 
-      const penalty = await q(
-        `SELECT id, missed_days FROM user_penalties WHERE user_id=$1 ORDER BY created_at DESC LIMIT 1`,
-        [userId]
-      );
-
-      if (penalty.rowCount > 0) {
-        const missedDays = penalty.rows[0].missed_days + 1;
-        await q(`UPDATE user_penalties SET missed_days=$1, penalty_date=CURRENT_DATE WHERE id=$2`, [missedDays, penalty.rows[0].id]);
-        
-        if (missedDays >= 2) {
-          await q(
-            `UPDATE codes SET status='suspended' 
-             WHERE owner_id=$1 AND status='active'`,
-            [userId]
-          );
-          await q(`UPDATE user_penalties SET codes_deleted=true WHERE id=$1`, [penalty.rows[0].id]);
-          console.log(`❌ Suspended codes for user ${userId} (2 days penalty)`);
-        }
-      } else {
-        await q(
-          `INSERT INTO user_penalties (user_id, missed_days, penalty_date) VALUES ($1, 1, CURRENT_DATE)`,
-          [userId]
-        );
+      try {
+        await applyPenalty("midnight_penalties", "missed_day",
+          { id: userId, telegram_id: row.telegram_id, auto_name: row.auto_name, group_id: groupId },
+          { details: { date: yesterdayStr, assignment_ids: row.assignment_ids } });
+      } catch (err) {
+        console.error(`❌ missed_day penalty for ${userId}:`, err.message);
       }
     }
   } catch (err) {
@@ -2202,17 +5489,17 @@ async function handleUnusedCodes() {
   }
 }
 
-async function sendMotivationalReminders() {
-  console.log("📢 Sending motivational reminders...");
+async function sendMotivationalReminders(groupId) {
+  console.log(`📢 Sending motivational reminders for group ${groupId}...`);
   try {
-    const today = new Date().toISOString().slice(0, 10);
+    const today = await getGroupToday(groupId);
     
     const incompleteUsers = await q(
       `SELECT DISTINCT u.telegram_id, a.assigned_to_user_id 
        FROM code_view_assignments a 
        JOIN users u ON a.assigned_to_user_id = u.id 
-       WHERE a.assigned_date=$1 AND a.used=false AND a.reminder_sent=false`,
-      [today]
+       WHERE a.assigned_date=$1 AND a.used=false AND a.cancelled=false AND a.reminder_sent=false AND u.group_id=$2 AND u.is_active=true AND u.status='active'`,
+      [today, groupId]
     );
 
     const messages = [
@@ -2223,23 +5510,17 @@ async function sendMotivationalReminders() {
       "✨ خطوة صغيرة كل يوم = نجاح كبير!"
     ];
 
-    for (const row of incompleteUsers.rows) {
-      try {
-        const randomMsg = messages[Math.floor(Math.random() * messages.length)];
-        await bot.telegram.sendMessage(row.telegram_id, `${randomMsg}\n\nاكتب /اكواد_اليوم للمتابعة.`);
-        
-        await q(
-          `UPDATE code_view_assignments SET reminder_sent=true 
-           WHERE assigned_to_user_id=$1 AND assigned_date=$2 AND used=false`,
-          [row.assigned_to_user_id, today]
-        );
-        
-        await new Promise(r => setTimeout(r, 100));
-      } catch (err) {
-        console.error(`❌ Failed to send reminder to ${row.telegram_id}`);
-      }
-    }
-    console.log(`✅ Sent ${incompleteUsers.rowCount} reminders`);
+    const queued = await enqueueMessages(incompleteUsers.rows.map(row => ({
+      chatId: row.telegram_id,
+      text: `${messages[Math.floor(Math.random() * messages.length)]}\n\nاكتب /اكواد_اليوم للمتابعة.`,
+    })), "motivational_reminder");
+
+    await q(
+      `UPDATE code_view_assignments SET reminder_sent=true 
+       WHERE assigned_to_user_id = ANY($1::uuid[]) AND assigned_date=$2 AND used=false`,
+      [incompleteUsers.rows.map(row => row.assigned_to_user_id), today]
+    );
+    console.log(`✅ Queued ${queued} reminders`);
   } catch (err) {
     console.error("❌ sendMotivationalReminders:", err.message);
   }
@@ -2259,155 +5540,201 @@ async function reactivateSuspendedCodes() {
 }
 
 // ==================== CRON JOBS ====================
+// المهام ذات الساعة الثابتة (9 صباحاً، 8 مساءً، منتصف الليل...) تعمل كل 15 دقيقة
+// وتختار المجموعات التي وصل توقيتها المحلي لتلك الساعة (كل المناطق الزمنية فروقها مضاعفات 15 دقيقة)
+
+// كل نسخة من البوت تُسجل كل تنفيذ في cron_job_runs قبل البدء
+// أول نسخة تُدخل السطر (job_name, occurrence) تنفذ المهمة والباقي يتخطاها
+
+function scheduleJob(jobName, expression, fn) {
+  cron.schedule(expression, async () => {
+    const occurrence = new Date();
+    occurrence.setSeconds(0, 0);
+
+    let claim;
+    try {
+      claim = await q(
+        `INSERT INTO cron_job_runs (job_name, occurrence, instance_id) VALUES ($1, $2, $3)
+         ON CONFLICT (job_name, occurrence) DO NOTHING`,
+        [jobName, occurrence, INSTANCE_ID]
+      );
+    } catch (err) {
+      console.error(`❌ Could not claim job ${jobName}:`, err.message);
+      return;
+    }
+    if (claim.rowCount === 0) {
+      console.log(`⏭️ Skipping ${jobName} @ ${occurrence.toISOString()} - claimed by another instance`);
+      return;
+    }
+
+    let status = "done";
+    let error = null;
+    const startedAt = Date.now();
+    try {
+      await fn();
+    } catch (err) {
+      status = "failed";
+      error = err.message;
+      console.error(`❌ Job ${jobName} failed:`, err);
+    }
+    observeJobDuration(jobName, (Date.now() - startedAt) / 1000);
+    incMetric("bot_cron_job_runs_total", { job: jobName, status });
+    try {
+      await q(
+        `UPDATE cron_job_runs SET status=$1, error=$2, finished_at=NOW() WHERE job_name=$3 AND occurrence=$4`,
+        [status, error, jobName, occurrence]
+      );
+    } catch (err) {
+      console.error(`❌ Could not record job ${jobName}:`, err.message);
+    }
+  });
+}
 
-// 1️⃣ رسالة صباحية (9 صباحاً)
-cron.schedule("0 9 * * *", async () => {
+// 1️⃣ رسالة صباحية (9 صباحاً بتوقيت المجموعة)
+scheduleJob("morning_reminders", "*/15 * * * *", async () => {
   try {
+    const groups = await getGroupsAtLocalTime(9);
+    if (groups.length === 0) return;
     console.log("📢 Sending morning reminders...");
-    const users = await q(`SELECT telegram_id FROM users WHERE verified=true`);
+    const users = await q(`SELECT telegram_id FROM users WHERE verified=true AND is_active=true AND status='active' AND group_id = ANY($1::uuid[])`, [groups.map(g => g.id)]);
     const message = `🌅 صباح الخير!\n\n📦 كود اليوم جاهز\n\nاكتب /اكواد_اليوم للحصول عليه`;
     
-    for (const row of users.rows) {
-      try {
-        await bot.telegram.sendMessage(row.telegram_id, message);
-        await new Promise(r => setTimeout(r, 100));
-      } catch (err) {
-        console.error(`❌ Failed to send morning reminder to ${row.telegram_id}`);
-      }
-    }
-    console.log(`✅ Sent ${users.rowCount} morning reminders`);
+    const queued = await enqueueMessages(users.rows.map(row => ({ chatId: row.telegram_id, text: message })), "morning_reminder");
+    console.log(`✅ Queued ${queued} morning reminders`);
   } catch (err) {
     console.error("❌ Morning reminder error:", err);
+    throw err;
   }
 });
 
-// 2️⃣ رسالة مسائية (8 مساءً)
-cron.schedule("0 20 * * *", async () => {
+// 2️⃣ رسالة مسائية (8 مساءً بتوقيت المجموعة)
+scheduleJob("evening_reminders", "*/15 * * * *", async () => {
   try {
+    const groups = await getGroupsAtLocalTime(20);
+    if (groups.length === 0) return;
     console.log("📢 Sending evening reminders...");
-    const today = new Date().toISOString().slice(0, 10);
-    
-    const incompleteUsers = await q(
-      `SELECT DISTINCT u.telegram_id 
-       FROM code_view_assignments a 
-       JOIN users u ON a.assigned_to_user_id = u.id 
-       WHERE a.assigned_date=$1 AND a.used=false`,
-      [today]
-    );
     
     const message = `⏰ تذكير: هل استخدمت الكود؟\n\n` +
                    `✅ إذا استخدمته: اضغط "تم الاستخدام"\n\n` +
                    `⚠️ المهلة: حتى منتصف الليل`;
     
-    for (const row of incompleteUsers.rows) {
-      try {
-        await bot.telegram.sendMessage(row.telegram_id, message);
-        await new Promise(r => setTimeout(r, 100));
-      } catch (err) {
-        console.error(`❌ Failed to send evening reminder to ${row.telegram_id}`);
-      }
+    for (const group of groups) {
+      const today = localDate(group.timezone);
+      const incompleteUsers = await q(
+        `SELECT DISTINCT u.telegram_id 
+         FROM code_view_assignments a 
+         JOIN users u ON a.assigned_to_user_id = u.id 
+         WHERE a.assigned_date=$1 AND a.used=false AND a.cancelled=false AND u.group_id=$2 AND u.is_active=true AND u.status='active'`,
+        [today, group.id]
+      );
+      
+      const queued = await enqueueMessages(incompleteUsers.rows.map(row => ({ chatId: row.telegram_id, text: message })), "evening_reminder");
+      console.log(`✅ Queued ${queued} evening reminders for group ${group.id}`);
     }
-    console.log(`✅ Sent ${incompleteUsers.rowCount} evening reminders`);
   } catch (err) {
     console.error("❌ Evening reminder error:", err);
+    throw err;
   }
 });
 
-// 3️⃣ رسالة منتصف الليل (12 ص) + معالجة الأكواد غير المستخدمة
-cron.schedule("0 0 * * *", async () => {
+// 3️⃣ رسالة منتصف الليل (12 ص بتوقيت المجموعة) + معالجة الأكواد غير المستخدمة
+scheduleJob("midnight_penalties", "*/15 * * * *", async () => {
   try {
-    console.log("📢 Sending midnight warnings...");
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayStr = yesterday.toISOString().slice(0, 10);
-    
-    const missedUsers = await q(
-      `SELECT DISTINCT u.telegram_id, u.id as user_id, up.missed_days
-       FROM code_view_assignments a 
-       JOIN users u ON a.assigned_to_user_id = u.id
-       LEFT JOIN user_penalties up ON up.user_id = u.id
-       WHERE a.assigned_date=$1 AND a.used=false`,
-      [yesterdayStr]
-    );
+    const groups = await getGroupsAtLocalTime(0);
+    if (groups.length === 0) return;
+    console.log("📢 Applying midnight penalties...");
     
-    for (const row of missedUsers.rows) {
-      try {
-        const missedDays = (row.missed_days || 0) + 1;
-        let message = `❌ فاتك كود اليوم!\n\n`;
-        
-        if (missedDays === 1) {
-          message += `⚠️ هذا اليوم الأول\nيومين آخرين = إيقاف\n\n💡 ضبّط منبه يومياً!`;
-        } else if (missedDays === 2) {
-          message += `⚠️ هذا اليوم الثاني!\n\n🚨 تحذير نهائي\nيوم واحد آخر = حذف الحساب نهائياً`;
-        } else if (missedDays >= 3) {
-          message += `❌ 3 أيام متتالية بدون استخدام\n\n🚫 تم حذف حسابك نهائياً من البوت\n📋 تم حذف جميع أكوادك\n\n⚠️ لإعادة التسجيل: استخدم /تسجيل`;
-          
-          // حذف كامل للمستخدم
-          console.log(`🗑️ Deleting user ${row.user_id} after 3 days penalty`);
-          
-          await q(`DELETE FROM codes WHERE owner_id=$1`, [row.user_id]);
-          await q(`DELETE FROM code_view_assignments WHERE assigned_to_user_id=$1`, [row.user_id]);
-          await q(`DELETE FROM user_penalties WHERE user_id=$1`, [row.user_id]);
-          await q(`DELETE FROM confirmation_penalties WHERE user_id=$1`, [row.user_id]);
-          await q(`DELETE FROM verification_penalties WHERE user_id=$1`, [row.user_id]);
-          await q(`DELETE FROM users WHERE id=$1`, [row.user_id]);
-          
-          console.log(`✅ User ${row.user_id} deleted completely from database`);
-        }
-        
-        await bot.telegram.sendMessage(row.telegram_id, message);
-        await new Promise(r => setTimeout(r, 100));
-      } catch (err) {
-        console.error(`❌ Failed to send midnight warning to ${row.telegram_id}`);
-      }
+    for (const group of groups) {
+      await handleUnusedCodes(group.id);
+      await decayStrikes(group.id);
     }
-    console.log(`✅ Sent ${missedUsers.rowCount} midnight warnings`);
     
-    await handleUnusedCodes();
     await reactivateSuspendedCodes();
   } catch (err) {
     console.error("❌ Midnight warning error:", err);
+    throw err;
   }
 });
 
-// 4️⃣ التوزيع اليومي (يعمل كل دقيقة ويتحقق من وقت كل مجموعة) + التأكيد التلقائي
-cron.schedule("* * * * *", async () => {
+// 4️⃣ التوزيع اليومي (يعمل كل دقيقة ويتحقق من وقت كل مجموعة بتوقيتها المحلي) + التأكيد التلقائي
+scheduleJob("distribution_scheduler", "* * * * *", async () => {
   try {
-    const groups = await q(`SELECT id, send_time, is_scheduler_active FROM groups WHERE is_scheduler_active=true`);
-    const now = new Date();
-    const currentHour = now.getHours();
-    const currentMinute = now.getMinutes();
+    const groups = await q(
+      `SELECT g.id, g.send_time, COALESCE(g.timezone, s.default_timezone, 'UTC') AS timezone
+       FROM groups g LEFT JOIN admin_settings s ON s.id = 1
+       WHERE g.is_scheduler_active=true`
+    );
     
     for (const group of groups.rows) {
       const [targetHour, targetMinute] = group.send_time.split(':').map(Number);
+      const now = localTime(group.timezone);
       
-      if (currentHour === targetHour && currentMinute === targetMinute) {
-        console.log(`🌅 Running distribution for group ${group.id} at ${group.send_time}`);
+      if (now.hour === targetHour && now.minute === targetMinute) {
+        console.log(`🌅 Running distribution for group ${group.id} at ${group.send_time} (${group.timezone})`);
         
         // 🆕 التأكيد التلقائي أولاً
-        await autoConfirmPendingVerifications();
+        await autoConfirmPendingVerifications(group.id);
         
         // ثم التوزيع
-        await runDailyDistribution();
-        break;
+        await runDailyDistribution(group.id);
       }
     }
   } catch (err) {
     console.error("❌ Scheduler error:", err);
+    throw err;
   }
 });
 
-// 5️⃣ رسائل تحفيزية (6 مساءً)
-cron.schedule("0 18 * * *", async () => {
+// 5️⃣ رسائل تحفيزية (6 مساءً بتوقيت المجموعة)
+scheduleJob("motivational_reminders", "*/15 * * * *", async () => {
   try {
-    await sendMotivationalReminders();
+    const groups = await getGroupsAtLocalTime(18);
+    for (const group of groups) {
+      await sendMotivationalReminders(group.id);
+    }
   } catch (err) {
     console.error("❌ Motivational reminder error:", err);
+    throw err;
+  }
+});
+
+// 🧾 حسم نزاعات الاعتراض التي انتهت مهلتها بدون إثبات
+scheduleJob("dispute_timeouts", "*/15 * * * *", async () => {
+  try {
+    const result = await expireDisputes();
+    if (result.expired > 0 || result.voided > 0) {
+      console.log(`🧾 Disputes: ${result.expired} resolved by timeout, ${result.voided} voided`);
+    }
+  } catch (err) {
+    console.error("❌ Dispute timeout error:", err);
+    throw err;
+  }
+});
+
+// ♻️ إعادة توزيع المقاعد الضائعة خلال اليوم (كل 15 دقيقة)
+scheduleJob("slot_reclamation", "*/15 * * * *", async () => {
+  try {
+    const s = await getAdminSettings();
+    const groups = await q(`SELECT id FROM groups WHERE is_scheduler_active=true AND payment_mode_active=false`);
+    // فشل مجموعة لا يوقف الباقي، لكن التشغيل يُسجل failed في cron_job_runs
+    let failed = 0;
+    for (const group of groups.rows) {
+      try {
+        await reclaimViewSlots(group.id, s.slot_reclaim_hour);
+      } catch (err) {
+        failed++;
+        console.error(`❌ Slot reclamation failed for group ${group.id}:`, err.message);
+      }
+    }
+    if (failed > 0) throw new Error(`Slot reclamation failed for ${failed} of ${groups.rowCount} groups`);
+  } catch (err) {
+    console.error("❌ Slot reclamation error:", err);
+    throw err;
   }
 });
 
 // 6️⃣ بدء دورة جديدة (أول كل شهر - 1 صباحاً)
-cron.schedule("0 1 1 * *", async () => {
+scheduleJob("new_cycle", "0 1 1 * *", async () => {
   try {
     console.log("🔄 بدء دورة جديدة...");
     await q("DELETE FROM code_view_assignments");
@@ -2415,37 +5742,39 @@ cron.schedule("0 1 1 * *", async () => {
     await q("DELETE FROM user_penalties");
     await q("DELETE FROM confirmation_penalties");
     await q("DELETE FROM verification_penalties");
+    await q("DELETE FROM report_penalties");
     console.log("✅ تم مسح البيانات وبدء دورة جديدة");
   } catch (err) {
     console.error("❌ خطأ دورة جديدة:", err);
+    throw err;
   }
 });
 
-// 7️⃣ رسائل يومية للجروب (9 مساءً) - تقرير يومي
-cron.schedule("0 21 * * *", async () => {
+// 7️⃣ رسائل يومية للجروب (9 مساءً بتوقيت المجموعة) - تقرير يومي
+scheduleJob("group_reports", "*/15 * * * *", async () => {
   try {
+    const groups = (await getGroupsAtLocalTime(21)).filter(g => g.telegram_group_chat_id);
+    if (groups.length === 0) return;
     console.log("📢 Sending daily group reports...");
-    const today = new Date().toISOString().slice(0, 10);
     
-    const groups = await q(`SELECT id, telegram_group_chat_id, name FROM groups WHERE telegram_group_chat_id IS NOT NULL`);
-    
-    for (const group of groups.rows) {
-      if (!group.telegram_group_chat_id) continue;
+    let failed = 0;
+    for (const group of groups) {
+      const today = localDate(group.timezone);
       
       try {
-        const totalUsers = await q(`SELECT COUNT(*) FROM users WHERE group_id=$1`, [group.id]);
+        const totalUsers = await q(`SELECT COUNT(*) FROM users WHERE group_id=$1 AND status='active'`, [group.id]);
         const completedToday = await q(
           `SELECT COUNT(DISTINCT a.assigned_to_user_id) 
            FROM code_view_assignments a 
            JOIN users u ON a.assigned_to_user_id = u.id 
-           WHERE u.group_id=$1 AND a.assigned_date=$2 AND a.used=true`,
+           WHERE u.group_id=$1 AND u.status='active' AND a.assigned_date=$2 AND a.used=true`,
           [group.id, today]
         );
         const incompleteToday = await q(
           `SELECT u.auto_name
            FROM code_view_assignments a 
            JOIN users u ON a.assigned_to_user_id = u.id 
-           WHERE u.group_id=$1 AND a.assigned_date=$2 AND a.used=false
+           WHERE u.group_id=$1 AND a.assigned_date=$2 AND a.used=false AND a.cancelled=false
            GROUP BY u.id, u.auto_name
            ORDER BY u.auto_name
            LIMIT 10`,
@@ -2478,61 +5807,58 @@ cron.schedule("0 21 * * *", async () => {
           message += `🎉 ممتاز! الجميع أكمل أكواده اليوم! 🔥`;
         }
         
-        await bot.telegram.sendMessage(group.telegram_group_chat_id, message);
-        console.log(`✅ Sent daily report to group ${group.id}`);
-        await new Promise(r => setTimeout(r, 200));
+        await enqueueMessage(group.telegram_group_chat_id, message, {}, "group_report");
+        console.log(`✅ Queued daily report for group ${group.id}`);
       } catch (err) {
+        failed++;
         console.error(`❌ Failed to send to group ${group.id}:`, err.message);
       }
     }
-    console.log(`✅ Sent daily reports to ${groups.rowCount} groups`);
+    if (failed > 0) throw new Error(`Daily report failed for ${failed} of ${groups.length} groups`);
+    console.log(`✅ Queued daily reports for ${groups.length} groups`);
   } catch (err) {
     console.error("❌ Daily group report error:", err);
+    throw err;
   }
 });
 
-// 8️⃣ تحقق تلقائي من الدفعات (كل يوم الساعة 10 صباحاً)
-cron.schedule("0 10 * * *", async () => {
+// 8️⃣ تحقق تلقائي من الدفعات (كل يوم الساعة 10 صباحاً بتوقيت المجموعة)
+scheduleJob("payment_reminders", "*/15 * * * *", async () => {
   try {
+    const groups = await getGroupsAtLocalTime(10);
+    if (groups.length === 0) return;
     console.log("💰 Checking payment reminders...");
-    const groups = await q(`SELECT id, payment_day, last_payment_reminder FROM groups`);
-    const now = new Date();
-    const currentDay = now.getDate();
-    const currentMonth = now.toISOString().slice(0, 7);
     
-    for (const group of groups.rows) {
+    for (const group of groups) {
+      const currentDay = localTime(group.timezone).day;
+      const currentMonth = localDate(group.timezone).slice(0, 7);
       const paymentDay = group.payment_day || 1;
       
       // إرسال التذكير في يوم الدفع
       if (currentDay === paymentDay) {
         const lastReminder = group.last_payment_reminder ? new Date(group.last_payment_reminder) : null;
-        const sameMonth = lastReminder && lastReminder.toISOString().slice(0, 7) === currentMonth;
+        const sameMonth = lastReminder && localMonth(group.timezone, lastReminder) === currentMonth;
         
         if (!sameMonth) {
           console.log(`📢 Sending payment reminder for group ${group.id}`);
-          const users = await q(`SELECT telegram_id, auto_name FROM users WHERE group_id=$1`, [group.id]);
+          const users = await q(`SELECT telegram_id, auto_name FROM users WHERE group_id=$1 AND is_active=true AND status='active'`, [group.id]);
           
-          let success = 0;
+          const reminders = [];
           for (const user of users.rows) {
-            try {
-              const cronKeyboard = await getDynamicKeyboard(user.telegram_id);
-              await bot.telegram.sendMessage(user.telegram_id, 
-                `💰 تذكير دفع الاشتراك الشهري\n\n` +
+            reminders.push({
+              chatId: user.telegram_id,
+              text: `💰 تذكير دفع الاشتراك الشهري\n\n` +
                 `📅 الشهر: ${currentMonth}\n` +
                 `👤 ${user.auto_name}\n\n` +
                 `📸 يرجى إرسال إثبات الدفع عبر زر "📸 إرسال إثبات الدفع"\n\n` +
                 `⚠️ عدم الدفع خلال يومين سيؤدي لتحذير نهائي`,
-                cronKeyboard
-              );
-              success++;
-              await new Promise(r => setTimeout(r, 100));
-            } catch (e) {
-              console.error(`Failed to send payment reminder to ${user.telegram_id}`);
-            }
+              extra: await getDynamicKeyboard(user.telegram_id),
+            });
           }
+          const queued = await enqueueMessages(reminders, "payment_reminder");
           
           await q(`UPDATE groups SET last_payment_reminder=NOW() WHERE id=$1`, [group.id]);
-          console.log(`✅ Sent payment reminder to ${success} users in group ${group.id}`);
+          console.log(`✅ Queued payment reminder for ${queued} users in group ${group.id}`);
         }
       }
       
@@ -2541,29 +5867,23 @@ cron.schedule("0 10 * * *", async () => {
       if (currentDay === twoDaysAfter) {
         console.log(`⚠️ Checking non-payers for group ${group.id}`);
         const nonPayers = await q(`
-          SELECT u.id, u.telegram_id, u.auto_name, u.phone
+          SELECT u.id, u.telegram_id, u.auto_name, u.phone, u.is_active
           FROM users u
           LEFT JOIN payments p ON p.user_id = u.id AND p.payment_month = $1
-          WHERE u.group_id = $2 AND (p.id IS NULL OR p.proof_sent = false)
+          WHERE u.group_id = $2 AND u.status = 'active' AND (p.id IS NULL OR p.proof_sent = false)
         `, [currentMonth, group.id]);
         
         if (nonPayers.rowCount > 0) {
           // إرسال تحذير للمستخدمين
-          for (const user of nonPayers.rows) {
-            try {
-              await bot.telegram.sendMessage(user.telegram_id, 
-                `⚠️ تحذير نهائي - عدم الدفع\n\n` +
-                `👤 ${user.auto_name}\n` +
-                `📅 الشهر: ${currentMonth}\n\n` +
-                `🚨 لم نستلم إثبات الدفع منك حتى الآن\n\n` +
-                `📸 يرجى إرسال إثبات الدفع فوراً عبر زر "📸 إرسال إثبات الدفع"\n\n` +
-                `⛔ عدم الدفع قد يؤدي لحظر حسابك`
-              );
-              await new Promise(r => setTimeout(r, 100));
-            } catch (e) {
-              console.error(`Failed to warn ${user.telegram_id}`);
-            }
-          }
+          await enqueueMessages(nonPayers.rows.filter(user => user.is_active).map(user => ({
+            chatId: user.telegram_id,
+            text: `⚠️ تحذير نهائي - عدم الدفع\n\n` +
+              `👤 ${user.auto_name}\n` +
+              `📅 الشهر: ${currentMonth}\n\n` +
+              `🚨 لم نستلم إثبات الدفع منك حتى الآن\n\n` +
+              `📸 يرجى إرسال إثبات الدفع فوراً عبر زر "📸 إرسال إثبات الدفع"\n\n` +
+              `⛔ عدم الدفع قد يؤدي لحظر حسابك`,
+          })), "nonpayer_warning");
           
           // إرسال قائمة للأدمن
           let adminMsg = `⚠️ قائمة من لم يدفع - Group ${group.id.toString().slice(0, 8)}\n`;
@@ -2579,25 +5899,1048 @@ cron.schedule("0 10 * * *", async () => {
           adminMsg += `/banuser <name> عدم الدفع - لحظر مستخدم\n`;
           adminMsg += `/warn_nonpayers - لإرسال تحذير إضافي`;
           
-          try {
-            await bot.telegram.sendMessage(ADMIN_ID, adminMsg);
-            console.log(`✅ Sent non-payers list to admin for group ${group.id}`);
-          } catch (e) {
-            console.error("Failed to send non-payers list to admin");
+          for (const adminId of getAdminRecipients(PERM.GROUP_PAYMENTS, group.id)) {
+            try {
+              await bot.telegram.sendMessage(adminId, adminMsg);
+              console.log(`✅ Sent non-payers list to admin ${adminId} for group ${group.id}`);
+            } catch (e) {
+              console.error(`Failed to send non-payers list to admin ${adminId}`);
+            }
           }
         }
       }
     }
   } catch (err) {
     console.error("❌ Payment reminder error:", err);
+    throw err;
   }
 });
 
+// 9️⃣ تنظيف سجل تنفيذ المهام القديم (يومياً 3:30 صباحاً)
+scheduleJob("cron_runs_cleanup", "30 3 * * *", async () => {
+  const res = await q(`DELETE FROM cron_job_runs WHERE occurrence < NOW() - INTERVAL '7 days'`);
+  console.log(`🧹 Removed ${res.rowCount} old cron run records`);
+});
+
+// 🔟 تنظيف الرسائل المرسلة/الفاشلة القديمة من طابور الإرسال (يومياً 3:45 صباحاً)
+scheduleJob("outbox_cleanup", "45 3 * * *", async () => {
+  const res = await q(
+    `DELETE FROM outbox_messages WHERE status IN ('sent', 'failed') AND created_at < NOW() - INTERVAL '30 days'`
+  );
+  console.log(`🧹 Removed ${res.rowCount} old outbox messages`);
+});
+
+// 1️⃣1️⃣ حذف الحسابات المؤرشفة نهائياً بعد archive_retention_days (يومياً 4:00 صباحاً)
+scheduleJob("archive_retention", "0 4 * * *", async () => {
+  const purged = await purgeExpiredArchives();
+  console.log(`🗑️ Purged ${purged} archived accounts past retention`);
+});
+
+// ==================== ADMIN API ====================
+// واجهة JSON على نفس تطبيق express تحت /api/admin
+// ADMIN_API_TOKENS=token1:111111111,token2:333333333
+//   كل توكن مربوط بأدمن من ADMIN_IDS ويأخذ نفس دوره وصلاحياته ومجموعاته
+
+function parseApiTokens() {
+  const tokens = new Map();
+  const entries = (process.env.ADMIN_API_TOKENS || "").split(",").map(e => e.trim()).filter(Boolean);
+  for (const entry of entries) {
+    const sep = entry.lastIndexOf(":");
+    const token = entry.slice(0, sep);
+    const admin = getAdmin(entry.slice(sep + 1));
+    if (sep < 1 || token.length < 16 || !admin) {
+      console.warn(`⚠️ Ignoring invalid ADMIN_API_TOKENS entry for ${entry.slice(sep + 1) || "?"}`);
+      continue;
+    }
+    tokens.set(token, admin);
+  }
+  return tokens;
+}
+
+const API_TOKENS = parseApiTokens();
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// نفس صلاحيات أوامر تيليجرام: يوم الدفع صلاحية دفع، والباقي إعدادات مجموعة
+function groupSettingPermission(field) {
+  return field === "payment_day" ? PERM.GROUP_PAYMENTS : PERM.GROUP_SETTINGS;
+}
+
+// معرف كامل أو بادئة كما في أوامر تيليجرام
+async function resolveGroupId(idOrPrefix) {
+  if (!/^[0-9a-f-]{1,36}$/i.test(idOrPrefix)) return null;
+  const res = await q(`SELECT id FROM groups WHERE id::text LIKE $1 ORDER BY created_at LIMIT 1`, [`${idOrPrefix.toLowerCase()}%`]);
+  return res.rows[0]?.id || null;
+}
+
+async function getGroupSummaries(groupId = null) {
+  const res = await q(
+    `SELECT g.id, g.name, g.max_users, g.created_at, g.daily_codes_limit, g.distribution_days, g.daily_user_cap,
+            g.send_time, COALESCE(g.timezone, s.default_timezone, 'UTC') AS timezone, g.timezone AS timezone_override,
+            g.is_scheduler_active, g.payment_day, g.payment_mode_active, g.payment_mode_started, g.payment_mode_day,
+            g.telegram_group_chat_id,
+            COALESCE(g.penalties_active, s.penalties_active, true) AS penalties_active, g.penalties_active AS penalties_override,
+            (SELECT COUNT(*)::int FROM users u WHERE u.group_id = g.id AND u.status = 'active') AS users,
+            (SELECT COUNT(*)::int FROM users u WHERE u.group_id = g.id AND u.status = 'active' AND u.is_active = true) AS active_users
+     FROM groups g LEFT JOIN admin_settings s ON s.id = 1
+     WHERE ($1::uuid IS NULL OR g.id = $1)
+     ORDER BY g.created_at`,
+    [groupId]
+  );
+  return res.rows;
+}
+
+function publicUser(u) {
+  return {
+    id: u.id, auto_name: u.auto_name, telegram_id: u.telegram_id, phone: u.phone,
+    binance_username: u.binance_username, group_id: u.group_id, verified: u.verified,
+    is_active: u.is_active, inactive_since: u.inactive_since, created_at: u.created_at,
+    status: u.status, archived_at: u.archived_at, archive_reason: u.archive_reason,
+  };
+}
+
+function mountAdminApi(app) {
+  if (API_TOKENS.size === 0) {
+    console.log("ℹ️ Admin API disabled (ADMIN_API_TOKENS not set)");
+    return;
+  }
+
+  const api = express.Router();
+
+  api.use((req, res, next) => {
+    const header = req.get("authorization") || "";
+    const admin = header.startsWith("Bearer ") ? API_TOKENS.get(header.slice(7).trim()) : null;
+    if (!admin) return res.status(401).json({ error: "unauthorized" });
+    req.admin = admin;
+    next();
+  });
+
+  // يرجع false ويرسل 403 إذا لم تكن الصلاحية متاحة
+  const allow = (req, res, permission, groupId = null) => {
+    if (hasPermission(req.admin, permission, groupId)) return true;
+    console.log(`⛔ API admin ${req.admin.id} (${req.admin.role}) denied ${permission}${groupId ? ` on group ${groupId}` : ""}`);
+    res.status(403).json({ error: "forbidden", permission });
+    return false;
+  };
+
+  // الأخطاء غير المتوقعة من أي مسار async تصل هنا
+  const route = (fn) => (req, res, next) => fn(req, res).catch(next);
+
+  // ---------- Groups ----------
+
+  api.get("/groups", route(async (req, res) => {
+    if (!allow(req, res, PERM.GROUPS_LIST)) return;
+    const groups = (await getGroupSummaries()).filter(g => adminCoversGroup(req.admin, g.id));
+    res.json({ groups });
+  }));
+
+  api.get("/groups/:id", route(async (req, res) => {
+    if (!allow(req, res, PERM.GROUPS_LIST)) return;
+    const groupId = await resolveGroupId(req.params.id);
+    if (!groupId || !adminCoversGroup(req.admin, groupId)) return res.status(404).json({ error: "Group not found" });
+    const [group] = await getGroupSummaries(groupId);
+    res.json({ group });
+  }));
+
+  // كل الحقول تُتحقق أولاً، ولا يُطبق شيء إذا كان أحدها خاطئاً
+  api.patch("/groups/:id", route(async (req, res) => {
+    const groupId = await resolveGroupId(req.params.id);
+    if (!groupId) return res.status(404).json({ error: "Group not found" });
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const fields = Object.keys(body);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: "No settings given", editable: EDITABLE_GROUP_SETTINGS });
+    }
+
+    const changes = {};
+    const errors = {};
+    for (const field of fields) {
+      if (!EDITABLE_GROUP_SETTINGS.includes(field)) {
+        errors[field] = "Unknown or read-only setting";
+        continue;
+      }
+      const parsed = parseGroupSetting(field, body[field]);
+      if (parsed.error) errors[field] = parsed.error;
+      else changes[field] = parsed.value;
+    }
+    if (Object.keys(errors).length > 0) return res.status(400).json({ error: "Invalid settings", fields: errors });
+
+    for (const field of Object.keys(changes)) {
+      if (!allow(req, res, groupSettingPermission(field), groupId)) return;
+    }
+
+    for (const [field, value] of Object.entries(changes)) {
+      await updateGroupSettings(groupId, field, value);
+      const action = field === "is_scheduler_active" ? "group_scheduler_toggle" : "group_settings_update";
+      const details = field === "is_scheduler_active" ? { active: value } : { key: field, value };
+      await logAudit(req.admin, action, { groupId, details: { ...details, via: "api" } });
+    }
+    const [group] = await getGroupSummaries(groupId);
+    res.json({ group });
+  }));
+
+  // ---------- Users ----------
+
+  api.get("/users", route(async (req, res) => {
+    if (!allow(req, res, PERM.USERS)) return;
+    const search = (req.query.q || "").toString().trim();
+    const groupId = req.query.group ? await resolveGroupId(req.query.group.toString()) : null;
+    if (req.query.group && !groupId) return res.status(404).json({ error: "Group not found" });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const users = await q(
+      `SELECT * FROM users
+       WHERE ($1 = '' OR auto_name ILIKE '%' || $1 || '%' OR phone LIKE '%' || $1 || '%'
+              OR telegram_id = $1 OR binance_username ILIKE '%' || $1 || '%' OR id::text = $1)
+         AND ($2::uuid IS NULL OR group_id = $2)
+       ORDER BY created_at DESC LIMIT $3`,
+      [search, groupId, limit]
+    );
+    res.json({ users: users.rows.map(publicUser) });
+  }));
+
+  api.post("/users/:id/ban", route(async (req, res) => {
+    if (!allow(req, res, PERM.USERS)) return;
+    const userData = await findUser(req.params.id);
+    if (!userData) return res.status(404).json({ error: "User not found" });
+    const reason = (req.body?.reason || "").toString().trim() || "مخالفة القواعد";
+    await banUser(userData, reason, req.admin);
+    res.json({ banned: publicUser(userData), reason });
+  }));
+
+  api.post("/users/:id/move", route(async (req, res) => {
+    if (!allow(req, res, PERM.USERS)) return;
+    const userData = await findUser(req.params.id);
+    if (!userData) return res.status(404).json({ error: "User not found" });
+    const groupId = req.body?.group_id ? await resolveGroupId(req.body.group_id.toString()) : null;
+    if (!groupId) return res.status(404).json({ error: "Group not found" });
+
+    const result = await moveUser(userData, groupId, req.admin);
+    if (result.error) return res.status(409).json({ error: result.error });
+    res.json({ user: publicUser(result.user) });
+  }));
+
+  api.post("/users/:id/restore", route(async (req, res) => {
+    if (!allow(req, res, PERM.USERS)) return;
+    const userData = await findArchivedUser(req.params.id);
+    if (!userData) return res.status(404).json({ error: "Archived user not found" });
+    const groupId = req.body?.group_id ? await resolveGroupId(req.body.group_id.toString()) : null;
+    if (req.body?.group_id && !groupId) return res.status(404).json({ error: "Group not found" });
+
+    const result = await restoreUser(userData.id, req.admin, { groupId });
+    if (result.error) return res.status(409).json({ error: result.error });
+    res.json({ user: publicUser(result.user), unbanned: result.unbanned });
+  }));
+
+  // ---------- Payments ----------
+
+  // month=YYYY-MM (افتراضياً الشهر الحالي)، group=معرف أو بادئة
+  api.get("/payments", route(async (req, res) => {
+    const groupId = req.query.group ? await resolveGroupId(req.query.group.toString()) : null;
+    if (req.query.group && !groupId) return res.status(404).json({ error: "Group not found" });
+    if (groupId ? !allow(req, res, PERM.GROUP_PAYMENTS, groupId) : !allow(req, res, PERM.PAYMENTS)) return;
+
+    const month = (req.query.month || localDate((await getAdminSettings()).default_timezone).slice(0, 7)).toString();
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) return res.status(400).json({ error: "Invalid month. Example: 2025-01" });
+
+    const rows = await q(
+      `SELECT u.id, u.auto_name, u.telegram_id, u.phone, u.group_id, u.is_active,
+              COALESCE(p.proof_sent, false) AS paid, p.proof_sent_at
+       FROM users u LEFT JOIN payments p ON p.user_id = u.id AND p.payment_month = $1
+       WHERE ($2::uuid IS NULL OR u.group_id = $2) AND u.status = 'active'
+       ORDER BY u.group_id, u.auto_name`,
+      [month, groupId]
+    );
+    const paid = rows.rows.filter(r => r.paid).length;
+    res.json({ month, group_id: groupId, total: rows.rowCount, paid, unpaid: rows.rowCount - paid, users: rows.rows });
+  }));
+
+  // ---------- Blacklist ----------
+
+  api.get("/blacklist", route(async (req, res) => {
+    if (!allow(req, res, PERM.USERS)) return;
+    const rows = await q(`SELECT phone, telegram_id, reason, banned_by, banned_at FROM blacklist ORDER BY banned_at DESC`);
+    res.json({ blacklist: rows.rows });
+  }));
+
+  api.post("/blacklist", route(async (req, res) => {
+    if (!allow(req, res, PERM.USERS)) return;
+    const phone = (req.body?.phone || "").toString().trim();
+    if (!phone) return res.status(400).json({ error: "phone is required" });
+    const reason = (req.body?.reason || "").toString().trim() || "غير محدد";
+    await addToBlacklist(phone, reason, req.admin);
+    res.status(201).json({ phone, reason });
+  }));
+
+  api.delete("/blacklist/:identifier", route(async (req, res) => {
+    if (!allow(req, res, PERM.USERS)) return;
+    if (!(await removeFromBlacklist(req.params.identifier, req.admin))) {
+      return res.status(404).json({ error: "Not in blacklist" });
+    }
+    res.json({ removed: req.params.identifier });
+  }));
+
+  // ---------- Distribution ----------
+
+  // group_id (اختياري) لتوزيع مجموعة واحدة
+  api.post("/distribution/run", route(async (req, res) => {
+    if (!allow(req, res, PERM.DISTRIBUTE)) return;
+    const groupId = req.body?.group_id ? await resolveGroupId(req.body.group_id.toString()) : null;
+    if (req.body?.group_id && !groupId) return res.status(404).json({ error: "Group not found" });
+
+    console.log(`🔄 Manual distribution started by API admin ${req.admin.id}`);
+    await runDailyDistribution(groupId);
+    await logAudit(req.admin, "distribution_run", { groupId, details: { scope: groupId ? "group" : "all_groups", via: "api" } });
+    res.json({ ok: true, group_id: groupId });
+  }));
+
+  api.use((req, res) => res.status(404).json({ error: "not found" }));
+
+  api.use((err, req, res, next) => {
+    console.error(`❌ Admin API ${req.method} ${req.path}:`, err.message);
+    res.status(500).json({ error: "internal error" });
+  });
+
+  app.use("/api/admin", api);
+  console.log(`🔐 Admin API mounted at /api/admin (${API_TOKENS.size} token(s))`);
+}
+
+// ==================== WEB DASHBOARD ====================
+// لوحة ويب على نفس تطبيق express تحت /dashboard
+// الدخول برابط لمرة واحدة من /admin (صالح 10 دقائق) يفتح جلسة بكوكي HttpOnly لمدة 12 ساعة
+// كل صفحة وكل إجراء يمر على hasPermission بدور الأدمن كما في تيليجرام
+
+const DASHBOARD_LOGIN_TTL_MINUTES = 10;
+const DASHBOARD_SESSION_TTL_HOURS = 12;
+const DASHBOARD_COOKIE = "dash_session";
+const DASHBOARD_LIST_LIMIT = 500;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+async function createDashboardLoginLink(adminId) {
+  await q(`DELETE FROM dashboard_tokens WHERE expires_at < NOW()`);
+  const token = crypto.randomBytes(24).toString("base64url");
+  await q(
+    `INSERT INTO dashboard_tokens (token_hash, kind, admin_id, expires_at)
+     VALUES ($1, 'login', $2, NOW() + $3 * INTERVAL '1 minute')`,
+    [hashToken(token), adminId.toString(), DASHBOARD_LOGIN_TTL_MINUTES]
+  );
+  return `${RENDER_URL.replace(/\/$/, '')}/dashboard/login?t=${token}`;
+}
+
+function readCookie(req, name) {
+  for (const part of (req.get("cookie") || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+function esc(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]));
+}
+
+function fmtDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 16).replace("T", " ") : "—";
+}
+
+function pct(done, total) {
+  return total > 0 ? `${done}/${total} (${Math.round((done / total) * 100)}%)` : "—";
+}
+
+// رابط الصفحة الحالية بدون رسالة النتيجة، للعودة إليها بعد تنفيذ الإجراء
+function currentPath(req) {
+  const url = new URL(req.originalUrl, "http://dashboard");
+  url.searchParams.delete("msg");
+  return url.pathname + url.search;
+}
+
+// زر إجراء: form صغير يرسل إلى /dashboard/action
+function actionForm(req, action, label, { fields = {}, inputs = "", confirm = null } = {}) {
+  const hidden = Object.entries({ csrf: req.csrf, action, back: currentPath(req), ...fields })
+    .map(([name, value]) => `<input type="hidden" name="${esc(name)}" value="${esc(value)}">`).join("");
+  const onsubmit = confirm ? ` onsubmit="return confirm('${esc(confirm)}')"` : "";
+  return `<form method="post" action="/dashboard/action" class="inline"${onsubmit}>${hidden}${inputs}<button>${esc(label)}</button></form>`;
+}
+
+function canSeePayments(admin) {
+  return hasPermission(admin, PERM.PAYMENTS) || ROLE_PERMISSIONS[admin.role].includes(PERM.GROUP_PAYMENTS);
+}
+
+function dashboardPage(req, title, body) {
+  const admin = req.admin;
+  const links = [
+    ["/dashboard", "📦 Groups", hasPermission(admin, PERM.GROUPS_LIST)],
+    ["/dashboard/users", "👥 Users", hasPermission(admin, PERM.USERS)],
+    ["/dashboard/payments", "💰 Payments", canSeePayments(admin)],
+    ["/dashboard/penalties", "⚖️ Penalties", hasPermission(admin, PERM.USERS)],
+    ["/dashboard/blacklist", "🚫 Blacklist", hasPermission(admin, PERM.USERS)],
+  ].filter(([, , visible]) => visible).map(([href, label]) => `<a href="${href}">${label}</a>`).join(" ");
+  const flash = req.query.msg ? `<p class="flash">${esc(req.query.msg)}</p>` : "";
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)} - Admin</title>
+<style>
+body{font-family:system-ui,sans-serif;margin:0 auto;max-width:1200px;padding:12px;color:#222}
+nav{display:flex;gap:12px;align-items:center;flex-wrap:wrap;border-bottom:1px solid #ddd;padding-bottom:8px}
+nav .who{margin-left:auto;color:#666}
+table{border-collapse:collapse;width:100%;margin:8px 0 20px}
+th,td{border:1px solid #ddd;padding:4px 6px;text-align:left;vertical-align:top;font-size:14px}
+th{background:#f4f4f4}
+code{font-size:12px}
+form.inline{display:inline-block;margin:2px}
+input,select,textarea{font:inherit;padding:2px 4px}
+.flash{background:#eef6ff;border:1px solid #9cc3f5;padding:8px}
+.muted{color:#888}
+</style></head><body>
+<nav>${links}<span class="who">${esc(ROLE_LABELS[admin.role])} ${esc(admin.id)}</span>
+<form method="post" action="/dashboard/logout" class="inline"><input type="hidden" name="csrf" value="${esc(req.csrf)}"><button>Logout</button></form></nav>
+${flash}<h2>${esc(title)}</h2>
+${body}
+</body></html>`;
+}
+
+function messagePage(text) {
+  return `<!doctype html><html><head><meta charset="utf-8"><title>Admin</title></head><body style="font-family:system-ui,sans-serif;padding:24px"><p>${esc(text)}</p></body></html>`;
+}
+
+async function getGroupCompletionToday() {
+  const s = await getAdminSettings();
+  const res = await q(
+    `SELECT g.id,
+            COUNT(DISTINCT a.assigned_to_user_id) FILTER (WHERE a.used=true)::int AS completed,
+            COUNT(DISTINCT a.assigned_to_user_id)::int AS assigned
+     FROM groups g
+     JOIN users u ON u.group_id = g.id AND u.status = 'active'
+     JOIN code_view_assignments a ON a.assigned_to_user_id = u.id AND a.cancelled = false
+       AND a.assigned_date = (NOW() AT TIME ZONE COALESCE(g.timezone, $1))::date
+     GROUP BY g.id`,
+    [s.default_timezone || 'UTC']
+  );
+  return new Map(res.rows.map(r => [r.id, r]));
+}
+
+function groupOptions(groups, selected = null, { any = false } = {}) {
+  return (any ? `<option value="">All groups</option>` : "") + groups.map(g =>
+    `<option value="${esc(g.id)}"${g.id === selected ? " selected" : ""}>${esc(g.id.slice(0, 8))} ${esc(g.name || "")}</option>`
+  ).join("");
+}
+
+function userActions(req, u, groups) {
+  if (!hasPermission(req.admin, PERM.USERS)) return "";
+  if (u.status === "archived") {
+    return actionForm(req, "restore_user", "♻️ Restore", {
+      fields: { user_id: u.id },
+      inputs: `<select name="target_group_id">${groupOptions(groups, u.group_id)}</select>`,
+    });
+  }
+  return actionForm(req, "move_user", "🔀 Move", {
+    fields: { user_id: u.id },
+    inputs: `<select name="target_group_id">${groupOptions(groups.filter(g => g.id !== u.group_id))}</select>`,
+  }) + actionForm(req, "ban_user", "🚫 Ban", {
+    fields: { user_id: u.id },
+    inputs: `<input name="reason" placeholder="reason" size="12">`,
+    confirm: `Ban ${u.auto_name} and delete the account?`,
+  });
+}
+
+// ---------- إجراءات اللوحة ----------
+// permission + group: الصلاحية تُفحص على المجموعة المرسلة في group_id
+// run يرجع نص النتيجة الذي يظهر أعلى الصفحة
+
+// التوزيع اليدوي من اللوحة يعمل في الخلفية (قد يتجاوز مهلة الطلب)، ولا يبدأ توزيع ثانٍ قبل انتهاء الأول
+let dashboardDistribution = null;
+
+const DASHBOARD_ACTIONS = {
+  distribute_now: {
+    permission: PERM.DISTRIBUTE,
+    run: async (admin) => {
+      if (dashboardDistribution) return "⏳ التوزيع اليدوي قيد التنفيذ بالفعل";
+      console.log(`🔄 Manual distribution started by admin ${admin.id} (dashboard)`);
+      await logAudit(admin, "distribution_run", { details: { scope: "all_groups", via: "dashboard" } });
+      dashboardDistribution = runDailyDistribution()
+        .then(() => console.log(`✅ Manual distribution by admin ${admin.id} (dashboard) finished`))
+        .catch(err => console.error("❌ Dashboard distribution failed:", err))
+        .finally(() => { dashboardDistribution = null; });
+      return "🔄 بدأ التوزيع في الخلفية، حدّث الصفحة بعد قليل لمتابعة نسب الإكمال.";
+    },
+  },
+  toggle_all_schedulers: {
+    permission: PERM.SETTINGS,
+    run: async (admin) => `✅ All Schedulers: ${(await toggleAllSchedulers(admin)) ? "Enabled" : "Disabled"}`,
+  },
+  // إعادة التفعيل تحتاج confirm=1 من زر "🟢 Enable Penalties" الذي يظهر تحت سجل العقوبات المعلقة
+  toggle_penalties: {
+    permission: PERM.SETTINGS,
+    run: async (admin, body) => {
+      const current = await getAdminSettings();
+      if (current.penalties_active && body.confirm === "1") return "ℹ️ Penalties already enabled";
+      if (!current.penalties_active && body.confirm !== "1") {
+        const pending = await getPendingShadowPenalties();
+        if (pending.total > 0) return `⚠️ راجع ${pending.total} عقوبة مسجلة أثناء الإيقاف ثم اضغط "🟢 Enable Penalties"`;
+      }
+      return `✅ Penalties ${(await togglePenalties(admin)) ? "Enabled" : "Disabled"}`;
+    },
+  },
+  delete_cycle: {
+    permission: PERM.CYCLE,
+    run: async (admin) => {
+      await resetCycle(admin, "dashboard");
+      return "🗑️ تم حذف جميع الأكواد والتوزيعات! جاهز لدورة جديدة.";
+    },
+  },
+  broadcast: {
+    permission: PERM.BROADCAST,
+    run: async (admin, body) => {
+      const text = (body.text || "").trim();
+      if (!text) return "❌ الرسالة فارغة";
+      return `✅ تمت جدولة الرسالة لـ ${await broadcastMessage(text, admin)} مستخدم.`;
+    },
+  },
+  payment_remind_all: {
+    permission: PERM.PAYMENTS,
+    run: async (admin) => `✅ تمت جدولة التذكير لـ ${await startPaymentMode(null, admin)} مستخدم - تم إيقاف التوزيع حتى استلام الدفعات`,
+  },
+  payment_resume_all: {
+    permission: PERM.PAYMENTS,
+    run: async (admin) => `✅ تم استئناف التوزيع لجميع المجموعات - تمت جدولة الإشعار لـ ${await endPaymentMode(null, admin)} مستخدم`,
+  },
+  warn_nonpayers: {
+    permission: PERM.PAYMENTS,
+    run: async (admin) => {
+      const { queued } = await warnNonPayers(admin);
+      return queued === 0 ? "✅ الجميع دفع!" : `✅ تمت جدولة التحذير لـ ${queued} مستخدم`;
+    },
+  },
+  group_toggle: {
+    permission: PERM.GROUP_SETTINGS,
+    group: true,
+    run: async (admin, body, groupId) => `✅ Scheduler ${(await toggleGroupScheduler(groupId, admin)) ? "Enabled" : "Disabled"}`,
+  },
+  group_penalties: {
+    permission: PERM.GROUP_SETTINGS,
+    group: true,
+    run: async (admin, body, groupId) => {
+      if (!["global", "on", "off"].includes(body.mode)) return "❌ Invalid mode";
+      const enabled = await setGroupPenalties(groupId, body.mode === "global" ? null : body.mode === "on", admin);
+      return `✅ Penalties ${enabled ? "Enabled" : "Disabled"}`;
+    },
+  },
+  // كل حقل بصلاحيته، ولا يُطبق شيء إذا كان أحد الحقول خاطئاً
+  group_settings: {
+    permission: PERM.GROUPS_LIST,
+    group: true,
+    run: async (admin, body, groupId) => {
+      const current = (await getGroupSummaries(groupId))[0];
+      const changes = {};
+      for (const field of EDITABLE_GROUP_SETTINGS) {
+        if (field === "is_scheduler_active" || body[field] === undefined) continue;
+        let raw = body[field].trim();
+        if (raw === "") {
+          if (field === "daily_user_cap") raw = "NULL";
+          else if (field === "timezone") raw = "DEFAULT";
+          else continue;
+        }
+        const parsed = parseGroupSetting(field, raw);
+        if (parsed.error) return `${parsed.error} (${field})`;
+        const before = field === "send_time" ? current.send_time.slice(0, 5) : field === "timezone" ? current.timezone_override : current[field];
+        if (String(parsed.value ?? "") === String(before ?? "")) continue;
+        if (!hasPermission(admin, groupSettingPermission(field), groupId)) return `⛔ ليست لديك صلاحية لتعديل ${field}`;
+        changes[field] = parsed.value;
+      }
+      for (const [field, value] of Object.entries(changes)) {
+        await updateGroupSettings(groupId, field, value);
+        await logAudit(admin, "group_settings_update", { groupId, details: { key: field, value, via: "dashboard" } });
+      }
+      const updated = Object.keys(changes);
+      return updated.length > 0 ? `✅ Updated: ${updated.join(", ")}` : "ℹ️ No changes";
+    },
+  },
+  group_broadcast: {
+    permission: PERM.GROUP_BROADCAST,
+    group: true,
+    run: async (admin, body, groupId) => {
+      const text = (body.text || "").trim();
+      if (!text) return "❌ الرسالة فارغة";
+      return `✅ تمت جدولة الرسالة لـ ${await broadcastMessage(text, admin, groupId)} مستخدم في المجموعة.`;
+    },
+  },
+  payment_remind_group: {
+    permission: PERM.GROUP_PAYMENTS,
+    group: true,
+    run: async (admin, body, groupId) => `✅ تمت جدولة التذكير لـ ${await startPaymentMode(groupId, admin)} مستخدم في Group ${groupId.slice(0, 8)}`,
+  },
+  payment_resume_group: {
+    permission: PERM.GROUP_PAYMENTS,
+    group: true,
+    run: async (admin, body, groupId) => `✅ تم استئناف التوزيع للمجموعة ${groupId.slice(0, 8)} - تمت جدولة الإشعار لـ ${await endPaymentMode(groupId, admin)} مستخدم`,
+  },
+  ban_user: {
+    permission: PERM.USERS,
+    run: async (admin, body) => {
+      const userData = body.user_id ? await findUser(body.user_id) : null;
+      if (!userData) return "❌ المستخدم غير موجود";
+      const reason = (body.reason || "").trim() || "مخالفة القواعد";
+      await banUser(userData, reason, admin);
+      return `✅ تم حظر ${userData.auto_name} بنجاح - السبب: ${reason}`;
+    },
+  },
+  move_user: {
+    permission: PERM.USERS,
+    run: async (admin, body) => {
+      const userData = body.user_id ? await findUser(body.user_id) : null;
+      if (!userData) return "❌ المستخدم غير موجود";
+      if (!UUID_REGEX.test(body.target_group_id || "")) return "❌ Group not found";
+      const result = await moveUser(userData, body.target_group_id, admin);
+      return result.error ? `❌ ${result.error}` : `✅ ${userData.auto_name} → Group ${body.target_group_id.slice(0, 8)}`;
+    },
+  },
+  restore_user: {
+    permission: PERM.USERS,
+    run: async (admin, body) => {
+      if (!UUID_REGEX.test(body.user_id || "")) return "❌ المستخدم غير موجود";
+      const groupId = UUID_REGEX.test(body.target_group_id || "") ? body.target_group_id : null;
+      const result = await restoreUser(body.user_id, admin, { groupId });
+      return result.error ? `❌ ${result.error}` : `✅ ${result.user.auto_name} ♻️ Group ${result.user.group_id.slice(0, 8)}`;
+    },
+  },
+  blacklist_add: {
+    permission: PERM.USERS,
+    run: async (admin, body) => {
+      const phone = (body.phone || "").trim();
+      if (!phone) return "❌ أدخل رقم الهاتف";
+      const reason = (body.reason || "").trim() || "غير محدد";
+      await addToBlacklist(phone, reason, admin);
+      return `✅ تم إضافة ${phone} للقائمة السوداء`;
+    },
+  },
+  blacklist_remove: {
+    permission: PERM.USERS,
+    run: async (admin, body) => {
+      const identifier = (body.identifier || "").trim();
+      return (await removeFromBlacklist(identifier, admin))
+        ? `✅ تم إزالة ${identifier} من القائمة السوداء`
+        : `❌ ${identifier} غير موجود في القائمة السوداء`;
+    },
+  },
+};
+
+function mountDashboard(app) {
+  const dash = express.Router();
+  dash.use(express.urlencoded({ extended: false }));
+  dash.use((req, res, next) => {
+    res.set({ "Cache-Control": "no-store", "X-Frame-Options": "DENY", "Referrer-Policy": "no-referrer" });
+    next();
+  });
+
+  const route = (fn) => (req, res, next) => fn(req, res, next).catch(next);
+
+  // ---------- الدخول ----------
+
+  dash.get("/login", route(async (req, res) => {
+    const token = (req.query.t || "").toString();
+    const login = token
+      ? await q(`DELETE FROM dashboard_tokens WHERE token_hash=$1 AND kind='login' AND expires_at > NOW() RETURNING admin_id`, [hashToken(token)])
+      : { rowCount: 0 };
+    const admin = login.rowCount > 0 ? getAdmin(login.rows[0].admin_id) : null;
+    if (!admin) {
+      return res.status(401).send(messagePage("❌ الرابط غير صالح أو مستخدم أو منتهي. أرسل /admin في البوت للحصول على رابط جديد."));
+    }
+
+    const session = crypto.randomBytes(32).toString("base64url");
+    await q(
+      `INSERT INTO dashboard_tokens (token_hash, kind, admin_id, expires_at)
+       VALUES ($1, 'session', $2, NOW() + $3 * INTERVAL '1 hour')`,
+      [hashToken(session), admin.id, DASHBOARD_SESSION_TTL_HOURS]
+    );
+    console.log(`🌐 Dashboard login: admin ${admin.id} (${admin.role})`);
+    res.cookie(DASHBOARD_COOKIE, session, {
+      httpOnly: true, secure: true, sameSite: "lax", path: "/dashboard",
+      maxAge: DASHBOARD_SESSION_TTL_HOURS * 60 * 60 * 1000,
+    });
+    res.redirect(303, "/dashboard");
+  }));
+
+  // كل ما بعد هذا يحتاج جلسة صالحة لأدمن ما زال في ADMIN_IDS
+  dash.use(route(async (req, res, next) => {
+    const session = readCookie(req, DASHBOARD_COOKIE);
+    const row = session
+      ? await q(`SELECT admin_id FROM dashboard_tokens WHERE token_hash=$1 AND kind='session' AND expires_at > NOW()`, [hashToken(session)])
+      : { rowCount: 0 };
+    const admin = row.rowCount > 0 ? getAdmin(row.rows[0].admin_id) : null;
+    if (!admin) return res.status(401).send(messagePage("🔐 أرسل /admin في البوت واضغط \"🌐 Web Dashboard\" لتسجيل الدخول."));
+
+    req.admin = admin;
+    req.sessionHash = hashToken(session);
+    req.csrf = hashToken(`csrf:${session}`);
+    if (req.method === "POST" && req.body?.csrf !== req.csrf) return res.status(403).send(messagePage("⛔ Invalid form token, reload the page."));
+    next();
+  }));
+
+  const deny = (req, res) => res.status(403).send(dashboardPage(req, "⛔ Forbidden", `<p>ليست لديك صلاحية لهذه الصفحة.</p>`));
+
+  dash.post("/logout", route(async (req, res) => {
+    await q(`DELETE FROM dashboard_tokens WHERE token_hash=$1`, [req.sessionHash]);
+    res.clearCookie(DASHBOARD_COOKIE, { path: "/dashboard" });
+    res.send(messagePage("👋 تم تسجيل الخروج."));
+  }));
+
+  dash.post("/action", route(async (req, res) => {
+    const def = DASHBOARD_ACTIONS[req.body.action];
+    let groupId = null;
+    let message;
+    if (!def) {
+      message = "❌ Unknown action";
+    } else if (def.group && !(UUID_REGEX.test(req.body.group_id || "") && (groupId = await resolveGroupId(req.body.group_id)))) {
+      message = "❌ Group not found";
+    } else if (!hasPermission(req.admin, def.permission, groupId) || (def.group && !adminCoversGroup(req.admin, groupId))) {
+      console.log(`⛔ Admin ${req.admin.id} (${req.admin.role}) denied ${req.body.action} on dashboard`);
+      message = "⛔ ليست لديك صلاحية لهذا الإجراء";
+    } else {
+      try {
+        message = await def.run(req.admin, req.body, groupId);
+      } catch (err) {
+        console.error(`❌ Dashboard action ${req.body.action}:`, err.message);
+        message = "❌ حدث خطأ";
+      }
+    }
+
+    const back = typeof req.body.back === "string" && req.body.back.startsWith("/dashboard") ? req.body.back : "/dashboard";
+    const url = new URL(back, "http://dashboard");
+    url.searchParams.set("msg", message);
+    res.redirect(303, url.pathname + url.search);
+  }));
+
+  // ---------- المجموعات ----------
+
+  dash.get("/", route(async (req, res) => {
+    const admin = req.admin;
+    let body = "";
+
+    const s = await getAdminSettings();
+    const canSettings = hasPermission(admin, PERM.SETTINGS);
+    // قبل إعادة التفعيل: عرض العقوبات التي كانت ستُطبق أثناء الإيقاف
+    const pending = canSettings && !s.penalties_active ? await getPendingShadowPenalties() : null;
+    const globalActions = [
+      hasPermission(admin, PERM.DISTRIBUTE) && actionForm(req, "distribute_now", "🔄 Distribute Now (All)", { confirm: "Distribute codes to all active groups now?" }),
+      canSettings && actionForm(req, "toggle_all_schedulers", "📴 Toggle All Schedulers"),
+      canSettings && (s.penalties_active
+        ? actionForm(req, "toggle_penalties", "🔴 Disable Penalties")
+        : actionForm(req, "toggle_penalties", "🟢 Enable Penalties", {
+          fields: { confirm: "1" },
+          confirm: pending.total > 0 ? `Enable penalties? The ${pending.total} shadow entries above will not be applied retroactively.` : null,
+        })),
+      hasPermission(admin, PERM.CYCLE) && actionForm(req, "delete_cycle", "🗑️ Delete Cycle Now", { confirm: "Delete ALL codes and assignments? This cannot be undone." }),
+    ].filter(Boolean);
+    if (canSettings || hasPermission(admin, PERM.STATS)) {
+      body += `<p>🔄 Scheduler: ${s.is_scheduler_active ? "✅ Active" : "❌ Inactive"} · ⚖️ Penalties: ${s.penalties_active ? "✅ Active" : "❌ Inactive"} · 🕐 Default timezone: ${esc(s.default_timezone)}</p>`;
+    }
+    if (pending?.total > 0) {
+      body += `<h3>👻 Shadow log (${pending.total})</h3><p class="muted">Penalties that would have applied while penalties were off. They are not applied retroactively; new penalties start when you enable them.</p>`;
+      body += `<ul>${pending.summary.map(r => `<li>${esc(SHADOW_ACTION_LABELS[r.action] || r.action)}: ${r.count} (${r.users} users)</li>`).join("")}</ul>`;
+      body += `<table><tr><th>When</th><th>Name</th><th>Group</th><th>Offence</th><th>Would have</th></tr>`;
+      for (const e of pending.recent) {
+        body += `<tr><td>${fmtDate(e.created_at)}</td><td>${esc(e.user_name)} <code>${esc(e.telegram_id)}</code></td><td>${esc(e.group_id?.slice(0, 8))}</td>` +
+          `<td>${esc(e.offence)} #${e.strike}</td><td>${esc(SHADOW_ACTION_LABELS[e.action] || e.action)}</td></tr>`;
+      }
+      body += `</table>`;
+    }
+    if (globalActions.length > 0) body += `<p>${globalActions.join(" ")}</p>`;
+    if (hasPermission(admin, PERM.BROADCAST)) {
+      body += `<p>${actionForm(req, "broadcast", "📢 Broadcast to All", { inputs: `<textarea name="text" rows="2" cols="50" placeholder="message"></textarea>`, confirm: "Send this message to all users?" })}</p>`;
+    }
+
+    if (!hasPermission(admin, PERM.GROUPS_LIST)) return res.send(dashboardPage(req, "Admin Dashboard", body));
+
+    const groups = (await getGroupSummaries()).filter(g => adminCoversGroup(admin, g.id));
+    const completion = await getGroupCompletionToday();
+    body += `<table><tr><th>Group</th><th>Name</th><th>Users (active)</th><th>Today completed</th><th>Scheduler</th><th>Payment</th><th>Days / Limit / Cap</th><th>Time</th></tr>`;
+    for (const g of groups) {
+      const c = completion.get(g.id);
+      body += `<tr><td><a href="/dashboard/groups/${esc(g.id)}"><code>${esc(g.id)}</code></a></td><td>${esc(g.name)}</td>` +
+        `<td>${g.users} (${g.active_users})</td><td>${c ? pct(c.completed, c.assigned) : "—"}</td>` +
+        `<td>${g.is_scheduler_active ? "✅" : "❌"}</td><td>${g.payment_mode_active ? `⏸️ day ${g.payment_mode_day}` : "▶️"} · day ${g.payment_day}</td>` +
+        `<td>${g.distribution_days} / ${g.daily_codes_limit} / ${g.daily_user_cap || "∞"}</td><td>${esc(g.send_time)} ${esc(g.timezone)}</td></tr>`;
+    }
+    body += `</table>`;
+    res.send(dashboardPage(req, `Groups (${groups.length})`, body));
+  }));
+
+  dash.get("/groups/:id", route(async (req, res) => {
+    const admin = req.admin;
+    const groupId = UUID_REGEX.test(req.params.id) ? req.params.id : null;
+    if (!hasPermission(admin, PERM.GROUPS_LIST) || (groupId && !adminCoversGroup(admin, groupId))) return deny(req, res);
+    const [g] = groupId ? await getGroupSummaries(groupId) : [];
+    if (!g) return res.status(404).send(dashboardPage(req, "Group not found", ""));
+
+    const c = (await getGroupCompletionToday()).get(g.id);
+    const month = (await getGroupToday(g.id)).slice(0, 7);
+    const load = await getGroupLoadStats(g.id, await getGroupToday(g.id));
+    const fields = { group_id: g.id };
+    let body = `<p>${esc(g.name)} · 👥 ${g.users} users (${g.active_users} active) · 📊 Today completed: ${c ? pct(c.completed, c.assigned) : "—"} · ` +
+      `load per user min ${load.min} / avg ${load.avg} / max ${load.max}</p>`;
+
+    const canSettings = hasPermission(admin, PERM.GROUP_SETTINGS, g.id);
+    const canPayments = hasPermission(admin, PERM.GROUP_PAYMENTS, g.id);
+    const input = (field, value, enabled, hint = "") =>
+      `<tr><th>${field}</th><td><input name="${field}" value="${esc(value ?? "")}"${enabled ? "" : " disabled"} size="22"> <span class="muted">${esc(hint)}</span></td></tr>`;
+    body += `<h3>⚙️ Settings</h3><form method="post" action="/dashboard/action">` +
+      `<input type="hidden" name="csrf" value="${esc(req.csrf)}"><input type="hidden" name="action" value="group_settings">` +
+      `<input type="hidden" name="group_id" value="${esc(g.id)}"><input type="hidden" name="back" value="${esc(currentPath(req))}"><table>` +
+      input("distribution_days", g.distribution_days, canSettings) +
+      input("daily_codes_limit", g.daily_codes_limit, canSettings) +
+      input("daily_user_cap", g.daily_user_cap, canSettings, "empty = unlimited") +
+      input("send_time", g.send_time.slice(0, 5), canSettings, "HH:MM") +
+      input("timezone", g.timezone_override, canSettings, `empty = default (${g.timezone})`) +
+      input("payment_day", g.payment_day, canPayments, "1-28") +
+      input("telegram_group_chat_id", g.telegram_group_chat_id, canSettings) +
+      `</table>${canSettings || canPayments ? "<button>💾 Save</button>" : ""}</form>`;
+
+    const actions = [
+      canSettings && actionForm(req, "group_toggle", `${g.is_scheduler_active ? "✅ Disable" : "❌ Enable"} Scheduler`, { fields }),
+      canSettings && actionForm(req, "group_penalties", "🚨 Set Penalties", {
+        fields,
+        inputs: `<select name="mode">${[["global", "Follow global"], ["on", "Force on"], ["off", "Force off"]].map(([v, l]) =>
+          `<option value="${v}"${(g.penalties_override === null ? "global" : g.penalties_override ? "on" : "off") === v ? " selected" : ""}>${l}</option>`).join("")}</select> `,
+      }),
+      canPayments && actionForm(req, "payment_remind_group", "📢 Send Payment Reminder", { fields, confirm: "Pause distribution and remind this group to pay?" }),
+      canPayments && actionForm(req, "payment_resume_group", "▶️ Resume Distribution", { fields }),
+    ].filter(Boolean);
+    body += `<p>🔄 Scheduler: ${g.is_scheduler_active ? "✅ Active" : "❌ Inactive"} · 🚨 Penalties: ${groupPenaltiesLabel(g)} · 💰 ${g.payment_mode_active ? `⏸️ Payment mode since ${fmtDate(g.payment_mode_started)}` : "▶️ Distributing"}</p>`;
+    body += `<p>${actions.join(" ")}</p>`;
+    if (hasPermission(admin, PERM.GROUP_BROADCAST, g.id)) {
+      body += `<p>${actionForm(req, "group_broadcast", "📢 Broadcast to Group", { fields, inputs: `<textarea name="text" rows="2" cols="50" placeholder="message"></textarea>`, confirm: "Send this message to the group?" })}</p>`;
+    }
+
+    const members = await q(
+      `SELECT u.*, COALESCE(p.proof_sent, false) AS paid,
+              (SELECT COUNT(*)::int FROM codes c WHERE c.owner_id = u.id AND c.status='active') AS active_codes
+       FROM users u LEFT JOIN payments p ON p.user_id = u.id AND p.payment_month = $2
+       WHERE u.group_id = $1 AND u.status = 'active' ORDER BY u.created_at`,
+      [g.id, month]
+    );
+    const groups = hasPermission(admin, PERM.USERS) ? await getGroupSummaries() : [];
+    body += `<h3>👥 Members</h3><table><tr><th>Name</th><th>Telegram</th><th>Phone</th><th>Status</th><th>Codes</th><th>Paid ${esc(month)}</th><th></th></tr>`;
+    for (const u of members.rows) {
+      body += `<tr><td>${esc(u.auto_name)}</td><td><code>${esc(u.telegram_id)}</code></td><td>${esc(u.phone)}</td>` +
+        `<td>${u.is_active ? "✅" : `🔕 since ${fmtDate(u.inactive_since)}`}</td><td>${u.active_codes}</td><td>${u.paid ? "✅" : "❌"}</td>` +
+        `<td>${userActions(req, u, groups)}</td></tr>`;
+    }
+    body += `</table>`;
+    res.send(dashboardPage(req, `📦 Group ${g.id}`, body));
+  }));
+
+  // ---------- المستخدمون ----------
+
+  dash.get("/users", route(async (req, res) => {
+    if (!hasPermission(req.admin, PERM.USERS)) return deny(req, res);
+    const search = (req.query.q || "").toString().trim();
+    const groupId = UUID_REGEX.test(req.query.group || "") ? req.query.group : null;
+    const groups = await getGroupSummaries();
+    const users = await q(
+      `SELECT * FROM users
+       WHERE ($1 = '' OR auto_name ILIKE '%' || $1 || '%' OR phone LIKE '%' || $1 || '%'
+              OR telegram_id = $1 OR binance_username ILIKE '%' || $1 || '%')
+         AND ($2::uuid IS NULL OR group_id = $2)
+       ORDER BY created_at DESC LIMIT $3`,
+      [search, groupId, DASHBOARD_LIST_LIMIT]
+    );
+    let body = `<form method="get"><input name="q" value="${esc(search)}" placeholder="name, phone, telegram id, binance">` +
+      ` <select name="group">${groupOptions(groups, groupId, { any: true })}</select> <button>🔍 Search</button></form>`;
+    body += `<table><tr><th>Name</th><th>Group</th><th>Telegram</th><th>Phone</th><th>Binance</th><th>Status</th><th>Registered</th><th></th></tr>`;
+    for (const u of users.rows) {
+      body += `<tr><td>${esc(u.auto_name)}</td><td><a href="/dashboard/groups/${esc(u.group_id)}">${esc(u.group_id?.slice(0, 8))}</a></td>` +
+        `<td><code>${esc(u.telegram_id)}</code></td><td>${esc(u.phone)}</td><td>${esc(u.binance_username)}</td>` +
+        `<td>${u.status === "archived" ? `🗄️ archived ${fmtDate(u.archived_at)}${u.archive_reason ? ` (${esc(u.archive_reason)})` : ""}` : u.is_active ? "✅" : "🔕"}</td>` +
+        `<td>${fmtDate(u.created_at)}</td><td>${userActions(req, u, groups)}</td></tr>`;
+    }
+    body += `</table>`;
+    if (users.rowCount === DASHBOARD_LIST_LIMIT) body += `<p class="muted">Showing the newest ${DASHBOARD_LIST_LIMIT} matches.</p>`;
+    res.send(dashboardPage(req, `Users (${users.rowCount})`, body));
+  }));
+
+  // ---------- الدفع ----------
+
+  dash.get("/payments", route(async (req, res) => {
+    const admin = req.admin;
+    if (!canSeePayments(admin)) return deny(req, res);
+    const defaultMonth = localDate((await getAdminSettings()).default_timezone).slice(0, 7);
+    const month = /^\d{4}-(0[1-9]|1[0-2])$/.test(req.query.month || "") ? req.query.month : defaultMonth;
+    const groupId = UUID_REGEX.test(req.query.group || "") ? req.query.group : null;
+    const groups = (await getGroupSummaries()).filter(g => hasPermission(admin, PERM.GROUP_PAYMENTS, g.id));
+    const visible = new Set(groups.map(g => g.id));
+
+    const rows = (await q(
+      `SELECT u.id, u.auto_name, u.telegram_id, u.phone, u.group_id, u.is_active,
+              COALESCE(p.proof_sent, false) AS paid, p.proof_sent_at, p.proof_file_id, p.proof_caption
+       FROM users u LEFT JOIN payments p ON p.user_id = u.id AND p.payment_month = $1
+       WHERE ($2::uuid IS NULL OR u.group_id = $2) AND u.status = 'active'
+       ORDER BY u.group_id, u.auto_name`,
+      [month, groupId]
+    )).rows.filter(r => visible.has(r.group_id));
+
+    let body = `<form method="get"><input name="month" value="${esc(month)}" size="8"> <select name="group">${groupOptions(groups, groupId, { any: true })}</select> <button>Show</button></form>`;
+    if (hasPermission(admin, PERM.PAYMENTS)) {
+      body += `<p>${[
+        actionForm(req, "payment_remind_all", "📢 Send Payment Reminder (All)", { confirm: "Pause distribution for all groups and send payment reminders?" }),
+        actionForm(req, "payment_resume_all", "▶️ Resume Distribution (All)"),
+        actionForm(req, "warn_nonpayers", "⚠️ Warn Non-Payers", { confirm: "Send the final non-payment warning?" }),
+      ].join(" ")}</p>`;
+    }
+
+    const byGroup = new Map();
+    for (const r of rows) {
+      const stats = byGroup.get(r.group_id) || { paid: 0, total: 0 };
+      stats.total++;
+      if (r.paid) stats.paid++;
+      byGroup.set(r.group_id, stats);
+    }
+    body += `<table><tr><th>Group</th><th>Paid</th><th>Mode</th><th></th></tr>`;
+    for (const g of groups.filter(g => byGroup.has(g.id))) {
+      const stats = byGroup.get(g.id);
+      body += `<tr><td><a href="/dashboard/payments?month=${esc(month)}&group=${esc(g.id)}"><code>${esc(g.id)}</code></a> ${esc(g.name)}</td>` +
+        `<td>${pct(stats.paid, stats.total)}</td><td>${g.payment_mode_active ? "⏸️ Paused" : "▶️ Active"} · day ${g.payment_day}</td>` +
+        `<td>${actionForm(req, "payment_remind_group", "📢 Remind", { fields: { group_id: g.id } })}${actionForm(req, "payment_resume_group", "▶️ Resume", { fields: { group_id: g.id } })}</td></tr>`;
+    }
+    body += `</table>`;
+
+    const nonPayers = rows.filter(r => !r.paid);
+    body += `<h3>⚠️ Non-payers (${nonPayers.length})</h3><table><tr><th>Name</th><th>Group</th><th>Telegram</th><th>Phone</th><th>Status</th></tr>`;
+    for (const u of nonPayers.slice(0, DASHBOARD_LIST_LIMIT)) {
+      body += `<tr><td>${esc(u.auto_name)}</td><td>${esc(u.group_id.slice(0, 8))}</td><td><code>${esc(u.telegram_id)}</code></td><td>${esc(u.phone)}</td><td>${u.is_active ? "✅" : "🔕"}</td></tr>`;
+    }
+    body += `</table>`;
+
+    const proofs = rows.filter(r => r.paid).sort((a, b) => new Date(b.proof_sent_at) - new Date(a.proof_sent_at));
+    body += `<h3>📸 Payment proofs (${proofs.length})</h3><table><tr><th>Sent</th><th>Name</th><th>Group</th><th>Message</th><th>Proof</th></tr>`;
+    for (const u of proofs.slice(0, DASHBOARD_LIST_LIMIT)) {
+      const link = u.proof_file_id ? `<a href="/dashboard/proofs/${esc(u.id)}/${esc(month)}" target="_blank">📸 View</a>` : `<span class="muted">not stored</span>`;
+      body += `<tr><td>${fmtDate(u.proof_sent_at)}</td><td>${esc(u.auto_name)}</td><td>${esc(u.group_id.slice(0, 8))}</td><td>${esc(u.proof_caption)}</td><td>${link}</td></tr>`;
+    }
+    body += `</table>`;
+    res.send(dashboardPage(req, `💰 Payments ${month}`, body));
+  }));
+
+  // صورة الإثبات تُجلب من تيليجرام عبر الخادم حتى لا يظهر توكن البوت في الرابط
+  dash.get("/proofs/:userId/:month", route(async (req, res) => {
+    if (!UUID_REGEX.test(req.params.userId)) return res.status(404).end();
+    const proof = await q(
+      `SELECT p.proof_file_id, u.group_id FROM payments p JOIN users u ON u.id = p.user_id
+       WHERE p.user_id=$1 AND p.payment_month=$2 AND p.proof_file_id IS NOT NULL`,
+      [req.params.userId, req.params.month]
+    );
+    if (proof.rowCount === 0) return res.status(404).send(messagePage("❌ Proof not found"));
+    if (!hasPermission(req.admin, PERM.GROUP_PAYMENTS, proof.rows[0].group_id)) return deny(req, res);
+
+    const link = await bot.telegram.getFileLink(proof.rows[0].proof_file_id);
+    const file = await fetch(link);
+    if (!file.ok) return res.status(502).send(messagePage(`❌ Telegram returned ${file.status}`));
+    res.type(file.headers.get("content-type") || "image/jpeg").send(Buffer.from(await file.arrayBuffer()));
+  }));
+
+  // ---------- العقوبات ----------
+
+  dash.get("/penalties", route(async (req, res) => {
+    if (!hasPermission(req.admin, PERM.USERS)) return deny(req, res);
+    const rows = await q(
+      `SELECT u.id, u.auto_name, u.telegram_id, u.group_id,
+              up.missed_days, up.penalty_date, up.codes_deleted,
+              COALESCE(cp.no_confirmation_count, 0) AS no_confirmation_count, cp.last_missed,
+              COALESCE(vp.false_claim_count, 0) AS false_claim_count, vp.last_false,
+              COALESCE(rp.false_report_count, 0) AS false_report_count, rp.last_false_report,
+              sc.suspended_codes, sc.suspended_until
+       FROM users u
+       LEFT JOIN (SELECT user_id, MAX(missed_days) AS missed_days, MAX(penalty_date) AS penalty_date, bool_or(codes_deleted) AS codes_deleted
+                  FROM user_penalties GROUP BY user_id) up ON up.user_id = u.id
+       LEFT JOIN confirmation_penalties cp ON cp.user_id = u.id
+       LEFT JOIN verification_penalties vp ON vp.user_id = u.id
+       LEFT JOIN report_penalties rp ON rp.user_id = u.id
+       LEFT JOIN (SELECT owner_id, COUNT(*)::int AS suspended_codes, MAX(suspension_until) AS suspended_until
+                  FROM codes WHERE status='suspended' GROUP BY owner_id) sc ON sc.owner_id = u.id
+       WHERE u.status = 'active'
+         AND (up.user_id IS NOT NULL OR cp.no_confirmation_count > 0 OR vp.false_claim_count > 0 OR rp.false_report_count > 0 OR sc.owner_id IS NOT NULL)
+       ORDER BY GREATEST(up.penalty_date::timestamptz, cp.last_missed, vp.last_false, rp.last_false_report) DESC NULLS LAST
+       LIMIT $1`,
+      [DASHBOARD_LIST_LIMIT]
+    );
+    const groups = await getGroupSummaries();
+    let body = `<table><tr><th>Name</th><th>Group</th><th>Missed days</th><th>No confirmation</th><th>False claims</th><th>False reports</th><th>Suspended codes</th><th></th></tr>`;
+    for (const u of rows.rows) {
+      body += `<tr><td>${esc(u.auto_name)} <code>${esc(u.telegram_id)}</code></td><td>${esc(u.group_id?.slice(0, 8))}</td>` +
+        `<td>${u.missed_days ?? 0}${u.penalty_date ? ` (last ${fmtDate(u.penalty_date).slice(0, 10)})` : ""}${u.codes_deleted ? " · codes deleted" : ""}</td>` +
+        `<td>${u.no_confirmation_count}${u.last_missed ? ` (last ${fmtDate(u.last_missed)})` : ""}</td>` +
+        `<td>${u.false_claim_count}${u.last_false ? ` (last ${fmtDate(u.last_false)})` : ""}</td>` +
+        `<td>${u.false_report_count}${u.last_false_report ? ` (last ${fmtDate(u.last_false_report)})` : ""}</td>` +
+        `<td>${u.suspended_codes ? `${u.suspended_codes} until ${fmtDate(u.suspended_until)}` : "—"}</td><td>${userActions(req, u, groups)}</td></tr>`;
+    }
+    body += `</table>`;
+
+    const shadow = await q(`SELECT * FROM penalty_shadow_log WHERE reviewed_at IS NULL ORDER BY created_at DESC LIMIT $1`, [DASHBOARD_LIST_LIMIT]);
+    if (shadow.rowCount > 0) {
+      body += `<h3>👻 Shadow log (${shadow.rowCount})</h3><p class="muted">Penalties that would have applied while penalties were off. Entries count as reviewed once penalties are back on for their group.</p>`;
+      body += `<table><tr><th>When</th><th>Name</th><th>Group</th><th>Offence</th><th>Would have</th><th>Reason</th></tr>`;
+      for (const e of shadow.rows) {
+        body += `<tr><td>${fmtDate(e.created_at)}</td><td>${esc(e.user_name)} <code>${esc(e.telegram_id)}</code></td><td>${esc(e.group_id?.slice(0, 8))}</td>` +
+          `<td>${esc(e.offence)} #${e.strike}</td><td>${esc(SHADOW_ACTION_LABELS[e.action] || e.action)}</td><td>${esc(e.reason)}</td></tr>`;
+      }
+      body += `</table>`;
+    }
+    res.send(dashboardPage(req, `⚖️ Penalties (${rows.rowCount})`, body));
+  }));
+
+  // ---------- القائمة السوداء ----------
+
+  dash.get("/blacklist", route(async (req, res) => {
+    if (!hasPermission(req.admin, PERM.USERS)) return deny(req, res);
+    const rows = await q(`SELECT * FROM blacklist ORDER BY banned_at DESC`);
+    let body = `<p>${actionForm(req, "blacklist_add", "➕ Add to Blacklist", {
+      inputs: `<input name="phone" placeholder="+201234567890" size="16"> <input name="reason" placeholder="reason" size="24"> `,
+    })}</p>`;
+    body += `<table><tr><th>Phone</th><th>Telegram</th><th>Reason</th><th>By</th><th>At</th><th></th></tr>`;
+    for (const b of rows.rows) {
+      const identifier = b.phone || b.telegram_id;
+      body += `<tr><td>${esc(b.phone)}</td><td><code>${esc(b.telegram_id)}</code></td><td>${esc(b.reason)}</td><td>${esc(b.banned_by)}</td><td>${fmtDate(b.banned_at)}</td>` +
+        `<td>${identifier ? actionForm(req, "blacklist_remove", "🗑️ Remove", { fields: { identifier }, confirm: `Remove ${identifier} from the blacklist?` }) : ""}</td></tr>`;
+    }
+    body += `</table>`;
+    res.send(dashboardPage(req, `🚫 Blacklist (${rows.rowCount})`, body));
+  }));
+
+  dash.use((err, req, res, next) => {
+    console.error(`❌ Dashboard ${req.method} ${req.path}:`, err.message);
+    res.status(500).send(messagePage("❌ حدث خطأ"));
+  });
+
+  app.use("/dashboard", dash);
+  console.log("🌐 Web dashboard mounted at /dashboard");
+}
+
 bot.catch((err, ctx) => {
   console.error("❌ Telegraf error:", err?.stack || err);
   console.error("Update:", JSON.stringify(ctx.update).slice(0, 500));
 });
 
+// التحقق من مخطط قاعدة البيانات قبل بدء استقبال التحديثات
+try {
+  if (process.env.AUTO_MIGRATE === "false") {
+    const pending = await getPendingMigrations(pool);
+    if (pending.length > 0) {
+      console.warn(`⚠️ ${pending.length} pending migration(s): ${pending.map(m => m.file).join(", ")}`);
+      console.warn("   💡 Run: npm run migrate");
+    }
+  } else {
+    await runMigrations(pool);
+  }
+} catch (err) {
+  console.error("❌ Schema check failed:", err.message);
+  process.exit(1);
+}
+
+resumeInterruptedUploads();
+startOutboxWorker();
+
 const RENDER_URL = process.env.RENDER_URL || "";
 const SECRET_PATH = process.env.SECRET_PATH || "bot-webhook";
 
@@ -2607,8 +6950,11 @@ if (RENDER_URL) {
       const app = express();
       app.use(express.json());
 
+      // طلبات المراقبة (كل بضع ثوانٍ) لا تُسجل حتى لا تملأ السجل
+      const quietPaths = new Set(["/healthz", "/readyz", "/metrics"]);
       app.use((req, res, next) => {
-        console.log("🔔 REQUEST:", req.method, req.originalUrl);
+        // رابط الدخول للوحة لا يُسجل بالتوكن
+        if (!quietPaths.has(req.path)) console.log("🔔 REQUEST:", req.method, req.path === "/dashboard/login" ? req.path : req.originalUrl);
         next();
       });
 
@@ -2619,6 +6965,56 @@ if (RENDER_URL) {
       const webhookPath = `/${SECRET_PATH}`;
       const finalWebhookURL = `${RENDER_URL.replace(/\/$/, '')}${webhookPath}`;
 
+      // العملية تعمل
+      app.get("/healthz", (req, res) => {
+        res.json({ status: "ok", instance: INSTANCE_ID, uptime: Math.round(process.uptime()) });
+      });
+
+      // جاهز لاستقبال التحديثات: قاعدة البيانات متصلة والـ webhook مسجل لدى تيليجرام
+      // نتيجة فحص الـ webhook تُحفظ دقيقة حتى لا نستدعي getWebhookInfo مع كل فحص
+      let webhookCheck = { ok: false, checkedAt: 0, error: "not checked yet" };
+      app.get("/readyz", async (req, res) => {
+        const checks = {};
+
+        try {
+          await Promise.race([
+            pool.query("SELECT 1"),
+            new Promise((_, reject) => setTimeout(() => reject(new Error("timeout after 3s")), 3000)),
+          ]);
+          checks.database = { ok: true };
+        } catch (err) {
+          checks.database = { ok: false, error: err.message };
+        }
+
+        if (Date.now() - webhookCheck.checkedAt > 60 * 1000) {
+          try {
+            const info = await bot.telegram.getWebhookInfo();
+            webhookCheck = info.url === finalWebhookURL
+              ? { ok: true, checkedAt: Date.now(), pending_update_count: info.pending_update_count }
+              : { ok: false, checkedAt: Date.now(), error: `webhook url is "${info.url || ""}"` };
+          } catch (err) {
+            webhookCheck = { ok: false, checkedAt: Date.now(), error: err.message };
+          }
+        }
+        const { checkedAt, ...webhook } = webhookCheck;
+        checks.webhook = webhook;
+
+        const ready = Object.values(checks).every(c => c.ok);
+        res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not_ready", checks });
+      });
+
+      // METRICS_TOKEN (اختياري): يتطلب Authorization: Bearer <token>
+      app.get("/metrics", async (req, res) => {
+        const token = process.env.METRICS_TOKEN;
+        if (token && req.get("authorization") !== `Bearer ${token}`) {
+          return res.status(401).send("unauthorized");
+        }
+        res.type("text/plain; version=0.0.4").send(await renderMetrics());
+      });
+
+      mountAdminApi(app);
+      mountDashboard(app);
+
       console.log(`🟡 Setting webhook: ${finalWebhookURL}`);
       await bot.telegram.setWebhook(finalWebhookURL);
       console.log(`✅ Webhook registered`);
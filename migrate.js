@@ -0,0 +1,129 @@
+// migrate.js - Schema migrations
+// ==========================================
+// كل ملف في migrations/ اسمه NNN_description.sql ويُطبق مرة واحدة بالترتيب.
+// الإصدارات المطبقة تُسجل في جدول schema_migrations.
+//
+// الاستخدام:
+//   npm run migrate            → تطبيق الملفات الجديدة
+//   npm run migrate -- --status → عرض الحالة فقط
+// ==========================================
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import pkg from "pg";
+import dotenv from "dotenv";
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+
+// رقم ثابت لقفل pg_advisory_lock حتى لا تطبق نسختان من البوت نفس الملفات معاً
+const MIGRATION_LOCK_ID = 724001;
+
+function listMigrationFiles() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(f => /^\d+_.+\.sql$/.test(f))
+    .sort()
+    .map(file => ({ version: file.split("_")[0], file }));
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version    TEXT PRIMARY KEY,
+       name       TEXT NOT NULL,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+}
+
+export async function getPendingMigrations(pool) {
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await client.query(`SELECT version FROM schema_migrations`);
+    const appliedVersions = new Set(applied.rows.map(r => r.version));
+    return listMigrationFiles().filter(m => !appliedVersions.has(m.version));
+  } finally {
+    client.release();
+  }
+}
+
+export async function runMigrations(pool) {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [MIGRATION_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      const applied = await client.query(`SELECT version FROM schema_migrations`);
+      const appliedVersions = new Set(applied.rows.map(r => r.version));
+      const pending = listMigrationFiles().filter(m => !appliedVersions.has(m.version));
+
+      if (pending.length === 0) {
+        console.log("✅ Database schema is up to date");
+        return [];
+      }
+
+      for (const m of pending) {
+        const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, m.file), "utf8");
+        console.log(`🔄 Applying migration ${m.file}...`);
+        try {
+          await client.query("BEGIN");
+          await client.query(sql);
+          await client.query(`INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`, [m.version, m.file]);
+          await client.query("COMMIT");
+        } catch (err) {
+          await client.query("ROLLBACK");
+          console.error(`❌ Migration ${m.file} failed:`, err.message);
+          throw err;
+        }
+      }
+      console.log(`✅ Applied ${pending.length} migration(s)`);
+      return pending;
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock($1)`, [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// ==================== CLI ====================
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  dotenv.config();
+  const { Pool } = pkg;
+
+  let sslConfig = false;
+  try {
+    const ca = fs.readFileSync("./supabase-ca.crt").toString();
+    sslConfig = { ca, rejectUnauthorized: true };
+  } catch (e) {
+    console.warn("⚠️ supabase-ca.crt not found — continuing without SSL CA.");
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ...(sslConfig ? { ssl: sslConfig } : {}),
+  });
+
+  (async () => {
+    try {
+      if (process.argv.includes("--status")) {
+        const pending = await getPendingMigrations(pool);
+        if (pending.length === 0) {
+          console.log("✅ No pending migrations");
+        } else {
+          console.log(`⏳ Pending migrations (${pending.length}):`);
+          pending.forEach(m => console.log(`   • ${m.file}`));
+        }
+      } else {
+        await runMigrations(pool);
+      }
+      await pool.end();
+    } catch (err) {
+      console.error("❌ migrate:", err.message);
+      await pool.end();
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,134 @@
+-- 001_initial_schema.sql
+-- Base schema for every table bot.js depends on.
+-- Written with IF NOT EXISTS so it can adopt a database that was built by hand.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS admin_settings (
+  id                  INTEGER PRIMARY KEY,
+  daily_codes_limit   INTEGER NOT NULL DEFAULT 50,
+  distribution_days   INTEGER NOT NULL DEFAULT 20,
+  group_size          INTEGER NOT NULL DEFAULT 1000,
+  send_time           TIME NOT NULL DEFAULT '09:00:00',
+  is_scheduler_active BOOLEAN NOT NULL DEFAULT false,
+  max_groups          INTEGER,
+  penalties_active    BOOLEAN NOT NULL DEFAULT true
+);
+
+CREATE TABLE IF NOT EXISTS groups (
+  id                     UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name                   TEXT,
+  max_users              INTEGER NOT NULL DEFAULT 1000,
+  created_at             TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  daily_codes_limit      INTEGER NOT NULL DEFAULT 50,
+  distribution_days      INTEGER NOT NULL DEFAULT 20,
+  send_time              TIME NOT NULL DEFAULT '09:00:00',
+  is_scheduler_active    BOOLEAN NOT NULL DEFAULT false,
+  payment_day            INTEGER NOT NULL DEFAULT 1,
+  payment_mode_active    BOOLEAN NOT NULL DEFAULT false,
+  payment_mode_started   TIMESTAMPTZ,
+  payment_mode_day       INTEGER NOT NULL DEFAULT 0,
+  last_payment_reminder  TIMESTAMPTZ,
+  telegram_group_chat_id TEXT
+);
+
+CREATE TABLE IF NOT EXISTS users (
+  id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  telegram_id      TEXT NOT NULL,
+  binance_username TEXT,
+  phone            TEXT,
+  auto_name        TEXT,
+  group_id         UUID REFERENCES groups(id),
+  verified         BOOLEAN NOT NULL DEFAULT false,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS users_telegram_id_idx ON users (telegram_id);
+CREATE INDEX IF NOT EXISTS users_group_id_idx ON users (group_id);
+
+CREATE TABLE IF NOT EXISTS codes (
+  id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id         UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_text        TEXT NOT NULL,
+  views_per_day    INTEGER,
+  status           TEXT NOT NULL DEFAULT 'active',
+  day_number       INTEGER,
+  suspension_until TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS codes_owner_id_idx ON codes (owner_id);
+CREATE INDEX IF NOT EXISTS codes_status_day_idx ON codes (status, day_number);
+
+CREATE TABLE IF NOT EXISTS code_view_assignments (
+  id                    UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code_id               UUID NOT NULL REFERENCES codes(id) ON DELETE CASCADE,
+  assigned_to_user_id   UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  assigned_date         DATE NOT NULL,
+  presented_at          TIMESTAMPTZ,
+  used                  BOOLEAN NOT NULL DEFAULT false,
+  verified              BOOLEAN NOT NULL DEFAULT false,
+  marked_unused         BOOLEAN NOT NULL DEFAULT false,
+  reminder_sent         BOOLEAN NOT NULL DEFAULT false,
+  last_interaction_date DATE
+);
+
+CREATE INDEX IF NOT EXISTS cva_code_id_idx ON code_view_assignments (code_id);
+CREATE INDEX IF NOT EXISTS cva_user_date_idx ON code_view_assignments (assigned_to_user_id, assigned_date);
+CREATE INDEX IF NOT EXISTS cva_date_idx ON code_view_assignments (assigned_date);
+
+CREATE TABLE IF NOT EXISTS payments (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id       UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  group_id      UUID REFERENCES groups(id),
+  payment_month TEXT NOT NULL,
+  proof_sent    BOOLEAN NOT NULL DEFAULT false,
+  proof_sent_at TIMESTAMPTZ
+);
+
+-- Required by: ON CONFLICT (user_id, payment_month)
+CREATE UNIQUE INDEX IF NOT EXISTS payments_user_month_key ON payments (user_id, payment_month);
+
+CREATE TABLE IF NOT EXISTS blacklist (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone       TEXT,
+  telegram_id TEXT,
+  reason      TEXT,
+  banned_by   TEXT,
+  banned_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Required by: ON CONFLICT (phone)
+CREATE UNIQUE INDEX IF NOT EXISTS blacklist_phone_key ON blacklist (phone);
+CREATE INDEX IF NOT EXISTS blacklist_telegram_id_idx ON blacklist (telegram_id);
+
+CREATE TABLE IF NOT EXISTS user_penalties (
+  id             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id        UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  missed_days    INTEGER NOT NULL DEFAULT 0,
+  penalty_date   DATE,
+  codes_deleted  BOOLEAN NOT NULL DEFAULT false,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS user_penalties_user_id_idx ON user_penalties (user_id);
+
+CREATE TABLE IF NOT EXISTS confirmation_penalties (
+  id                     UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id                UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  no_confirmation_count  INTEGER NOT NULL DEFAULT 0,
+  last_missed            TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS confirmation_penalties_user_key ON confirmation_penalties (user_id);
+
+CREATE TABLE IF NOT EXISTS verification_penalties (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id            UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  false_claim_count  INTEGER NOT NULL DEFAULT 0,
+  last_false         TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS verification_penalties_user_key ON verification_penalties (user_id);
+
+INSERT INTO admin_settings (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,12 @@
+-- 002_conversation_state.sql
+-- Multi-step conversations (registration, code upload, broadcasts) survive restarts.
+
+CREATE TABLE IF NOT EXISTS conversation_state (
+  telegram_id TEXT PRIMARY KEY,
+  stage       TEXT NOT NULL,
+  data        JSONB NOT NULL DEFAULT '{}'::jsonb,
+  expires_at  TIMESTAMPTZ NOT NULL,
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS conversation_state_expires_idx ON conversation_state (expires_at);
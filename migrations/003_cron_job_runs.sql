@@ -0,0 +1,14 @@
+-- 003_cron_job_runs.sql
+-- One row per cron job occurrence. The instance that inserts the row first runs the job;
+-- every other instance sees the conflict and skips that occurrence.
+
+CREATE TABLE IF NOT EXISTS cron_job_runs (
+  job_name    TEXT NOT NULL,
+  occurrence  TIMESTAMPTZ NOT NULL,
+  instance_id TEXT NOT NULL,
+  status      TEXT NOT NULL DEFAULT 'running',
+  started_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  error       TEXT,
+  PRIMARY KEY (job_name, occurrence)
+);
@@ -0,0 +1,6 @@
+-- 004_group_timezones.sql
+-- Each group runs on its own local clock (IANA zone name, e.g. 'Africa/Cairo').
+-- NULL on a group means: use admin_settings.default_timezone.
+
+ALTER TABLE admin_settings ADD COLUMN IF NOT EXISTS default_timezone TEXT NOT NULL DEFAULT 'UTC';
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS timezone TEXT;
@@ -0,0 +1,4 @@
+-- 005_daily_user_cap.sql
+-- Optional cap on how many code assignments one member can receive per day (NULL = no cap).
+
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS daily_user_cap INTEGER;
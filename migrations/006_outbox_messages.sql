@@ -0,0 +1,24 @@
+-- 006_outbox_messages.sql
+-- Outbound Telegram messages. Bulk sends are queued here and delivered by the outbox worker
+-- at a controlled rate, so they survive restarts and honour 429 retry_after.
+-- status: pending → sending → sent | failed
+
+CREATE TABLE IF NOT EXISTS outbox_messages (
+  id              BIGSERIAL PRIMARY KEY,
+  chat_id         TEXT NOT NULL,
+  text            TEXT NOT NULL,
+  extra           JSONB NOT NULL DEFAULT '{}'::jsonb,
+  source          TEXT,
+  status          TEXT NOT NULL DEFAULT 'pending',
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at       TIMESTAMPTZ,
+  locked_by       TEXT,
+  error_code      INTEGER,
+  last_error      TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at         TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS outbox_messages_pending_idx ON outbox_messages (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS outbox_messages_status_idx ON outbox_messages (status, created_at);
@@ -0,0 +1,9 @@
+-- 007_user_delivery_status.sql
+-- Users whose chat rejects our messages (403: bot blocked / account deactivated) are marked inactive.
+-- Inactive users get no code assignments or reminders until they send /start again.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS inactive_since TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS inactive_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS users_inactive_idx ON users (group_id) WHERE is_active = false;
@@ -0,0 +1,23 @@
+-- 008_audit_log.sql
+-- Who did what: every admin action and automatic enforcement (penalties, deletions).
+-- No foreign keys: entries must outlive the users and groups they describe.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id                 BIGSERIAL PRIMARY KEY,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  actor_type         TEXT NOT NULL,          -- 'admin' | 'system'
+  actor_id           TEXT NOT NULL,          -- admin telegram id or job name
+  actor_role         TEXT,
+  action             TEXT NOT NULL,
+  target_user_id     UUID,
+  target_user_name   TEXT,
+  target_telegram_id TEXT,
+  group_id           UUID,
+  reason             TEXT,
+  details            JSONB
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_action_idx ON audit_log (action, created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_group_idx ON audit_log (group_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_target_idx ON audit_log (target_telegram_id);
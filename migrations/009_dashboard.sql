@@ -0,0 +1,17 @@
+-- 009_dashboard.sql
+-- Web dashboard: one-time login links sent from /admin and the browser sessions they open.
+-- Only SHA-256 hashes of the tokens are stored.
+
+CREATE TABLE IF NOT EXISTS dashboard_tokens (
+  token_hash TEXT PRIMARY KEY,
+  kind       TEXT NOT NULL,                  -- 'login' (one-time link) | 'session' (browser cookie)
+  admin_id   TEXT NOT NULL,                  -- admin telegram id
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS dashboard_tokens_expires_idx ON dashboard_tokens (expires_at);
+
+-- Keep the photo of each payment proof so the dashboard can show it
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS proof_file_id TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS proof_caption TEXT;
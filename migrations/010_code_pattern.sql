@@ -0,0 +1,4 @@
+-- 010_code_pattern.sql
+-- Uploaded red packet codes must match this regular expression (set with /set_code_format).
+
+ALTER TABLE admin_settings ADD COLUMN IF NOT EXISTS code_pattern TEXT NOT NULL DEFAULT '^[A-Za-z0-9]{6,20}$';
@@ -0,0 +1,5 @@
+-- 011_code_exhausted.sql
+-- Owners can mark a code as exhausted (codes.status = 'exhausted').
+-- Its unused assignments are kept for history but cancelled: not shown, not reminded, not penalised.
+
+ALTER TABLE code_view_assignments ADD COLUMN IF NOT EXISTS cancelled BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,9 @@
+-- 012_slot_reclamation.sql
+-- Lost view slots are handed to other members the same day.
+-- cancel_reason: 'exhausted' (owner), 'rejected' (owner reject_), 'reclaimed' (not used by slot_reclaim_hour).
+-- slot_reclaim_hour: local hour after which untouched assignments are reclaimed; NULL turns that part off.
+
+ALTER TABLE code_view_assignments ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+UPDATE code_view_assignments SET cancel_reason = 'exhausted' WHERE cancelled = true AND cancel_reason IS NULL;
+
+ALTER TABLE admin_settings ADD COLUMN IF NOT EXISTS slot_reclaim_hour INTEGER DEFAULT 16;
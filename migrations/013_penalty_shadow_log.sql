@@ -0,0 +1,25 @@
+-- 013_penalty_shadow_log.sql
+-- Per-group penalty switch (NULL = follow admin_settings.penalties_active).
+-- While penalties are off, the penalty that would have been applied is recorded here instead.
+-- Admins review these entries before turning penalties back on (reviewed_at is set at that point).
+
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS penalties_active BOOLEAN;
+
+CREATE TABLE IF NOT EXISTS penalty_shadow_log (
+  id            BIGSERIAL PRIMARY KEY,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  source        TEXT NOT NULL,          -- job or handler that would have applied it
+  action        TEXT NOT NULL,          -- 'penalty_warning' | 'codes_suspended' | 'user_deleted'
+  offence       TEXT NOT NULL,          -- 'missed_day' | 'no_confirmation' | 'false_claim'
+  strike        INTEGER NOT NULL,
+  user_id       UUID,
+  user_name     TEXT,
+  telegram_id   TEXT,
+  group_id      UUID,
+  reason        TEXT,
+  details       JSONB,
+  reviewed_at   TIMESTAMPTZ,
+  reviewed_by   TEXT
+);
+
+CREATE INDEX IF NOT EXISTS penalty_shadow_log_pending_idx ON penalty_shadow_log (group_id, created_at DESC) WHERE reviewed_at IS NULL;
@@ -0,0 +1,44 @@
+-- 014_penalty_policy.sql
+-- Penalty ladder: what happens on the Nth strike of each offence.
+-- Rows with group_id NULL are the default policy; a group row replaces the default for the same offence and strike.
+-- Strikes above the highest configured strike use the highest rule.
+--   offence: 'missed_day' | 'no_confirmation' | 'false_claim'
+--   action:  'warn' | 'suspend' (codes, for days) | 'block_uploads' (for days) | 'delete' (account) | 'ban' (delete + blacklist)
+
+CREATE TABLE IF NOT EXISTS penalty_policy (
+  id         BIGSERIAL PRIMARY KEY,
+  group_id   UUID REFERENCES groups(id) ON DELETE CASCADE,
+  offence    TEXT NOT NULL,
+  strike     INTEGER NOT NULL,
+  action     TEXT NOT NULL,
+  days       INTEGER,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_by TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS penalty_policy_key
+  ON penalty_policy (COALESCE(group_id, '00000000-0000-0000-0000-000000000000'::uuid), offence, strike);
+
+-- The ladder that used to be hard-coded
+INSERT INTO penalty_policy (group_id, offence, strike, action, days) VALUES
+  (NULL, 'missed_day',      1, 'warn',    NULL),
+  (NULL, 'missed_day',      2, 'suspend', 2),
+  (NULL, 'missed_day',      3, 'delete',  NULL),
+  (NULL, 'no_confirmation', 1, 'suspend', 1),
+  (NULL, 'no_confirmation', 2, 'suspend', 2),
+  (NULL, 'no_confirmation', 3, 'delete',  NULL),
+  (NULL, 'false_claim',     1, 'suspend', 1),
+  (NULL, 'false_claim',     2, 'suspend', 2),
+  (NULL, 'false_claim',     3, 'delete',  NULL)
+ON CONFLICT DO NOTHING;
+
+-- A strike is removed after this many days without a new offence (NULL = strikes never decay)
+ALTER TABLE groups ADD COLUMN IF NOT EXISTS strike_decay_days INTEGER;
+
+-- Start of the current clean-day window after a decay
+ALTER TABLE user_penalties ADD COLUMN IF NOT EXISTS strike_decayed_at TIMESTAMPTZ;
+ALTER TABLE confirmation_penalties ADD COLUMN IF NOT EXISTS strike_decayed_at TIMESTAMPTZ;
+ALTER TABLE verification_penalties ADD COLUMN IF NOT EXISTS strike_decayed_at TIMESTAMPTZ;
+
+-- 'block_uploads' action
+ALTER TABLE users ADD COLUMN IF NOT EXISTS uploads_blocked_until TIMESTAMPTZ;
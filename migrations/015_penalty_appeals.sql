@@ -0,0 +1,30 @@
+-- 015_penalty_appeals.sql
+-- One row per penalty that was actually applied (shadow penalties stay in penalty_shadow_log),
+-- plus the member's appeal against it and the admin's decision.
+-- No foreign key on user_id: the record must outlive an account deleted by the penalty itself.
+--   appeal_status: NULL (no appeal) | 'open' | 'upheld' | 'reduced' | 'reversed'
+
+CREATE TABLE IF NOT EXISTS penalty_records (
+  id                 BIGSERIAL PRIMARY KEY,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  source             TEXT NOT NULL,
+  offence            TEXT NOT NULL,
+  strike             INTEGER NOT NULL,
+  action             TEXT NOT NULL,
+  days               INTEGER,
+  user_id            UUID,
+  user_name          TEXT,
+  telegram_id        TEXT NOT NULL,
+  group_id           UUID,
+  details            JSONB,
+  -- codes this penalty suspended, restored if the appeal succeeds
+  suspended_code_ids UUID[],
+  appeal_status      TEXT,
+  appeal_text        TEXT,
+  appealed_at        TIMESTAMPTZ,
+  resolved_at        TIMESTAMPTZ,
+  resolved_by        TEXT
+);
+
+CREATE INDEX IF NOT EXISTS penalty_records_telegram_idx ON penalty_records (telegram_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS penalty_records_open_idx ON penalty_records (appealed_at) WHERE appeal_status = 'open';
@@ -0,0 +1,51 @@
+-- 016_claim_disputes.sql
+-- "❌ اعتراض" opens a dispute instead of punishing the viewer on the owner's word.
+--   status: 'awaiting_viewer' (viewer may send a screenshot until respond_by)
+--           'awaiting_admin'  (viewer sent evidence, an admin decides)
+--           'upheld'          (owner was right: false_claim penalty for the viewer)
+--           'dismissed'       (viewer was right: false_report penalty for the owner)
+--           'withdrawn'       (owner confirmed the usage after all)
+--           'void'            (the assignment no longer exists)
+
+CREATE TABLE IF NOT EXISTS claim_disputes (
+  id                 BIGSERIAL PRIMARY KEY,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  assignment_id      UUID NOT NULL,
+  code_text          TEXT,
+  group_id           UUID,
+  owner_id           UUID,
+  owner_telegram_id  TEXT NOT NULL,
+  viewer_id          UUID,
+  viewer_telegram_id TEXT NOT NULL,
+  status             TEXT NOT NULL DEFAULT 'awaiting_viewer',
+  respond_by         TIMESTAMPTZ NOT NULL,
+  evidence_file_id   TEXT,
+  evidence_caption   TEXT,
+  responded_at       TIMESTAMPTZ,
+  resolved_at        TIMESTAMPTZ,
+  resolved_by        TEXT
+);
+
+-- One dispute per assignment
+CREATE UNIQUE INDEX IF NOT EXISTS claim_disputes_assignment_key ON claim_disputes (assignment_id);
+CREATE INDEX IF NOT EXISTS claim_disputes_open_idx ON claim_disputes (respond_by)
+  WHERE status IN ('awaiting_viewer', 'awaiting_admin');
+
+ALTER TABLE admin_settings ADD COLUMN IF NOT EXISTS dispute_response_hours INTEGER NOT NULL DEFAULT 24;
+
+-- Strike counter for owners whose reject was dismissed
+CREATE TABLE IF NOT EXISTS report_penalties (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id            UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  false_report_count INTEGER NOT NULL DEFAULT 0,
+  last_false_report  TIMESTAMPTZ,
+  strike_decayed_at  TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS report_penalties_user_key ON report_penalties (user_id);
+
+INSERT INTO penalty_policy (group_id, offence, strike, action, days) VALUES
+  (NULL, 'false_report', 1, 'warn',    NULL),
+  (NULL, 'false_report', 2, 'suspend', 2),
+  (NULL, 'false_report', 3, 'delete',  NULL)
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,17 @@
+-- 017_user_archive.sql
+-- Penalty deletions, bans and /banuser archive the users row instead of deleting it.
+--   status: 'active' | 'archived'
+-- An archived account keeps its codes, assignments, strikes and payments but is left out of
+-- distribution, member counts, reminders and lookups by Telegram ID, so the member can register
+-- again. Admins can restore it with /restore; the archive_retention job deletes it for good
+-- archive_retention_days after archived_at.
+-- Open assignments of an archived account (as viewer or code owner) get cancel_reason 'archived'.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS archive_reason TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS archived_by TEXT;
+
+CREATE INDEX IF NOT EXISTS users_archived_idx ON users (archived_at) WHERE status = 'archived';
+
+ALTER TABLE admin_settings ADD COLUMN IF NOT EXISTS archive_retention_days INTEGER NOT NULL DEFAULT 90;
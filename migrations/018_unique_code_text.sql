@@ -0,0 +1,42 @@
+-- 018_unique_code_text.sql
+-- The upload duplicate check is check-then-insert; two concurrent uploads could both insert the
+-- same code. Enforce it in the database.
+-- Codes uploaded twice before this migration keep their oldest copy. Newer copies are not deleted
+-- (they may already have assignments): they get status 'duplicate', are left out of distribution
+-- and free their day so the owner can upload a replacement. Their open assignments are cancelled
+-- with cancel_reason 'duplicate'. Each flagged copy is written to audit_log and its owner is told
+-- through outbox_messages.
+-- The unique index skips 'duplicate' rows, so ON CONFLICT must name the same predicate.
+
+UPDATE codes c SET status = 'duplicate', suspension_until = NULL
+WHERE c.status <> 'duplicate'
+  AND EXISTS (
+        SELECT 1 FROM codes older
+        WHERE older.code_text = c.code_text AND older.status <> 'duplicate'
+          AND (older.created_at < c.created_at OR (older.created_at = c.created_at AND older.id < c.id))
+      );
+
+INSERT INTO audit_log (actor_type, actor_id, action, target_user_id, target_user_name, target_telegram_id, group_id, reason, details)
+SELECT 'system', 'migration_018', 'code_duplicate_disabled', u.id, u.auto_name, u.telegram_id, u.group_id,
+       'الكود مرفوع مسبقاً من عضو آخر',
+       jsonb_build_object('code_id', c.id, 'code_text', c.code_text, 'day', c.day_number)
+FROM codes c JOIN users u ON u.id = c.owner_id
+WHERE c.status = 'duplicate' AND c.day_number IS NOT NULL;
+
+INSERT INTO outbox_messages (chat_id, text, source)
+SELECT u.telegram_id,
+       '⚠️ الكود ' || c.code_text || COALESCE(' (يوم ' || c.day_number || ')', '') ||
+       ' مرفوع مسبقاً من عضو آخر، لذلك تم إيقافه ولن يوزع.' || E'\n\n' ||
+       '📤 ارفع كوداً جديداً لهذا اليوم عبر /رفع_اكواد',
+       'code_duplicate'
+FROM codes c JOIN users u ON u.id = c.owner_id
+WHERE c.status = 'duplicate' AND c.day_number IS NOT NULL AND u.status = 'active';
+
+UPDATE code_view_assignments a SET cancelled = true, cancel_reason = 'duplicate'
+FROM codes c
+WHERE a.code_id = c.id AND c.status = 'duplicate' AND a.used = false AND a.cancelled = false;
+
+-- Frees the day, and keeps a re-run of this file from notifying the owner twice
+UPDATE codes SET day_number = NULL WHERE status = 'duplicate' AND day_number IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS codes_code_text_key ON codes (code_text) WHERE status <> 'duplicate';
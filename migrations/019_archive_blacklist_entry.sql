@@ -0,0 +1,12 @@
+-- 019_archive_blacklist_entry.sql
+-- The blacklist row a ban created when it archived the account. /restore and appeal reversals
+-- remove only this row, so entries an admin added on their own (by phone or Telegram ID) stay.
+-- NULL when the archive was a plain delete, or when the phone was already blacklisted before the ban.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS archive_blacklist_id UUID REFERENCES blacklist(id) ON DELETE SET NULL;
+
+-- Accounts archived before this migration: the ban wrote its blacklist row in the same transaction
+UPDATE users u SET archive_blacklist_id = b.id
+FROM blacklist b
+WHERE u.status = 'archived' AND u.archive_blacklist_id IS NULL
+  AND b.telegram_id = u.telegram_id AND b.banned_at = u.archived_at;